@@ -1,8 +1,19 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
+  experimental: {
+    // Provisions the vector store at startup (see src/instrumentation.js)
+    instrumentationHook: true,
+  },
   webpack: (config, { isServer }) => {
     if (isServer) {
-      config.externals.push('tree-sitter', 'tree-sitter-javascript');
+      config.externals.push(
+        'tree-sitter',
+        'tree-sitter-go',
+        'tree-sitter-java',
+        'tree-sitter-javascript',
+        'tree-sitter-python',
+        'tree-sitter-typescript',
+      );
     }
     return config;
   },
@@ -0,0 +1,137 @@
+/**
+ * Call Graph Route Handler
+ *
+ * Answers "who calls this function?" and "what does it call?" from the call
+ * graph built while the session's codebase was indexed.
+ *
+ * Endpoint: GET /api/callgraph
+ *
+ * Query parameters:
+ * - symbol (optional): function, class or method name ("processFile",
+ *   "upsertEmbeddings", "PineconeManager.upsertEmbeddings") or full symbol ID
+ * - file (optional): path or path suffix of the defining file, to disambiguate
+ * - direction (optional): "callers", "callees" or "both" (default)
+ * - depth (optional): how many calls away to walk, 1-5 (default 1)
+ *
+ * Response without `symbol` (the full call graph):
+ * {
+ *   "symbols": { "repo/src/app/database/processFile.js#processFile": {...}, ... },
+ *   "edges": [{ "caller": "...", "callee": "...", "line": 70, "resolution": "import" }],
+ *   "unresolved": { "...#processFile": ["console.log"] },
+ *   "generated_at": "2024-01-01T00:00:00.000Z"
+ * }
+ *
+ * Response with `symbol`:
+ * {
+ *   "matches": [{
+ *     "symbol": { "id": "...", "name": "parseCodeFile", "type": "function", "file": "...", ... },
+ *     "callers": [{ "id": "...", "name": "processFile", "depth": 1, "line": 70, "via": "...", ... }],
+ *     "callees": [...],
+ *     "unresolved": ["console.log"]
+ *   }]
+ * } or
+ * {
+ *   "error": "error message"
+ * }
+ *
+ * @module callGraphRoute
+ */
+import { findSymbols, getCallHierarchy } from "@/lib/codeParser/callGraph";
+import { cookies } from "next/headers";
+import { NextResponse } from "next/server";
+import { getCodebasePath, readSessionData } from "../database/sessionStore";
+
+// Upper bound for ?depth= to keep responses small on large codebases
+const MAX_DEPTH = 5;
+
+/**
+ * Returns the call graph of the session's codebase, or the callers and
+ * callees of the symbols matching `?symbol=`
+ *
+ * @async
+ * @param {Request} request - Next.js GET request object
+ * @returns {Promise<NextResponse>} JSON response with the call graph or matches
+ *
+ * @example
+ * // Request
+ * GET /api/callgraph?symbol=parseCodeFile&direction=callers&depth=2
+ *
+ * // Response
+ * {
+ *   "matches": [{
+ *     "symbol": { "id": "repo/src/lib/codeParser/index.js#parseCodeFile", ... },
+ *     "callers": [
+ *       { "id": "repo/src/app/database/processFile.js#processFile", "depth": 1, ... },
+ *       { "id": "repo/src/app/database/indexCodebase.js#indexCodebase", "depth": 2, ... }
+ *     ]
+ *   }]
+ * }
+ */
+export async function GET(request) {
+  try {
+    const seed = cookies().get("seed")?.value;
+    if (!seed) {
+      return NextResponse.json({ error: "No active session" }, { status: 400 });
+    }
+
+    const callGraph = await readSessionData(getCodebasePath(seed), "callgraph");
+    if (!callGraph) {
+      return NextResponse.json(
+        { error: "No call graph found for this session" },
+        { status: 404 },
+      );
+    }
+
+    const searchParams = new URL(request.url).searchParams;
+    const symbol = searchParams.get("symbol");
+    if (!symbol) {
+      return NextResponse.json(callGraph);
+    }
+
+    const direction = searchParams.get("direction") || "both";
+    if (!["callers", "callees", "both"].includes(direction)) {
+      return NextResponse.json(
+        { error: 'direction must be "callers", "callees" or "both"' },
+        { status: 400 },
+      );
+    }
+
+    const depth = Number(searchParams.get("depth") || 1);
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_DEPTH) {
+      return NextResponse.json(
+        { error: `depth must be an integer from 1 to ${MAX_DEPTH}` },
+        { status: 400 },
+      );
+    }
+
+    const matches = findSymbols(
+      callGraph,
+      symbol,
+      searchParams.get("file") || undefined,
+    ).map((match) => ({
+      symbol: match,
+      ...(direction !== "callees" && {
+        callers: getCallHierarchy(callGraph, match.id, "callers", depth),
+      }),
+      ...(direction !== "callers" && {
+        callees: getCallHierarchy(callGraph, match.id, "callees", depth),
+        unresolved: callGraph.unresolved[match.id] || [],
+      }),
+    }));
+
+    if (matches.length === 0) {
+      return NextResponse.json(
+        { error: `No symbol matching "${symbol}" in the call graph` },
+        { status: 404 },
+      );
+    }
+
+    return NextResponse.json({ matches });
+  } catch (error) {
+    console.error("Failed to read call graph:", error);
+    return NextResponse.json(
+      { error: "Failed to read call graph" },
+      { status: 500 },
+    );
+  }
+}
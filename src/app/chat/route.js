@@ -2,7 +2,9 @@
  * Chat API Route Handler
  *
  * Handles POST requests to send messages to OpenAI's ChatGPT API.
- * Integrates semantic search with Pinecone to retrieve relevant code context.
+ * Integrates semantic search with the vector store, and keyword search, to
+ * retrieve relevant code context (see hybridSearch.js), reranked so the most
+ * relevant code is sent to the model (see reranking.js).
  * Maintains conversation history in Redis for context-aware responses.
  * Automatically manages chat history to stay within token limits.
  *
@@ -10,25 +12,51 @@
  *
  * Request body:
  * {
- *   "prompt": "user message here"
+ *   "prompt": "user message here",
+ *   "filters": { "path": "repo/src", "excludeTests": true }, // optional, narrows
+ *                                  // the code context (see searchFilters.js)
+ *   "weights": { "vector": 1, "lexical": 1 }  // optional, weight of semantic
+ *                                  // and keyword matches (see hybridSearch.js)
  * }
  *
  * Response:
  * {
- *   "text": "ChatGPT response here"
+ *   "text": "ChatGPT response here",
+ *   "sources": [{name, type, filepath, start_line, end_line, score, reason?}, ...]
+ *                                  // code sent to the model, best first
  * } or
  * {
  *   "error": "error message"
  * }
  *
+ * Responds 409 when the session's codebase was indexed with another
+ * embedding model than the configured one (see embeddingManifest.js).
+ *
  * @module chatRoute
  */
 import { connectRedis } from "@/app/config/redisConfig";
+import { findSymbols, getCallHierarchy } from "@/lib/codeParser/callGraph";
+import fs from "fs";
 import { cookies } from "next/headers";
 import { NextResponse } from "next/server";
-import { openai } from "../config/openAIConfig";
-import { pinecone } from "../config/pinecone/pineconeInit";
-import { generateEmbeddings } from "../database/embeddingService";
+import { chatModel, openai } from "../config/openAIConfig";
+import { vectorStore } from "../config/vectorStoreConfig";
+import { checkEmbeddingManifest } from "../database/embeddingManifest";
+import { hybridSearch, parseSearchWeights } from "../database/hybridSearch";
+import { RERANK_CANDIDATES, rerankMatches } from "../database/reranking";
+import { parseSearchFilters } from "../database/searchFilters";
+import {
+  collapseChunkMatches,
+  formatCallRelations,
+  formatMatchLocation,
+  getMatchDisplayName,
+} from "../database/searchResults";
+import {
+  getCodebasePath,
+  getNamespace,
+  readSessionData,
+} from "../database/sessionStore";
+import { readMatchCode } from "../database/snippetStore";
 
 /**
  * Sends a message to ChatGPT API with semantic code context and stores conversation in Redis
@@ -36,11 +64,13 @@ import { generateEmbeddings } from "../database/embeddingService";
  * Enhanced Flow:
  * 1. Extract user prompt from request
  * 2. Generate embedding for user prompt
- * 3. Search Pinecone for relevant code from student's codebase (top 3 matches)
+ * 3. Search the vector store and the lexical index for relevant code from
+ *    student's codebase (best 30 fused matches), let the reranker (if
+ *    configured) pick the top 3, and add the direct callers/callees of matched functions from the call graph
  * 4. Retrieve chat history from Redis (limited to 6 messages max)
  * 5. Send prompt + code context + history to ChatGPT as Socratic teacher
  * 6. Store user message and AI response in Redis
- * 7. Return AI response to client
+ * 7. Return AI response to client, with the code it was given
  *
  * Chat history management:
  * - Maintains up to 6 messages per conversation
@@ -48,8 +78,10 @@ import { generateEmbeddings } from "../database/embeddingService";
  * - Uses Redis list with pattern: `{seed}_chats`
  *
  * Code Context Integration:
- * - Queries Pinecone with user's prompt embedding
- * - Retrieves top 3 most relevant code snippets
+ * - Queries the vector store with user's prompt embedding, and the lexical
+ *   index with its terms (identifiers, error messages)
+ * - Retrieves top 3 most relevant code snippets, as picked by the reranker
+ * - Lists who calls each retrieved function or method, and what it calls
  * - Uses student's actual codebase for Socratic questioning
  * - Allows teacher to ask questions about specific code patterns
  *
@@ -59,8 +91,9 @@ import { generateEmbeddings } from "../database/embeddingService";
  * - Encourages discovery through questioning, not direct solutions
  *
  * @async
- * @param {Request} request - Next.js request object containing {prompt}
- * @returns {Promise<NextResponse>} JSON response with ChatGPT message or error
+ * @param {Request} request - Next.js request object containing {prompt, filters?, weights?}
+ * @returns {Promise<NextResponse>} JSON response with ChatGPT message and its
+ *          code sources, or error
  *
  * @example
  * // Request
@@ -68,7 +101,9 @@ import { generateEmbeddings } from "../database/embeddingService";
  * { "prompt": "Why am I getting an error in my parseFile function?" }
  *
  * // Response with Socratic guidance based on student's actual code
- * { "text": "I see you're working with parseFile. What error message are you seeing? Can you walk me through what parseFile is supposed to do?" }
+ * { "text": "I see you're working with parseFile. What error message are you seeing? Can you walk me through what parseFile is supposed to do?",
+ *   "sources": [{ "name": "parseFile", "type": "function", "filepath": "repo/src/parser.js", "start_line": 12, "end_line": 48,
+ *                 "score": 0.9, "reason": "Defines parseFile, which the question is about." }] }
  */
 export async function POST(request) {
   const res = await request.json();
@@ -78,6 +113,15 @@ export async function POST(request) {
     return NextResponse.json({ error: "Prompt is required" }, { status: 400 });
   }
 
+  let filters;
+  let weights;
+  try {
+    filters = parseSearchFilters(res.filters);
+    weights = parseSearchWeights(res.weights);
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 400 });
+  }
+
   if (!process.env.OPENAI_API_KEY) {
     return NextResponse.json({ error: "API key is missing" }, { status: 500 });
   }
@@ -93,21 +137,39 @@ export async function POST(request) {
   const seed = seedCookie.value;
   let chatHistory = "";
   let codeContext = "";
+  // Code elements sent to the model, returned so the UI can cite them
+  let sources = [];
 
-  try {
-    // Step 1: Generate embedding for user's prompt for semantic search
-    console.log("Generating embedding for user prompt...");
-    const promptEmbedding = await generateEmbeddings(userInput);
+  // Scores against vectors of another embedding model would be meaningless
+  const codebasePath = getCodebasePath(seed);
+  const embeddingMismatch =
+    weights.vector > 0 &&
+    fs.existsSync(codebasePath) &&
+    (await checkEmbeddingManifest(codebasePath, vectorStore.indexName));
+  if (embeddingMismatch) {
+    return NextResponse.json({ error: embeddingMismatch }, { status: 409 });
+  }
 
-    // Step 2: Query Pinecone for relevant code snippets from student's codebase
-    console.log("Searching Pinecone for relevant code context...");
+  try {
+    // Steps 1-2: Embed the prompt and query the vector store and lexical
+    // index for relevant code snippets from student's codebase
+    console.log("Searching for relevant code context...");
     let relevantCode = [];
 
     try {
-      relevantCode = await pinecone.similaritySearch(
-        promptEmbedding,
-        `codebase${seed}`,
-        3, // top 3 results
+      relevantCode = await hybridSearch(userInput, {
+        namespace: getNamespace(seed),
+        codebasePath,
+        topK: RERANK_CANDIDATES, // candidates for the reranker
+        filters,
+        weights,
+      });
+      // Chunks of the same oversized element are shown as one snippet, and
+      // the reranker picks the top 3
+      relevantCode.matches = await rerankMatches(
+        userInput,
+        collapseChunkMatches(relevantCode.matches),
+        3,
       );
 
       // Format relevant code for inclusion in system prompt
@@ -116,26 +178,46 @@ export async function POST(request) {
         relevantCode.matches &&
         relevantCode.matches.length > 0
       ) {
-        codeContext = relevantCode.matches
-          .map((result) => {
+        const callGraph = await readCallGraph(seed);
+
+        const snippets = await Promise.all(
+          relevantCode.matches.map(async (result) => {
+            const callRelations = callGraph
+              ? describeCallRelations(callGraph, result)
+              : "";
+            const code = await readMatchCode(codebasePath, result);
             return (
-              `File: ${result.metadata.filepath}\n` +
-              `Type: ${result.metadata.type}\n` +
-              `Name: ${result.id}\n` +
-              `Code:\n${result.metadata.code || "N/A"}`
+              `File: ${formatMatchLocation(result.metadata.filepath, result.metadata)}\n` +
+              `Type: ${result.metadata.type}${result.metadata.kind ? ` (${result.metadata.kind})` : ""}\n` +
+              `Name: ${getMatchDisplayName(result)}\n` +
+              (result.metadata.language
+                ? `Language: ${result.metadata.language}\n`
+                : "") +
+              (callRelations ? `${callRelations}\n` : "") +
+              `Code:\n${code || "N/A"}`
             );
-          })
-          .join("\n\n---\n\n");
+          }),
+        );
+        codeContext = snippets.join("\n\n---\n\n");
+        sources = relevantCode.matches.map((result) => ({
+          name: getMatchDisplayName(result),
+          type: result.metadata.type,
+          filepath: result.metadata.path || result.metadata.filepath,
+          start_line: result.metadata.start_line,
+          end_line: result.metadata.end_line,
+          score: result.score,
+          reason: result.reason,
+        }));
 
         console.log(
           `Found ${relevantCode.matches.length} relevant code snippets from codebase`,
         );
       }
-    } catch (pineconeError) {
-      // Log but don't fail if Pinecone search fails
+    } catch (searchError) {
+      // Log but don't fail if the search fails
       console.warn(
-        "Pinecone search failed, continuing without code context:",
-        pineconeError.message,
+        "Code search failed, continuing without code context:",
+        searchError.message,
       );
     }
 
@@ -182,7 +264,7 @@ export async function POST(request) {
     // Step 5: Send request to ChatGPT with code context + chat history
     console.log("Sending prompt to ChatGPT...");
     const response = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
+      model: chatModel,
       messages: [
         {
           role: "system",
@@ -222,7 +304,10 @@ export async function POST(request) {
       }
 
       // Return the ChatGPT response
-      return NextResponse.json({ text: assistantMessage }, { status: 200 });
+      return NextResponse.json(
+        { text: assistantMessage, sources },
+        { status: 200 },
+      );
     } else {
       await client.lPush(`${seed}_chats`, "Error: Something went wrong");
       return NextResponse.json(
@@ -242,3 +327,49 @@ export async function POST(request) {
     );
   }
 }
+
+/**
+ * Loads the session's call graph, if the codebase has been indexed
+ *
+ * @private
+ * @async
+ * @param {string} seed - The user's session identifier
+ * @returns {Promise<import('@/lib/codeParser/callGraph').CallGraph|null>}
+ *          The call graph, or null if it is missing or unreadable
+ */
+async function readCallGraph(seed) {
+  try {
+    return await readSessionData(getCodebasePath(seed), "callgraph");
+  } catch (error) {
+    console.warn("Call graph unavailable:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Describes the direct callers and callees of a retrieved function or method
+ *
+ * @private
+ * @param {import('@/lib/codeParser/callGraph').CallGraph} callGraph - The session's call graph
+ * @param {Object} match - A match returned by vectorStore.similaritySearch
+ * @returns {string} "Called by"/"Calls" lines, or "" for other elements and unknown symbols
+ */
+function describeCallRelations(callGraph, match) {
+  if (!["function", "method"].includes(match.metadata.type)) {
+    return "";
+  }
+
+  const [symbol] = findSymbols(
+    callGraph,
+    getMatchDisplayName(match),
+    match.metadata.filepath,
+  );
+  if (!symbol) {
+    return "";
+  }
+
+  return formatCallRelations(
+    getCallHierarchy(callGraph, symbol.id, "callers"),
+    getCallHierarchy(callGraph, symbol.id, "callees"),
+  );
+}
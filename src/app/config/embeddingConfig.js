@@ -0,0 +1,105 @@
+/**
+ * Embedding Configuration Module
+ *
+ * Chooses the embedding provider used to index codebases and embed queries.
+ * The provider is configured with the following environment variables:
+ * - EMBEDDING_PROVIDER: "openai" (default), "openai-compatible" or "local"
+ * - EMBEDDING_MODEL: Model name (default "text-embedding-3-small";
+ *   ignored by "local")
+ * - EMBEDDING_DIMENSION: Vector dimension (defaults to the model's native
+ *   dimension, or 384 for "local")
+ * - EMBEDDING_BASE_URL: Server URL for "openai-compatible",
+ *   e.g. "http://localhost:11434/v1"
+ * - EMBEDDING_API_KEY: API key for "openai-compatible" (defaults to
+ *   OPENAI_API_KEY; servers without authentication accept any value)
+ *
+ * The "local" provider runs in-process without network access or an API key
+ * (see embeddings/hashedProvider.js).
+ *
+ * The Pinecone index must have the provider's dimension. Every namespace
+ * records the model it was built with (see embeddingManifest.js); after
+ * changing provider, model or dimension, existing namespaces are re-embedded
+ * with POST /migrate (into a new index, PINECONE_INDEX, when the dimension
+ * changes).
+ *
+ * @module embeddingConfig
+ * @exports {EmbeddingProvider} embeddingProvider - Configured embedding provider
+ *
+ * @throws {Error} If EMBEDDING_PROVIDER is unknown, or the model's dimension
+ *         is unknown and EMBEDDING_DIMENSION is not set
+ */
+import { createHashedProvider } from "./embeddings/hashedProvider";
+import { createOpenAIProvider } from "./embeddings/openAIProvider";
+
+/**
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} name - Provider name ("openai", "openai-compatible", "local")
+ * @property {string} model - Model producing the vectors
+ * @property {number} dimension - Length of every vector returned by embed()
+ * @property {function(string[]): Promise<number[][]>} embed - Embeds texts,
+ *           returning one vector per text in the same order; rejects with the
+ *           client's error (carrying `status` and `headers` for HTTP errors)
+ */
+
+/**
+ * Creates the embedding provider described by a configuration
+ *
+ * @param {Object} [env=process.env] - Configuration variables (see module docs)
+ * @returns {EmbeddingProvider} The configured provider
+ * @throws {Error} If the configuration is invalid
+ *
+ * @example
+ * const provider = createEmbeddingProvider({ EMBEDDING_PROVIDER: 'local' });
+ * // provider.dimension === 384
+ */
+export function createEmbeddingProvider(env = process.env) {
+  const dimension = env.EMBEDDING_DIMENSION
+    ? parseInt(env.EMBEDDING_DIMENSION)
+    : undefined;
+  if (dimension !== undefined && !(dimension > 0)) {
+    throw new Error(`Invalid EMBEDDING_DIMENSION: ${env.EMBEDDING_DIMENSION}`);
+  }
+
+  switch (env.EMBEDDING_PROVIDER || "openai") {
+    case "openai":
+      return createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        model: env.EMBEDDING_MODEL,
+        dimension,
+      });
+    case "openai-compatible":
+      if (!env.EMBEDDING_BASE_URL) {
+        throw new Error(
+          'EMBEDDING_BASE_URL is required by the "openai-compatible" provider',
+        );
+      }
+      return createOpenAIProvider({
+        name: "openai-compatible",
+        apiKey: env.EMBEDDING_API_KEY || env.OPENAI_API_KEY || "none",
+        baseURL: env.EMBEDDING_BASE_URL,
+        model: env.EMBEDDING_MODEL,
+        dimension,
+      });
+    case "local":
+      return createHashedProvider({ dimension });
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER: ${env.EMBEDDING_PROVIDER}`);
+  }
+}
+
+/**
+ * Embedding provider shared by indexing and search
+ * @type {EmbeddingProvider}
+ */
+export const embeddingProvider = createEmbeddingProvider();
+
+/**
+ * Identifies the vector space of a provider: vectors are only comparable
+ * when they have the same model identifier
+ *
+ * @param {EmbeddingProvider} [provider=embeddingProvider] - Embedding provider
+ * @returns {string} Model name and dimension, e.g. "text-embedding-3-small@1536"
+ */
+export function getEmbeddingModelId(provider = embeddingProvider) {
+  return `${provider.model}@${provider.dimension}`;
+}
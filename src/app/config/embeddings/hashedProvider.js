@@ -0,0 +1,96 @@
+/**
+ * Hashed Feature Embedding Provider
+ *
+ * Embeds text fully offline, without a model download or an API key, using
+ * the hashing trick: the text is split into identifier-aware tokens
+ * (`getUserName` -> `get`, `user`, `name`), every token and pair of adjacent
+ * tokens is hashed into one of `dimension` buckets, and the resulting vector
+ * is L2-normalized so cosine similarity measures shared vocabulary.
+ *
+ * The vectors are deterministic, which makes this provider suited to tests
+ * and local development. Search quality is that of keyword matching: it finds
+ * code using the same names as the query, not code with the same meaning.
+ *
+ * @module embeddings/hashedProvider
+ */
+import { tokenizeCode } from "@/app/database/tokenizer";
+
+// Bumped whenever tokenization or hashing changes, so vectors from different
+// versions are never mixed in one index
+const HASHED_MODEL = "hashed-features-v1";
+
+/**
+ * Creates a provider that embeds text with hashed token features
+ *
+ * @param {Object} [options]
+ * @param {number} [options.dimension=384] - Vector dimension (number of hash buckets)
+ * @returns {import('../embeddingConfig').EmbeddingProvider} The provider
+ *
+ * @example
+ * const provider = createHashedProvider({ dimension: 256 });
+ * const [a, b] = await provider.embed(['getUserName()', 'get the user name']);
+ * // a and b share the features "get", "user", "name", "get user", "user name"
+ */
+export function createHashedProvider({ dimension = 384 } = {}) {
+  return {
+    name: "local",
+    model: HASHED_MODEL,
+    dimension,
+
+    async embed(texts) {
+      return texts.map((text) => embedText(text, dimension));
+    },
+  };
+}
+
+/**
+ * Embeds one text
+ *
+ * @private
+ * @param {string} text - Text to embed
+ * @param {number} dimension - Vector dimension
+ * @returns {number[]} Unit-length vector
+ */
+function embedText(text, dimension) {
+  const tokens = tokenizeCode(text);
+  const counts = new Map();
+  tokens.forEach((token, i) => {
+    counts.set(token, (counts.get(token) || 0) + 1);
+    if (i > 0) {
+      const pair = `${tokens[i - 1]} ${token}`;
+      counts.set(pair, (counts.get(pair) || 0) + 1);
+    }
+  });
+
+  const vector = new Array(dimension).fill(0);
+  counts.forEach((count, feature) => {
+    const hash = hashFeature(feature);
+    // The top bit picks the sign, so colliding features tend to cancel out
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % dimension] += sign * (1 + Math.log(count));
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  if (norm === 0) {
+    // Vector stores reject all-zero vectors (e.g. for text without words)
+    vector[0] = 1;
+    return vector;
+  }
+  return vector.map((value) => value / norm);
+}
+
+/**
+ * 32-bit FNV-1a hash of a feature
+ *
+ * @private
+ * @param {string} feature - Token or token pair
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,89 @@
+/**
+ * OpenAI Embedding Provider
+ *
+ * Embeds text with OpenAI's embeddings API, or with any server implementing
+ * the same API (a local inference server, a proxy, another vendor) when a
+ * base URL is given.
+ *
+ * The text-embedding-3 models return shortened vectors on request, so they
+ * can be used with any dimension up to their native size. Other models always
+ * return their native dimension, which must be configured for models this
+ * module does not know.
+ *
+ * @module embeddings/openAIProvider
+ */
+import OpenAI from "openai";
+
+// Native output dimension of OpenAI's embedding models
+export const OPENAI_MODEL_DIMENSIONS = {
+  "text-embedding-ada-002": 1536,
+  "text-embedding-3-small": 1536,
+  "text-embedding-3-large": 3072,
+};
+
+/**
+ * Creates a provider backed by an OpenAI-compatible embeddings endpoint
+ *
+ * @param {Object} options
+ * @param {string} [options.name="openai"] - Provider name used in logs
+ * @param {string} [options.apiKey] - API key (servers without authentication accept any value)
+ * @param {string} [options.baseURL] - Base URL of an OpenAI-compatible server,
+ *        e.g. "http://localhost:11434/v1"; defaults to OpenAI's API
+ * @param {string} [options.model="text-embedding-3-small"] - Embedding model
+ * @param {number} [options.dimension] - Vector dimension; defaults to the model's native dimension
+ * @returns {import('../embeddingConfig').EmbeddingProvider} The provider
+ * @throws {Error} If the dimension is neither given nor known for the model
+ *
+ * @example
+ * const provider = createOpenAIProvider({
+ *   apiKey: process.env.OPENAI_API_KEY,
+ *   model: 'text-embedding-3-small',
+ *   dimension: 512,
+ * });
+ * const [vector] = await provider.embed(['function add(a, b) {}']); // 512 values
+ */
+export function createOpenAIProvider({
+  name = "openai",
+  apiKey,
+  baseURL,
+  model = "text-embedding-3-small",
+  dimension,
+}) {
+  const outputDimension = dimension || OPENAI_MODEL_DIMENSIONS[model];
+  if (!outputDimension) {
+    throw new Error(
+      `Unknown dimension of embedding model "${model}"; set EMBEDDING_DIMENSION`,
+    );
+  }
+
+  const client = new OpenAI({ apiKey, ...(baseURL && { baseURL }) });
+  // Only the text-embedding-3 models accept a requested dimension
+  const requestDimension =
+    model.startsWith("text-embedding-3") &&
+    outputDimension !== OPENAI_MODEL_DIMENSIONS[model];
+
+  return {
+    name,
+    model,
+    dimension: outputDimension,
+
+    async embed(texts) {
+      const response = await client.embeddings.create(
+        {
+          model,
+          input: texts,
+          encoding_format: "float", // Request float format for precise vector values
+          ...(requestDimension && { dimensions: outputDimension }),
+        },
+        { maxRetries: 0 }, // Retries are handled by the embedding service
+      );
+
+      // Results carry the index of their input; do not rely on their order
+      const embeddings = [];
+      response.data.forEach((item) => {
+        embeddings[item.index] = item.embedding;
+      });
+      return embeddings;
+    },
+  };
+}
@@ -0,0 +1,525 @@
+/**
+ * Local Vector Store Class
+ *
+ * Stores vector embeddings on disk next to each uploaded codebase, so the
+ * whole pipeline runs without a Pinecone account or network access. Each
+ * namespace ("codebase{seed}") is a flat index inside its codebase directory:
+ *
+ * {CODEBASE_DIR}/codebase{seed}/.syntaxsorcerer/vectors/
+ * - index.json     {dimension, metric, generation}
+ * - vectors.f32    one row of `dimension` float32 values per stored vector
+ * - records.jsonl  one {id, row, metadata} line per stored vector
+ *
+ * Both data files are append-only: upserting an existing id appends a new
+ * row and record, and the last record of an id wins. The files are compacted
+ * once they hold more stale rows than live ones. Compaction writes both files
+ * anew as the next generation (`vectors.{generation}.f32`, ...) and then
+ * points index.json at it, so a crash leaves either the old or the new pair
+ * of files in use, never a mix. A write interrupted midway leaves a partial
+ * row or record at the end of a file, which is cut off when the namespace is
+ * next loaded. Deleting the codebase directory deletes its vectors.
+ *
+ * Search is exact: every vector of the namespace is scored by cosine
+ * similarity against the query, which takes a few milliseconds for the tens
+ * of thousands of vectors of a typical codebase. Metadata filters use
+ * Pinecone's syntax (see metadataFilter.js).
+ *
+ * A namespace is loaded into memory on first use and writes to it are
+ * serialized, so a single server process may be used concurrently.
+ *
+ * LocalVectorStore implements the VectorStore interface (see
+ * vectorStoreConfig.js) with the same methods as PineconeManager.
+ *
+ * @module localVectorStore
+ * @class LocalVectorStore
+ */
+import { createSerialQueue } from "@/app/database/concurrency";
+import { matchesFilter } from "@/app/database/metadataFilter";
+import { SESSION_DATA_DIR } from "@/app/database/sessionStore";
+import { createVectorRecords } from "@/app/database/vectorRecords";
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+
+// Directory (inside the session data directory) holding the namespace's index
+const VECTORS_DIR = "vectors";
+const FLOAT_BYTES = Float32Array.BYTES_PER_ELEMENT;
+// Records per page read by listVectors
+const LIST_PAGE_SIZE = 100;
+
+/**
+ * @typedef {Object} NamespaceIndex
+ * @property {string} dir - Directory holding the index files
+ * @property {number} generation - Generation of the data files in use
+ * @property {Float32Array[]} rows - Stored vectors, by row number
+ * @property {Map<string, {row: number, metadata: Object}>} records - Live
+ *           record of each id
+ */
+
+/**
+ * LocalVectorStore class for storing and searching vectors on disk
+ */
+export class LocalVectorStore {
+  /**
+   * Constructs a new LocalVectorStore instance
+   *
+   * @param {string} rootDir - Directory holding the codebase directories
+   *                           (NEXT_PUBLIC_CODEBASE_DIR)
+   * @param {number} dimension - Vector dimension (must match embedding model,
+   *                             see embeddingProvider.dimension)
+   */
+  constructor(rootDir, dimension) {
+    this.name = "local";
+    // Recorded in the embedding manifest, like a Pinecone index name
+    this.indexName = "local";
+    this.rootDir = rootDir;
+    this.dimension = dimension;
+    // Loaded namespaces (namespace -> Promise<NamespaceIndex>)
+    this.namespaces = new Map();
+    // Writes to a namespace run one at a time
+    this.serializeWrite = createSerialQueue();
+  }
+
+  /**
+   * Does nothing: namespace indexes are created by their first upsert
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async ensureIndex() {}
+
+  /**
+   * Describes the store, which is always ready
+   *
+   * @async
+   * @returns {Promise<{name: string, dimension: number, metric: string, ready: boolean, state: string}>}
+   *          Settings and status, shaped like PineconeManager.describeIndex()
+   */
+  async describeIndex() {
+    return {
+      name: this.indexName,
+      dimension: this.dimension,
+      metric: "cosine",
+      ready: true,
+      state: "Ready",
+    };
+  }
+
+  /**
+   * Upserts (adds or replaces) code embeddings into a namespace
+   *
+   * Vectors are built exactly as for Pinecone (see createVectorRecords in
+   * vectorRecords.js).
+   *
+   * @async
+   * @param {Object} data - Code elements with embeddings (see
+   *                        PineconeManager.upsertEmbeddings)
+   * @param {string} namespace - Namespace ("codebase{seed}")
+   * @returns {Promise<number>} Number of vectors stored, once written to disk
+   * @throws {Error} If a vector has another dimension than the store
+   */
+  async upsertEmbeddings(data, namespace) {
+    return this.upsertRecords(createVectorRecords(data), namespace);
+  }
+
+  /**
+   * Upserts vector records into a namespace (see upsertEmbeddings)
+   *
+   * @async
+   * @param {import('@/app/database/vectorRecords').VectorRecord[]} records - Records to store
+   * @param {string} namespace - Namespace ("codebase{seed}")
+   * @returns {Promise<number>} Number of vectors stored, once written to disk
+   * @throws {Error} If a vector has another dimension than the store
+   */
+  async upsertRecords(records, namespace) {
+    const invalid = records.find(
+      (record) => record.values.length !== this.dimension,
+    );
+    if (invalid) {
+      throw new Error(
+        `Vector ${invalid.id} has ${invalid.values.length} dimensions, ` +
+          `but the local vector store holds ${this.dimension}-dimensional vectors`,
+      );
+    }
+
+    await this.serializeWrite(namespace, async () => {
+      const index = await this.loadNamespace(namespace);
+      if (!fs.existsSync(path.join(index.dir, "index.json"))) {
+        await fsp.mkdir(index.dir, { recursive: true });
+        await this.writeIndexFile(index.dir, index.generation);
+      }
+      const files = getDataFiles(index.dir, index.generation);
+
+      const firstRow = index.rows.length;
+      const rows = records.map((record) => Float32Array.from(record.values));
+      const lines = records.map((record, i) =>
+        JSON.stringify({
+          id: record.id,
+          row: firstRow + i,
+          metadata: record.metadata,
+        }),
+      );
+      // Vectors first: a record is never written without its row
+      await fsp.appendFile(
+        files.vectors,
+        Buffer.concat(rows.map((row) => Buffer.from(row.buffer))),
+      );
+      await fsp.appendFile(
+        files.records,
+        lines.map((line) => `${line}\n`).join(""),
+      );
+
+      index.rows.push(...rows);
+      records.forEach((record, i) => {
+        index.records.set(record.id, {
+          row: firstRow + i,
+          metadata: record.metadata,
+        });
+      });
+
+      if (index.rows.length > 2 * index.records.size) {
+        await this.compactNamespace(index);
+      }
+    });
+
+    console.log(`Embeddings stored locally. Total vectors: ${records.length}`);
+    return records.length;
+  }
+
+  /**
+   * Finds the vectors most similar to a query embedding
+   *
+   * @async
+   * @param {Array<number>} embedding - Query embedding (of the store's dimension)
+   * @param {string} namespace - Namespace to search in
+   * @param {number} [topK=3] - Number of top results to return
+   * @param {Object} [filter] - Pinecone-style metadata filter, e.g.
+   *                            `{type: {$in: ["doc", "config"]}}`
+   * @param {Object} [options]
+   * @param {boolean} [options.includeValues=false] - Return the matched vectors
+   * @returns {Promise<Object>} `{matches: [{id, score, metadata, values?}]}`,
+   *          best match first, like Pinecone's query response
+   * @throws {Error} If the filter uses an unsupported operator
+   *
+   * @example
+   * const results = await store.similaritySearch(queryEmbedding, 'codebase123', 3);
+   * // Results: {matches: [{id: 'function:5d41...', score: 0.87, metadata: {...}}, ...]}
+   */
+  async similaritySearch(
+    embedding,
+    namespace,
+    topK = 3,
+    filter,
+    { includeValues = false } = {},
+  ) {
+    const index = await this.loadNamespace(namespace);
+    const queryNorm = Math.hypot(...embedding);
+
+    const scored = [];
+    for (const [id, { row, metadata }] of index.records) {
+      if (matchesFilter(metadata, filter)) {
+        const score = cosineSimilarity(embedding, queryNorm, index.rows[row]);
+        scored.push({ id, score, row, metadata });
+      }
+    }
+
+    scored.sort((a, b) => b.score - a.score);
+    const matches = scored
+      .slice(0, topK)
+      .map(({ id, score, row, metadata }) => ({
+        id,
+        score,
+        ...(includeValues && { values: Array.from(index.rows[row]) }),
+        metadata,
+      }));
+    return { matches, namespace };
+  }
+
+  /**
+   * Reads every vector of a namespace, a page at a time
+   *
+   * Pages come from the vectors stored when reading started; later upserts
+   * are not included.
+   *
+   * @async
+   * @generator
+   * @param {string} namespace - Namespace ("codebase{seed}")
+   * @yields {import('@/app/database/vectorRecords').VectorRecord[]} A page of records
+   */
+  async *listVectors(namespace) {
+    const { rows, records } = await this.loadNamespace(namespace);
+    const entries = [...records];
+
+    for (let i = 0; i < entries.length; i += LIST_PAGE_SIZE) {
+      yield entries
+        .slice(i, i + LIST_PAGE_SIZE)
+        .map(([id, { row, metadata }]) => ({
+          id,
+          values: Array.from(rows[row]),
+          metadata,
+        }));
+    }
+  }
+
+  /**
+   * Reports the size of a namespace
+   *
+   * @async
+   * @param {string} namespace - Namespace to describe
+   * @returns {Promise<{dimension: number, vectorCount: number}>}
+   */
+  async getStats(namespace) {
+    const index = await this.loadNamespace(namespace);
+    return { dimension: this.dimension, vectorCount: index.records.size };
+  }
+
+  /**
+   * Deletes all vectors in a namespace
+   *
+   * @async
+   * @param {string} namespace - Namespace to clear
+   * @returns {Promise<void>} Resolves when the namespace's files are removed
+   */
+  async deleteVectorsFromNamespace(namespace) {
+    await this.serializeWrite(namespace, async () => {
+      await fsp.rm(this.getNamespaceDir(namespace), {
+        recursive: true,
+        force: true,
+      });
+      this.namespaces.delete(namespace);
+    });
+  }
+
+  /**
+   * Returns the directory holding a namespace's index
+   *
+   * @private
+   * @param {string} namespace - Namespace ("codebase{seed}")
+   * @returns {string} `{rootDir}/{namespace}/.syntaxsorcerer/vectors`
+   * @throws {Error} If the namespace is not a plain directory name
+   */
+  getNamespaceDir(namespace) {
+    if (
+      !namespace ||
+      path.basename(namespace) !== namespace ||
+      namespace.startsWith(".")
+    ) {
+      throw new Error(`Invalid namespace: ${namespace}`);
+    }
+    return path.join(this.rootDir, namespace, SESSION_DATA_DIR, VECTORS_DIR);
+  }
+
+  /**
+   * Loads a namespace's index into memory, once
+   *
+   * @private
+   * @param {string} namespace - Namespace to load
+   * @returns {Promise<NamespaceIndex>} The index, empty if nothing is stored yet
+   */
+  loadNamespace(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      const loading = this.readNamespace(namespace);
+      // Retry on the next call instead of caching the failure
+      loading.catch(() => this.namespaces.delete(namespace));
+      this.namespaces.set(namespace, loading);
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  /**
+   * Reads a namespace's index files
+   *
+   * @private
+   * @async
+   * @param {string} namespace - Namespace to read
+   * @returns {Promise<NamespaceIndex>}
+   * @throws {Error} If the stored vectors have another dimension than the store
+   */
+  async readNamespace(namespace) {
+    const dir = this.getNamespaceDir(namespace);
+    const index = { dir, generation: 0, rows: [], records: new Map() };
+    if (!fs.existsSync(path.join(dir, "index.json"))) {
+      return index;
+    }
+
+    const { dimension, generation = 0 } = JSON.parse(
+      await fsp.readFile(path.join(dir, "index.json"), "utf8"),
+    );
+    if (dimension !== this.dimension) {
+      throw new Error(
+        `Local index of ${namespace} holds ${dimension}-dimensional vectors, ` +
+          `but the embedding provider returns ${this.dimension}`,
+      );
+    }
+
+    index.generation = generation;
+    const files = getDataFiles(dir, generation);
+
+    // An interrupted write can leave a partial row at the end of the vectors
+    // file; it is cut off, so the rows appended next line up with their records
+    const rowBytes = dimension * FLOAT_BYTES;
+    const buffer = await readDataFile(files.vectors);
+    const rowCount = Math.floor(buffer.length / rowBytes);
+    if (buffer.length > rowCount * rowBytes) {
+      console.warn(`Truncating a partial vector row in ${files.vectors}`);
+      await fsp.truncate(files.vectors, rowCount * rowBytes);
+    }
+    // Copy into an aligned buffer: Float32Array views need 4-byte offsets
+    const vectors = new Float32Array(
+      buffer.buffer.slice(
+        buffer.byteOffset,
+        buffer.byteOffset + rowCount * rowBytes,
+      ),
+    );
+    for (let row = 0; row < rowCount; row++) {
+      index.rows.push(vectors.subarray(row * dimension, (row + 1) * dimension));
+    }
+
+    // Every record ends with a line break; text after the last one is a
+    // partial record of an interrupted write, and is cut off the same way
+    const text = await readDataFile(files.records);
+    const complete = text.lastIndexOf("\n") + 1;
+    if (complete < text.length) {
+      console.warn(`Truncating a partial record in ${files.records}`);
+      await fsp.truncate(files.records, complete);
+    }
+    const lines = text.subarray(0, complete).toString("utf8").split("\n");
+    for (const line of lines) {
+      if (!line) {
+        continue;
+      }
+      const { id, row, metadata } = JSON.parse(line);
+      // Records whose row was cut off are skipped
+      if (row < rowCount) {
+        index.records.set(id, { row, metadata });
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Rewrites a namespace's files with its live vectors only
+   *
+   * The compacted files are written as the next generation; index.json is
+   * switched to them only once both are complete.
+   *
+   * @private
+   * @async
+   * @param {NamespaceIndex} index - Loaded namespace index
+   * @returns {Promise<void>}
+   */
+  async compactNamespace(index) {
+    const rows = [];
+    const records = new Map();
+    for (const [id, { row, metadata }] of index.records) {
+      records.set(id, { row: rows.length, metadata });
+      rows.push(index.rows[row]);
+    }
+
+    // Files of an earlier, interrupted compaction are overwritten
+    const generation = index.generation + 1;
+    const files = getDataFiles(index.dir, generation);
+    await fsp.writeFile(
+      files.vectors,
+      Buffer.concat(
+        rows.map((row) =>
+          Buffer.from(row.buffer, row.byteOffset, row.byteLength),
+        ),
+      ),
+    );
+    await fsp.writeFile(
+      files.records,
+      [...records]
+        .map(([id, { row, metadata }]) => JSON.stringify({ id, row, metadata }))
+        .map((line) => `${line}\n`)
+        .join(""),
+    );
+    await this.writeIndexFile(index.dir, generation);
+
+    const previous = getDataFiles(index.dir, index.generation);
+    await fsp.rm(previous.vectors, { force: true });
+    await fsp.rm(previous.records, { force: true });
+
+    index.generation = generation;
+    index.rows = rows;
+    index.records = records;
+  }
+
+  /**
+   * Writes a namespace's index.json, replacing the previous one atomically
+   *
+   * @private
+   * @async
+   * @param {string} dir - Directory holding the index files
+   * @param {number} generation - Generation of the data files to use
+   * @returns {Promise<void>}
+   */
+  async writeIndexFile(dir, generation) {
+    const tmpPath = path.join(dir, "index.json.tmp");
+    await fsp.writeFile(
+      tmpPath,
+      JSON.stringify({
+        dimension: this.dimension,
+        metric: "cosine",
+        generation,
+      }),
+    );
+    await fsp.rename(tmpPath, path.join(dir, "index.json"));
+  }
+}
+
+/**
+ * Computes the cosine similarity of a query and a stored vector
+ *
+ * @private
+ * @param {number[]} query - Query embedding
+ * @param {number} queryNorm - Euclidean norm of the query
+ * @param {Float32Array} values - Stored vector
+ * @returns {number} Similarity between -1 and 1, or 0 for a zero vector
+ */
+function cosineSimilarity(query, queryNorm, values) {
+  let dot = 0;
+  let norm = 0;
+  for (let i = 0; i < values.length; i++) {
+    dot += query[i] * values[i];
+    norm += values[i] * values[i];
+  }
+  return queryNorm && norm ? dot / (queryNorm * Math.sqrt(norm)) : 0;
+}
+
+/**
+ * Reads a namespace's data file
+ *
+ * @private
+ * @async
+ * @param {string} filePath - Path of the vectors or records file
+ * @returns {Promise<Buffer>} Its contents, empty if it was never written
+ */
+async function readDataFile(filePath) {
+  try {
+    return await fsp.readFile(filePath);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return Buffer.alloc(0);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Returns the paths of a generation of a namespace's data files
+ *
+ * @private
+ * @param {string} dir - Directory holding the index files
+ * @param {number} generation - Generation (0 for files never compacted)
+ * @returns {{vectors: string, records: string}} Paths of the vector and
+ *          record files
+ */
+function getDataFiles(dir, generation) {
+  const suffix = generation > 0 ? `.${generation}` : "";
+  return {
+    vectors: path.join(dir, `vectors${suffix}.f32`),
+    records: path.join(dir, `records${suffix}.jsonl`),
+  };
+}
@@ -5,10 +5,16 @@
  * The API key is loaded from the OPENAI_API_KEY environment variable.
  *
  * This module should be imported wherever OpenAI API calls are needed
- * (embedding generation, chat completions, etc.)
+ * (chat completions, etc.). Embeddings are generated by the provider
+ * configured in embeddingConfig.js.
+ *
+ * The chat model is set by the CHAT_MODEL environment variable (default
+ * "gpt-3.5-turbo"); it answers chat messages and reranks search results
+ * (see rerankerConfig.js).
  *
  * @module openAIConfig
  * @exports {OpenAI} openai - Configured OpenAI client instance
+ * @exports {string} chatModel - Configured chat model
  *
  * @throws {Error} If OPENAI_API_KEY environment variable is not set
  */
@@ -16,9 +22,15 @@ import OpenAI from "openai";
 
 /**
  * Configured OpenAI client instance
- * Uses text-embedding-ada-002 for embeddings and gpt-3.5-turbo for chat completions
+ * Uses the chat model below for chat completions
  * @type {OpenAI}
  */
 export const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
 });
+
+/**
+ * Chat completion model
+ * @type {string}
+ */
+export const chatModel = process.env.CHAT_MODEL || "gpt-3.5-turbo";
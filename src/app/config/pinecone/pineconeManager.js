@@ -10,22 +10,51 @@
  *
  * Architecture:
  * - One index per Pinecone project ("syntaxsorcerer")
- * - One namespace per user session (identified by cookie seed)
- * - Vector dimension: 1536 (OpenAI text-embedding-ada-002)
+ * - One namespace per uploaded codebase ("codebase{seed}"), passed to every
+ *   operation by the caller, so indexing also runs outside a request
+ * - Vector dimension: that of the configured embedding provider
+ *   (1536 for OpenAI text-embedding-3-small, see embeddingConfig.js)
  * - Similarity metric: cosine distance
  * - Serverless deployment on AWS
  *
+ * PineconeManager implements the VectorStore interface (see
+ * vectorStoreConfig.js); the local on-disk store is the alternative.
+ *
  * Usage flow:
  * 1. Initialize manager with API key and index name
- * 2. Upsert embeddings when files are processed
- * 3. Perform similarity searches for user queries
- * 4. Delete namespace when codebase is removed
+ * 2. Provision the index with ensureIndex() (at server startup, see
+ *    instrumentation.js, and before indexing a codebase)
+ * 3. Upsert embeddings when files are processed
+ * 4. Perform similarity searches for user queries
+ * 5. Delete namespace when codebase is removed
  *
  * @module pineconeManager
  * @class PineconeManager
  */
+import { createConcurrencyLimiter } from "@/app/database/concurrency";
+import { retryWithBackoff } from "@/app/database/retry";
+import {
+  batchVectorRecords,
+  createVectorRecords,
+} from "@/app/database/vectorRecords";
 import { Pinecone } from "@pinecone-database/pinecone";
-import { cookies } from "next/headers";
+
+// How often, and how long, to poll a new index until it is ready
+const INDEX_READY_POLL_MS = 1000;
+const INDEX_READY_TIMEOUT_MS = 120000;
+
+// Pinecone accepts at most 1000 vectors and 2MB per upsert request; batches
+// stay well below both, leaving room for the request envelope
+const MAX_UPSERT_RECORDS = 100;
+const MAX_UPSERT_BYTES = 2 * 1024 * 1024 - 64 * 1024;
+
+// Most ids Pinecone lists per page
+const LIST_PAGE_SIZE = 100;
+
+// Upsert requests in flight at once, shared by every file being indexed
+const upsertRequests = createConcurrencyLimiter(
+  Number(process.env.UPSERT_CONCURRENCY) || 4,
+);
 
 /**
  * PineconeManager class for managing Pinecone vector database operations
@@ -38,12 +67,12 @@ export class PineconeManager {
    * Constructs a new PineconeManager instance
    *
    * Creates a Pinecone client and stores configuration. The index is not created
-   * immediately - call initPinecone() to create it on the server.
+   * immediately - call ensureIndex() to create it on the server if missing.
    *
    * @param {string} apiKey - The API key for Pinecone authentication
    * @param {string} indexName - The name of the Pinecone index (e.g., "syntaxsorcerer")
-   * @param {number} [dimension=1536] - Vector dimension (must match embedding model)
-   *                                    1536 for OpenAI text-embedding-ada-002
+   * @param {number} dimension - Vector dimension (must match embedding model,
+   *                             see embeddingProvider.dimension)
    * @param {string} [metric="cosine"] - Similarity metric for search
    *                                     "cosine", "euclidean", or "dotproduct"
    * @param {string} [cloud="aws"] - Cloud provider for serverless spec
@@ -52,11 +81,12 @@ export class PineconeManager {
   constructor(
     apiKey,
     indexName,
-    dimension = 1536,
+    dimension,
     metric = "cosine",
     cloud = "aws",
     region = "us-east-1",
   ) {
+    this.name = "pinecone";
     this.pc = new Pinecone({ apiKey });
     this.indexName = indexName;
     this.dimension = dimension;
@@ -64,13 +94,14 @@ export class PineconeManager {
     this.cloud = cloud;
     this.region = region;
     this.index = this.pc.index(indexName);
+    // Pending or finished provisioning (see ensureIndex)
+    this.provisioning = null;
   }
 
   /**
    * Creates a promise-based delay
    *
-   * Used to wait for index initialization or consistency after operations.
-   * Pinecone sometimes needs a delay after index creation before it's ready.
+   * Used between polls of a new index's status.
    *
    * @param {number} ms - Delay duration in milliseconds
    * @returns {Promise<void>} Resolves after the specified delay
@@ -83,25 +114,25 @@ export class PineconeManager {
   /**
    * Initializes the Pinecone index with the configured settings
    *
-   * Creates a new index on the Pinecone server if it doesn't exist.
-   * After creation, reinitializes the local index reference and waits
-   * 3 seconds for the index to be ready before returning.
+   * Creates a new index on the Pinecone server. After creation, reinitializes
+   * the local index reference and waits until Pinecone reports the index
+   * ready. An index created meanwhile by another server is reused.
    *
-   * Important: Only call this once during application startup or when
-   * explicitly needed. Calling multiple times may cause errors.
+   * Use ensureIndex() instead, which only creates a missing index.
    *
    * Configuration:
    * - Uses serverless spec for auto-scaling
    * - Deploys to AWS in specified region
    * - Configures cosine similarity metric
-   * - Sets vector dimension to 1536
+   * - Sets vector dimension to the configured dimension
    *
    * @async
    * @returns {Promise<void>} Resolves when index is fully initialized and ready
-   * @throws {Error} If index creation fails or API key is invalid
+   * @throws {Error} If index creation fails, API key is invalid, or the index
+   *                 is not ready in time
    *
    * @example
-   * const manager = new PineconeManager(apiKey, 'syntaxsorcerer');
+   * const manager = new PineconeManager(apiKey, 'syntaxsorcerer', 1536);
    * await manager.initPinecone(); // Create and initialize the index
    */
   async initPinecone() {
@@ -115,12 +146,135 @@ export class PineconeManager {
           region: this.region,
         },
       },
+      suppressConflicts: true, // Another server may be creating it too
     });
 
     // Reinitialize index reference after creation
     this.index = this.pc.index(this.indexName);
-    // Wait for index to be ready
-    await this.delay(3000);
+    await this.waitUntilReady();
+  }
+
+  /**
+   * Describes the index on the Pinecone server
+   *
+   * @async
+   * @returns {Promise<{name: string, dimension: number, metric: string, ready: boolean, state: string}|null>}
+   *          The index's settings and status, or null if it does not exist
+   * @throws {Error} If Pinecone cannot be reached or the API key is invalid
+   *
+   * @example
+   * await manager.describeIndex();
+   * // Returns: { name: 'syntaxsorcerer', dimension: 1536, metric: 'cosine', ready: true, state: 'Ready' }
+   */
+  async describeIndex() {
+    try {
+      const { name, dimension, metric, status } = await this.pc.describeIndex(
+        this.indexName,
+      );
+      return {
+        name,
+        dimension,
+        metric,
+        ready: status.ready,
+        state: status.state,
+      };
+    } catch (error) {
+      if (error.name === "PineconeNotFoundError") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Creates the index if it does not exist yet, waits until it is ready, and
+   * checks that it has the configured dimension and metric
+   *
+   * Provisioning runs once per manager; later calls return the same promise,
+   * so it is cheap to call before every indexing run. A failed attempt is
+   * retried on the next call.
+   *
+   * @async
+   * @returns {Promise<void>}
+   * @throws {Error} If the index holds vectors of another dimension or
+   *                 metric, or does not become ready
+   *
+   * @example
+   * await vectorStore.ensureIndex(); // Creates "syntaxsorcerer" on a fresh project
+   */
+  ensureIndex() {
+    if (!this.provisioning) {
+      this.provisioning = this.provisionIndex();
+      this.provisioning.catch(() => {
+        this.provisioning = null;
+      });
+    }
+    return this.provisioning;
+  }
+
+  /**
+   * Provisions the index (see ensureIndex)
+   *
+   * @async
+   * @returns {Promise<void>}
+   * @private
+   */
+  async provisionIndex() {
+    const existing = await this.describeIndex();
+
+    if (!existing) {
+      console.log(
+        `Creating Pinecone index ${this.indexName} (${this.dimension} dimensions, ${this.metric})`,
+      );
+      await this.initPinecone();
+      return;
+    }
+
+    if (existing.dimension !== this.dimension) {
+      throw new Error(
+        `Index "${this.indexName}" holds ${existing.dimension}-dimensional vectors, ` +
+          `but the embedding provider returns ${this.dimension}; set PINECONE_INDEX to a new index`,
+      );
+    }
+    if (existing.metric !== this.metric) {
+      throw new Error(
+        `Index "${this.indexName}" uses the ${existing.metric} metric instead of ` +
+          `${this.metric}; set PINECONE_INDEX to a new index`,
+      );
+    }
+    if (!existing.ready) {
+      await this.waitUntilReady();
+    }
+  }
+
+  /**
+   * Polls the index until Pinecone reports it ready
+   *
+   * @async
+   * @returns {Promise<void>} Resolves once the index accepts requests
+   * @throws {Error} If the index fails to initialize or is not ready within
+   *                 two minutes
+   * @private
+   */
+  async waitUntilReady() {
+    const deadline = Date.now() + INDEX_READY_TIMEOUT_MS;
+
+    for (;;) {
+      const description = await this.describeIndex();
+      if (description?.ready) {
+        return;
+      }
+      if (description?.state === "InitializationFailed") {
+        throw new Error(`Index "${this.indexName}" failed to initialize`);
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(
+          `Index "${this.indexName}" not ready after ${INDEX_READY_TIMEOUT_MS / 1000}s ` +
+            `(state: ${description?.state ?? "missing"})`,
+        );
+      }
+      await this.delay(INDEX_READY_POLL_MS);
+    }
   }
 
   /**
@@ -129,13 +283,20 @@ export class PineconeManager {
    * Takes extracted code elements with embeddings and stores them in Pinecone.
    * Each code element becomes a vector in the specified namespace.
    *
-   * Payload structure for each element:
-   * - id: function/class/comment/variable name (used for retrieval)
-   * - values: 1536-dimensional embedding vector
-   * - metadata: {filepath, type} for filtering and context
+   * Each element becomes a vector with a unique id, its embedding and
+   * metadata for filtering and display (see createVectorRecords in
+   * vectorRecords.js).
+   *
+   * The vectors are sent in batches of at most 100 vectors and ~2MB (Pinecone
+   * rejects larger requests), a few requests at a time across all files
+   * (UPSERT_CONCURRENCY, default 4). Batches failing with rate limits,
+   * server or network errors are retried with backoff. Upserts are not
+   * waited on until searchable; indexCodebase() can check the stored vector
+   * count once at the end instead.
    *
-   * Namespaces isolate user codebases - each user gets a namespace
-   * based on their session ID (seed from cookies).
+   * Namespaces isolate user codebases - each codebase gets a namespace
+   * based on its session ID ("codebase{seed}", see getNamespace in
+   * sessionStore.js).
    *
    * @async
    * @param {Object} data - Code elements with embeddings
@@ -143,13 +304,23 @@ export class PineconeManager {
    *                                {code, function_name, filepath, embedding}
    * @param {Array} data.classes - Array of class objects with:
    *                              {code, class_name, filepath, embedding}
+   * @param {Array} [data.methods] - Array of class member objects with:
+   *                              {code, method_name, qualified_name, parent_class, kind, filepath, embedding}
+   * @param {Array} [data.typeDeclarations] - Array of TypeScript declarations with:
+   *                              {code, type_name, type, filepath, embedding}
    * @param {Array} data.comments - Array of comment objects with:
    *                               {code, comment_name, filepath, embedding}
    * @param {Array} data.variables - Array of variable objects with:
    *                                {code, variable_name, filepath, embedding}
-   * @param {string} [namespace] - Pinecone namespace (defaults to user session ID)
-   * @returns {Promise<void>} Resolves when all embeddings are stored
-   * @throws {Error} If upsert operation fails
+   * @param {Array} [data.misc] - Array of top-level statement blocks with:
+   *                             {code, misc_name, filepath, embedding}
+   * @param {Array} [data.sections] - Array of Markdown sections with:
+   *                                 {code, section_name, heading, filepath, embedding}
+   * @param {Array} [data.configs] - Array of configuration entries with:
+   *                                {code, config_name, kind, filepath, embedding}
+   * @param {string} namespace - Pinecone namespace ("codebase{seed}")
+   * @returns {Promise<number>} Number of vectors upserted, once all are accepted
+   * @throws {Error} If a batch still fails after retries
    *
    * @example
    * const codeData = {
@@ -164,7 +335,7 @@ export class PineconeManager {
    *     embedding: [0.234, -0.567, ...] // 1536 values
    *   }],
    *   comments: [{
-   *     comment_name: 'comment_1',
+   *     comment_name: 'src/parser.js:comment_1',
    *     filepath: 'src/parser.js',
    *     embedding: [0.345, -0.678, ...] // 1536 values
    *   }],
@@ -174,82 +345,96 @@ export class PineconeManager {
    *     embedding: [0.456, -0.789, ...] // 1536 values
    *   }]
    * };
-   * await manager.upsertEmbeddings(codeData);
+   * await manager.upsertEmbeddings(codeData, 'codebase123');
    */
-  async upsertEmbeddings(
-    data,
-    namespace = `codebase${cookies().get("seed").value}`,
-  ) {
-    // Prepare the upsert request payload with all code elements
-    const upsertPayload = [];
-
-    // Convert functions to Pinecone vectors
-    data.functions.forEach((func) => {
-      if (func.embedding && Array.isArray(func.embedding)) {
-        upsertPayload.push({
-          id: func.function_name, // Use function name as unique ID
-          values: func.embedding, // 1536-dimensional embedding vector
-          metadata: {
-            filepath: func.filepath, // Path for retrieval
-            type: "function", // Element type for search results
-          },
-        });
-      }
-    });
+  async upsertEmbeddings(data, namespace) {
+    // Convert every element (or chunk) with an embedding to a vector
+    return this.upsertRecords(createVectorRecords(data), namespace);
+  }
 
-    // Convert classes to Pinecone vectors
-    data.classes.forEach((cls) => {
-      if (cls.embedding && Array.isArray(cls.embedding)) {
-        upsertPayload.push({
-          id: cls.class_name, // Use class name as unique ID
-          values: cls.embedding, // 1536-dimensional embedding vector
-          metadata: {
-            filepath: cls.filepath, // Path for retrieval
-            type: "class", // Element type for search results
-          },
-        });
-      }
+  /**
+   * Upserts vector records into Pinecone, in batches (see upsertEmbeddings)
+   *
+   * Used directly to restore records read from a snapshot (see snapshot.js).
+   *
+   * @async
+   * @param {import('@/app/database/vectorRecords').VectorRecord[]} upsertPayload - Records to store
+   * @param {string} namespace - Pinecone namespace ("codebase{seed}")
+   * @returns {Promise<number>} Number of vectors upserted, once all are accepted
+   * @throws {Error} If a batch still fails after retries
+   */
+  async upsertRecords(upsertPayload, namespace) {
+    const namespaceIndex = this.getNamespaceIndex(namespace);
+    const batches = batchVectorRecords(upsertPayload, {
+      maxRecords: MAX_UPSERT_RECORDS,
+      maxBytes: MAX_UPSERT_BYTES,
     });
 
-    // Convert comments to Pinecone vectors
-    if (data.comments && Array.isArray(data.comments)) {
-      data.comments.forEach((comment) => {
-        if (comment.embedding && Array.isArray(comment.embedding)) {
-          upsertPayload.push({
-            id: comment.comment_name, // Use comment identifier as unique ID
-            values: comment.embedding, // 1536-dimensional embedding vector
-            metadata: {
-              filepath: comment.filepath, // Path for retrieval
-              type: "comment", // Element type for search results
-            },
-          });
-        }
-      });
-    }
-
-    // Convert variables to Pinecone vectors
-    if (data.variables && Array.isArray(data.variables)) {
-      data.variables.forEach((variable) => {
-        if (variable.embedding && Array.isArray(variable.embedding)) {
-          upsertPayload.push({
-            id: variable.variable_name, // Use variable name as unique ID
-            values: variable.embedding, // 1536-dimensional embedding vector
-            metadata: {
-              filepath: variable.filepath, // Path for retrieval
-              type: "variable", // Element type for search results
-            },
-          });
-        }
-      });
-    }
-
-    // Upload all vectors to Pinecone in the specified namespace
-    await this.index.namespace(namespace).upsert(upsertPayload);
-    // Wait for consistency after upsert
-    await this.delay(3000);
+    // Upload the batches to Pinecone in the specified namespace
+    await Promise.all(
+      batches.map((batch) =>
+        upsertRequests(() =>
+          retryWithBackoff(() => namespaceIndex.upsert(batch), {
+            label: "Pinecone upsert",
+          }),
+        ),
+      ),
+    );
     console.log(
-      `Embeddings upserted successfully. Total vectors: ${upsertPayload.length}`,
+      `Embeddings upserted successfully. Total vectors: ${upsertPayload.length} ` +
+        `(${batches.length} request${batches.length === 1 ? "" : "s"})`,
     );
+    return upsertPayload.length;
+  }
+
+  /**
+   * Reads every vector of a namespace, a page at a time
+   *
+   * Lists the namespace's ids and fetches their values and metadata, 100 per
+   * page. Listing is only supported by serverless indexes, which
+   * initPinecone() creates.
+   *
+   * @async
+   * @generator
+   * @param {string} namespace - Pinecone namespace ("codebase{seed}")
+   * @yields {import('@/app/database/vectorRecords').VectorRecord[]} A page of records
+   * @throws {Error} If a request still fails after retries
+   *
+   * @example
+   * for await (const records of manager.listVectors('codebase123')) {
+   *   console.log(records.length); // 100, 100, ..., 12
+   * }
+   */
+  async *listVectors(namespace) {
+    const namespaceIndex = this.getNamespaceIndex(namespace);
+    let paginationToken;
+
+    do {
+      const page = await retryWithBackoff(
+        () =>
+          namespaceIndex.listPaginated({
+            limit: LIST_PAGE_SIZE,
+            ...(paginationToken && { paginationToken }),
+          }),
+        { label: "Pinecone list" },
+      );
+      const ids = (page.vectors || []).map(({ id }) => id);
+      if (ids.length > 0) {
+        const { records } = await retryWithBackoff(
+          () => namespaceIndex.fetch(ids),
+          { label: "Pinecone fetch" },
+        );
+        // Vectors deleted since they were listed are skipped
+        yield ids
+          .filter((id) => records[id])
+          .map((id) => ({
+            id,
+            values: records[id].values,
+            metadata: records[id].metadata,
+          }));
+      }
+      paginationToken = page.pagination?.next;
+    } while (paginationToken);
   }
 
   /**
@@ -258,46 +443,75 @@ export class PineconeManager {
    * Takes a query embedding and finds the most semantically similar code.
    * Returns both the similarity scores and metadata for retrieval.
    *
-   * The search uses cosine similarity in the 1536-dimensional space created
-   * by OpenAI's text-embedding-ada-002 model.
+   * The search uses cosine similarity in the vector space of the configured
+   * embedding provider (1536 dimensions with OpenAI's text-embedding-3-small).
    *
    * Results include:
    * - id: Function or class name
    * - score: Similarity score (0-1, higher is better)
    * - metadata: filepath and type for context
-   * - values: The embedding vector itself
+   * - values: The embedding vector itself, when requested
    *
    * @async
-   * @param {Array<number>} embedding - Query embedding (1536 dimensions)
+   * @param {Array<number>} embedding - Query embedding (of the index's dimension)
    *                                    Generated from user query
-   * @param {string} [namespace] - Pinecone namespace to search in
-   *                              (defaults to user's session namespace)
+   * @param {string} namespace - Pinecone namespace to search in
    * @param {number} [topK=3] - Number of top results to return
    *                           Balance between relevance and performance
+   * @param {Object} [filter] - Pinecone metadata filter, e.g.
+   *                            `{type: {$in: ["doc", "config"]}}`
+   * @param {Object} [options]
+   * @param {boolean} [options.includeValues=false] - Return the matched
+   *        vectors (searches only need their metadata)
    * @returns {Promise<Object>} Query response with matches array
-   *          Each match contains: id, score, metadata, values
+   *          Each match contains: id, score, metadata, and values if requested
    * @throws {Error} If query fails or namespace doesn't exist
    *
    * @example
    * const queryEmbedding = [0.123, -0.456, ...]; // 1536 values
-   * const results = await manager.similaritySearch(queryEmbedding);
+   * const results = await manager.similaritySearch(queryEmbedding, 'codebase123');
    * // Results: {matches: [{id: 'authenticate', score: 0.87, metadata: {...}}, ...]}
+   *
+   * // Search the project's documentation and configuration only
+   * await manager.similaritySearch(queryEmbedding, namespace, 3, {
+   *   type: { $in: ['doc', 'config'] },
+   * });
    */
   async similaritySearch(
     embedding,
-    namespace = `codebase${cookies().get("seed").value}`,
+    namespace,
     topK = 3,
+    filter,
+    { includeValues = false } = {},
   ) {
-    const queryResponse = await this.index.namespace(namespace).query({
+    return this.getNamespaceIndex(namespace).query({
       vector: embedding, // Query vector for similarity search
       topK: topK, // Return top 3 most similar results
-      includeValues: true, // Include embedding vectors in response
+      includeValues, // Include embedding vectors in response
       includeMetadata: true, // Include filepath and type metadata
+      ...(filter && { filter }), // Restrict matches by metadata (e.g. element type)
     });
+  }
 
-    console.log(queryResponse.matches);
-
-    return queryResponse;
+  /**
+   * Reports the size of a namespace
+   *
+   * @async
+   * @param {string} namespace - Namespace to describe
+   * @returns {Promise<{dimension: number, vectorCount: number}>} Dimension
+   *          of the index and number of vectors in the namespace
+   *
+   * @example
+   * await manager.getStats('codebase123');
+   * // Returns: { dimension: 1536, vectorCount: 412 }
+   */
+  async getStats(namespace) {
+    this.getNamespaceIndex(namespace); // Validates the namespace
+    const stats = await this.index.describeIndexStats();
+    return {
+      dimension: stats.dimension ?? this.dimension,
+      vectorCount: stats.namespaces?.[namespace]?.recordCount ?? 0,
+    };
   }
 
   /**
@@ -319,6 +533,8 @@ export class PineconeManager {
    */
   async clearIndex() {
     await this.pc.deleteIndex(this.indexName);
+    // The next ensureIndex() creates it again
+    this.provisioning = null;
   }
 
   /**
@@ -333,18 +549,33 @@ export class PineconeManager {
    * - Can be called per-user cleanup requests
    *
    * @async
-   * @param {string} [namespace] - Namespace to clear
-   *                              (defaults to user's session namespace)
+   * @param {string} namespace - Namespace to clear
    * @returns {Promise<void>} Resolves when namespace is cleared
    * @throws {Error} If deletion fails
    *
    * @example
    * // Called when user clicks "Delete Codebase" button
-   * await manager.deleteVectorsFromNamespace();
+   * await manager.deleteVectorsFromNamespace('codebase123');
    */
-  async deleteVectorsFromNamespace(
-    namespace = `codebase${cookies().get("seed").value}`,
-  ) {
-    await this.index.namespace(namespace).deleteAll();
+  async deleteVectorsFromNamespace(namespace) {
+    await this.getNamespaceIndex(namespace).deleteAll();
+  }
+
+  /**
+   * Returns the index scoped to a namespace
+   *
+   * Pinecone treats a missing namespace as its default namespace, which
+   * would mix the vectors of every codebase, so one is always required.
+   *
+   * @param {string} namespace - Namespace ("codebase{seed}")
+   * @returns {Object} The Pinecone index operating on the namespace
+   * @throws {Error} If no namespace is given
+   * @private
+   */
+  getNamespaceIndex(namespace) {
+    if (!namespace || typeof namespace !== "string") {
+      throw new Error("A vector store namespace is required");
+    }
+    return this.index.namespace(namespace);
   }
 }
@@ -13,6 +13,10 @@
  */
 import { createClient } from "redis";
 
+// Reconnection attempts before connectRedis gives up (2.5 seconds); the
+// next call to connectRedis starts over
+const MAX_RECONNECT_ATTEMPTS = 5;
+
 /**
  * Redis client instance (not connected until connectRedis is called)
  * Configured with:
@@ -28,9 +32,19 @@ export const client = createClient({
   socket: {
     host: process.env.REDIS_HOST,
     port: parseInt(process.env.REDIS_PORT || "19829"),
+    // Without a limit, connecting to an unreachable server would never
+    // settle, and requests waiting on Redis would hang
+    reconnectStrategy: (retries, cause) =>
+      retries < MAX_RECONNECT_ATTEMPTS
+        ? Math.min(100 * 2 ** retries, 1000)
+        : cause,
   },
 });
 
+// Without a listener, a lost connection would crash the server; the client
+// reconnects by itself, up to MAX_RECONNECT_ATTEMPTS times
+client.on("error", (error) => console.error("Redis error:", error.message));
+
 /**
  * Establishes connection to Redis if not already connected
  * Safe to call multiple times - only creates one connection
@@ -0,0 +1,76 @@
+/**
+ * Reranker Configuration Module
+ *
+ * Chooses the reranker that reorders search results before they are shown
+ * or sent to the chat model (see reranking.js). The reranker is configured
+ * with the following environment variables:
+ * - RERANKER: "none" (default), "llm" or "cross-encoder"
+ * - RERANKER_MODEL: Chat model of "llm" (defaults to CHAT_MODEL), or the
+ *   model name reported by "cross-encoder"
+ * - RERANKER_URL: Server URL of "cross-encoder", e.g. "http://localhost:8080"
+ *
+ * "none" keeps the retrieval order. "llm" uses the OpenAI API: every search
+ * and chat message then makes one more chat completion request, scoring 30
+ * candidates (search results keep their retrieval order when OPENAI_API_KEY
+ * is missing). "cross-encoder" runs locally, without API costs (see
+ * rerankers/crossEncoderReranker.js). Reranking is opt-in because of the
+ * cost of "llm".
+ *
+ * @module rerankerConfig
+ * @exports {Reranker|null} reranker - Configured reranker, null for "none"
+ *
+ * @throws {Error} If RERANKER is unknown, or "cross-encoder" has no RERANKER_URL
+ */
+import { createCrossEncoderReranker } from "./rerankers/crossEncoderReranker";
+import { createLLMReranker } from "./rerankers/llmReranker";
+
+/**
+ * @typedef {Object} Reranker
+ * @property {string} name - Reranker name ("llm", "cross-encoder")
+ * @property {string} model - Model scoring the candidates
+ * @property {function(string, string[]): Promise<Array<{index: number, score: number, reason: string}>>} rerank -
+ *           Scores the relevance of candidate texts to a query between 0 and
+ *           1, with the reason for each score; candidates may be left out
+ */
+
+/**
+ * Creates the reranker described by a configuration
+ *
+ * @param {Object} [env=process.env] - Configuration variables (see module docs)
+ * @returns {Reranker|null} The configured reranker, or null for "none"
+ * @throws {Error} If the configuration is invalid
+ *
+ * @example
+ * const reranker = createReranker({ RERANKER: 'cross-encoder', RERANKER_URL: 'http://localhost:8080' });
+ * // reranker.name === 'cross-encoder'
+ */
+export function createReranker(env = process.env) {
+  switch (env.RERANKER || "none") {
+    case "llm":
+      return createLLMReranker({
+        apiKey: env.OPENAI_API_KEY,
+        // Same default chat model as openAIConfig.js
+        model: env.RERANKER_MODEL || env.CHAT_MODEL || "gpt-3.5-turbo",
+      });
+    case "cross-encoder":
+      if (!env.RERANKER_URL) {
+        throw new Error(
+          'RERANKER_URL is required by the "cross-encoder" reranker',
+        );
+      }
+      return createCrossEncoderReranker({
+        url: env.RERANKER_URL,
+        model: env.RERANKER_MODEL,
+      });
+    case "none":
+      return null;
+    default:
+      throw new Error(`Unknown RERANKER: ${env.RERANKER}`);
+  }
+}
+
+/**
+ * Reranker shared by the search and chat routes
+ * @type {Reranker|null}
+ */
+export const reranker = createReranker();
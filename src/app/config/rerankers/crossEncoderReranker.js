@@ -0,0 +1,76 @@
+/**
+ * Cross-Encoder Reranker
+ *
+ * Reranks search results with a cross-encoder model (e.g.
+ * BAAI/bge-reranker-base or cross-encoder/ms-marco-MiniLM-L-6-v2) served
+ * locally by Hugging Face's text-embeddings-inference, or any server with
+ * the same `POST /rerank` endpoint:
+ *
+ * docker run -p 8080:80 ghcr.io/huggingface/text-embeddings-inference:cpu-1.5 \
+ *   --model-id BAAI/bge-reranker-base
+ *
+ * A cross-encoder reads the query and each candidate together, which ranks
+ * more accurately than comparing separately computed embeddings, without
+ * sending code to an external API. It scores relevance but cannot explain
+ * it, so the reason given for each pick is its score.
+ *
+ * @module rerankers/crossEncoderReranker
+ */
+import { retryWithBackoff } from "@/app/database/retry";
+
+/**
+ * Creates a reranker backed by a cross-encoder server
+ *
+ * @param {Object} options
+ * @param {string} options.url - Server URL, e.g. "http://localhost:8080"
+ * @param {string} [options.model="cross-encoder"] - Model name used in reasons and logs
+ * @returns {import('../rerankerConfig').Reranker} The reranker
+ *
+ * @example
+ * const reranker = createCrossEncoderReranker({ url: 'http://localhost:8080', model: 'bge-reranker-base' });
+ * await reranker.rerank('How are users authenticated?', ['function login() {...}', 'const USER = 1']);
+ * // Returns: [{ index: 0, score: 0.93, reason: 'bge-reranker-base relevance 0.93' }, ...]
+ */
+export function createCrossEncoderReranker({ url, model = "cross-encoder" }) {
+  const endpoint = `${url.replace(/\/+$/, "")}/rerank`;
+
+  return {
+    name: "cross-encoder",
+    model,
+
+    async rerank(query, documents) {
+      const results = await retryWithBackoff(
+        async () => {
+          const response = await fetch(endpoint, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            // Scores between 0 and 1; long candidates are cut to the model's limit
+            body: JSON.stringify({
+              query,
+              texts: documents,
+              raw_scores: false,
+              truncate: true,
+            }),
+          });
+          if (!response.ok) {
+            const error = new Error(
+              `Cross-encoder request failed: ${response.status} ${await response.text()}`,
+            );
+            // Lets retryWithBackoff recognize rate limits and server errors
+            error.status = response.status;
+            error.headers = response.headers;
+            throw error;
+          }
+          return response.json();
+        },
+        { maxRetries: 2, label: "Reranking" },
+      );
+
+      return results.map(({ index, score }) => ({
+        index,
+        score,
+        reason: `${model} relevance ${score.toFixed(2)}`,
+      }));
+    },
+  };
+}
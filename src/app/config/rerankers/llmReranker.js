@@ -0,0 +1,125 @@
+/**
+ * LLM Reranker
+ *
+ * Reranks search results by asking the chat model to score how well each
+ * candidate answers the query, with a one-sentence reason per candidate.
+ * Unlike similarity scores, the model can tell the function that implements
+ * something from a variable or comment that merely mentions the same words.
+ *
+ * All candidates are scored in one request; a JSON response is requested so
+ * the scores can be parsed reliably.
+ *
+ * @module rerankers/llmReranker
+ */
+import { retryWithBackoff } from "@/app/database/retry";
+import OpenAI from "openai";
+
+// Highest score the model is asked to give
+const MAX_SCORE = 10;
+
+const SYSTEM_PROMPT =
+  "You rank code search results. Given a question and numbered candidates " +
+  "from a codebase, score how well each candidate answers the question, " +
+  `from 0 (irrelevant) to ${MAX_SCORE} (directly answers it). Prefer the ` +
+  "function, class or documentation that answers the question over " +
+  "variables, imports or comments that only mention its words. " +
+  'Reply with JSON: {"results": [{"index": <candidate number>, ' +
+  '"score": <0-10>, "reason": "<one short sentence>"}]}, one entry per candidate.';
+
+/**
+ * Creates a reranker backed by a chat completion model
+ *
+ * The OpenAI client is created on first use, so the reranker can be
+ * configured without an API key; reranking then fails, and callers keep the
+ * retrieval order.
+ *
+ * @param {Object} options
+ * @param {string} [options.apiKey] - OpenAI API key
+ * @param {string} options.model - Chat model, e.g. "gpt-3.5-turbo"
+ * @returns {import('../rerankerConfig').Reranker} The reranker
+ *
+ * @example
+ * const reranker = createLLMReranker({ apiKey: process.env.OPENAI_API_KEY, model: 'gpt-3.5-turbo' });
+ * await reranker.rerank('How are users authenticated?', ['function login() {...}', 'const USER = 1']);
+ * // Returns: [{ index: 0, score: 0.9, reason: 'Implements the login flow.' }, { index: 1, score: 0.1, reason: '...' }]
+ */
+export function createLLMReranker({ apiKey, model }) {
+  let client;
+
+  return {
+    name: "llm",
+    model,
+
+    async rerank(query, documents) {
+      client ??= new OpenAI({ apiKey });
+      const response = await retryWithBackoff(
+        () =>
+          client.chat.completions.create(
+            {
+              model,
+              messages: [
+                { role: "system", content: SYSTEM_PROMPT },
+                {
+                  role: "user",
+                  content:
+                    `Question: ${query}\n\n` +
+                    documents
+                      .map((document, i) => `[${i}]\n${document}`)
+                      .join("\n\n"),
+                },
+              ],
+              response_format: { type: "json_object" },
+              temperature: 0,
+            },
+            { maxRetries: 0 }, // Retried below with the shared backoff policy
+          ),
+        { maxRetries: 2, label: "Reranking" },
+      );
+
+      return parseRerankResponse(
+        response.choices[0]?.message?.content,
+        documents.length,
+      );
+    },
+  };
+}
+
+/**
+ * Parses the model's scores, ignoring malformed entries
+ *
+ * @private
+ * @param {string} content - JSON reply of the model
+ * @param {number} documentCount - Number of candidates sent
+ * @returns {Array<{index: number, score: number, reason: string}>} Scores
+ *          scaled to 0-1, at most one per candidate
+ * @throws {Error} If the reply is not JSON with a results list
+ */
+function parseRerankResponse(content, documentCount) {
+  let results;
+  try {
+    ({ results } = JSON.parse(content));
+  } catch (error) {
+    throw new Error(`Reranker returned invalid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(results)) {
+    throw new Error("Reranker response has no results list");
+  }
+
+  const scores = new Map();
+  for (const result of results) {
+    if (
+      Number.isInteger(result?.index) &&
+      result.index >= 0 &&
+      result.index < documentCount &&
+      typeof result.score === "number" &&
+      !scores.has(result.index)
+    ) {
+      scores.set(result.index, {
+        index: result.index,
+        score: Math.min(Math.max(result.score, 0), MAX_SCORE) / MAX_SCORE,
+        reason: typeof result.reason === "string" ? result.reason : "",
+      });
+    }
+  }
+  return [...scores.values()];
+}
@@ -0,0 +1,96 @@
+/**
+ * Vector Store Configuration Module
+ *
+ * Chooses where vector embeddings are stored and searched. The store is
+ * configured with the following environment variables:
+ * - VECTOR_STORE: "pinecone" (default) or "local"
+ * - PINECONE_API_KEY, PINECONE_INDEX: Pinecone credentials and index name
+ *   (default "syntaxsorcerer"), used by "pinecone"
+ *
+ * The "local" store keeps a flat index per namespace inside each codebase
+ * directory (see localVectorStore/localVectorStore.js). Together with the
+ * "local" embedding provider (see embeddingConfig.js) it lets the pipeline
+ * run offline, without any external service but Redis.
+ *
+ * Both stores hold vectors of the embedding provider's dimension. Namespaces
+ * indexed into another store are re-embedded with POST /migrate.
+ *
+ * @module vectorStoreConfig
+ * @exports {VectorStore} vectorStore - Configured vector store
+ *
+ * @throws {Error} If VECTOR_STORE is unknown
+ */
+import { embeddingProvider } from "./embeddingConfig";
+import { LocalVectorStore } from "./localVectorStore/localVectorStore";
+import { PineconeManager } from "./pinecone/pineconeManager";
+
+/**
+ * Interface shared by PineconeManager and LocalVectorStore. Every
+ * operation takes the namespace ("codebase{seed}", see getNamespace in
+ * sessionStore.js) explicitly, so the stores work outside a request.
+ *
+ * @typedef {Object} VectorStore
+ * @property {string} name - Store type ("pinecone", "local")
+ * @property {string} indexName - Index holding the vectors, recorded in each
+ *           namespace's embedding manifest
+ * @property {number} dimension - Length of the stored vectors
+ * @property {function(): Promise<void>} ensureIndex - Creates the index if
+ *           missing and waits until it is ready; rejects if it has another
+ *           dimension or metric
+ * @property {function(): Promise<{name: string, dimension: number, metric: string, ready: boolean, state: string}|null>} describeIndex -
+ *           Reports the index's settings and status, null if it is missing
+ * @property {function(Object, string): Promise<number>} upsertEmbeddings -
+ *           Stores the embedded elements of a parser output in a namespace;
+ *           resolves with the number of vectors stored
+ * @property {function(import('../database/vectorRecords').VectorRecord[], string): Promise<number>} upsertRecords -
+ *           Stores ready-made vector records (e.g. restored from a snapshot)
+ * @property {function(string): AsyncGenerator<import('../database/vectorRecords').VectorRecord[]>} listVectors -
+ *           Reads every vector of a namespace, a page at a time
+ * @property {function(number[], string, number=, Object=, {includeValues: boolean}=): Promise<{matches: Object[]}>} similaritySearch -
+ *           Returns the topK vectors most similar to an embedding, optionally
+ *           restricted by a metadata filter; matches are {id, score, metadata},
+ *           with `values` only if includeValues is set
+ * @property {function(string): Promise<void>} deleteVectorsFromNamespace -
+ *           Deletes every vector of a namespace
+ * @property {function(string): Promise<{dimension: number, vectorCount: number}>} getStats -
+ *           Reports the dimension and number of vectors of a namespace
+ */
+
+/**
+ * Creates the vector store described by a configuration
+ *
+ * @param {Object} [env=process.env] - Configuration variables (see module docs)
+ * @param {Object} [options]
+ * @param {number} [options.dimension] - Vector dimension (defaults to the
+ *        embedding provider's)
+ * @param {string} [options.indexName] - Pinecone index (defaults to
+ *        PINECONE_INDEX)
+ * @returns {VectorStore} The configured store
+ * @throws {Error} If VECTOR_STORE is unknown
+ *
+ * @example
+ * const store = createVectorStore({ VECTOR_STORE: 'local', NEXT_PUBLIC_CODEBASE_DIR: '/tmp/codebases' });
+ * // store.indexName === 'local'
+ */
+export function createVectorStore(
+  env = process.env,
+  {
+    dimension = embeddingProvider.dimension,
+    indexName = env.PINECONE_INDEX || "syntaxsorcerer",
+  } = {},
+) {
+  switch (env.VECTOR_STORE || "pinecone") {
+    case "pinecone":
+      return new PineconeManager(env.PINECONE_API_KEY, indexName, dimension);
+    case "local":
+      return new LocalVectorStore(`${env.NEXT_PUBLIC_CODEBASE_DIR}`, dimension);
+    default:
+      throw new Error(`Unknown VECTOR_STORE: ${env.VECTOR_STORE}`);
+  }
+}
+
+/**
+ * Vector store shared by indexing and search
+ * @type {VectorStore}
+ */
+export const vectorStore = createVectorStore();
@@ -0,0 +1,81 @@
+/**
+ * Concurrency Limiting Module
+ *
+ * Bounds how many requests run at the same time. A limiter is shared by every
+ * caller that imports it, so all files indexed in parallel draw from the same
+ * pool instead of each opening their own connections.
+ *
+ * @module concurrency
+ */
+
+/**
+ * Creates a limiter that runs at most `maxConcurrent` tasks at a time
+ *
+ * Tasks beyond the limit wait in a first-in, first-out queue.
+ *
+ * @param {number} maxConcurrent - Largest number of tasks running at once
+ * @returns {function(function(): Promise<T>): Promise<T>} Runs a task when a slot is free
+ *          and resolves or rejects with its result
+ *
+ * @example
+ * const limit = createConcurrencyLimiter(4);
+ * const results = await Promise.all(batches.map((batch) => limit(() => embed(batch))));
+ */
+export function createConcurrencyLimiter(maxConcurrent) {
+  let running = 0;
+  const queue = [];
+
+  const next = () => {
+    if (running >= maxConcurrent || queue.length === 0) {
+      return;
+    }
+
+    running++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        running--;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+/**
+ * Creates a queue that runs the tasks of each key one at a time, in order
+ *
+ * Tasks of different keys run concurrently. A failed task does not stop the
+ * tasks queued after it; its caller receives the error.
+ *
+ * @returns {function(string, function(): Promise<T>): Promise<T>} Runs a task
+ *          after the earlier tasks of its key and resolves or rejects with its result
+ *
+ * @example
+ * const serialize = createSerialQueue();
+ * await serialize(codebasePath, () => fsp.appendFile(file, lines));
+ */
+export function createSerialQueue() {
+  const pending = new Map();
+
+  return (key, task) => {
+    const previous = pending.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    pending.set(key, next);
+
+    // Forget finished keys so the map does not grow with every key used
+    const forget = () => {
+      if (pending.get(key) === next) {
+        pending.delete(key);
+      }
+    };
+    next.then(forget, forget);
+    return next;
+  };
+}
@@ -16,12 +16,13 @@ import { createObjectCsvWriter as createCsvWriter } from "csv-writer";
 /**
  * Writes extracted code elements to a CSV file
  *
- * Combines functions and classes into a single CSV with standardized columns.
+ * Combines functions, classes and misc blocks into a single CSV with standardized columns.
  * Each code element is represented as one row with its metadata and full embedding vector.
  *
  * @param {Object} data - The extracted code elements with embeddings
  * @param {Array} data.functions - Array of function objects with {code, function_name, filepath, embedding}
  * @param {Array} data.classes - Array of class objects with {code, class_name, filepath, embedding}
+ * @param {Array} [data.misc] - Array of misc blocks with {code, misc_name, filepath, embedding}
  * @param {string} outputPath - The file path where the CSV should be written
  *
  * @returns {Promise<void>} Resolves when the file is successfully written
@@ -64,14 +65,14 @@ export function writeToCsv(data, outputPath) {
       filepath: item.filepath,
       embedding: JSON.stringify(item.embedding), // Serialize embedding vector to JSON
     })),
-    /* Placeholder for future support of miscellaneous code blocks
-      ...data.misc.map(item => ({
-        type: 'misc',
-        name: '',
-        code: item.code,
-        filepath: item.filepath,
-        embeddings: JSON.stringify(item.embedding)
-      })) */
+    // Convert miscellaneous code blocks (top-level statements) to CSV records
+    ...(data.misc || []).map((item) => ({
+      type: "misc",
+      name: item.misc_name,
+      code: item.code,
+      filepath: item.filepath,
+      embedding: JSON.stringify(item.embedding), // Serialize embedding vector to JSON
+    })),
   ];
 
   // Write records to CSV file
@@ -0,0 +1,319 @@
+/**
+ * Embedding Cache Module
+ *
+ * Remembers the embedding of every text embedded, keyed by a hash of the
+ * embedding model and the exact input text, so re-uploading a codebase (or
+ * uploading a fork sharing most of its code) costs no embedding requests for
+ * the code that did not change.
+ *
+ * The cache is configured with the following environment variables:
+ * - EMBEDDING_CACHE: "disk" (default), "redis" or "off"
+ * - EMBEDDING_CACHE_DIR: Directory of the disk cache
+ *   (defaults to {CODEBASE_DIR}/.embedding-cache)
+ * - EMBEDDING_CACHE_TTL_DAYS: Entries not used for this many days are
+ *   evicted (default 30)
+ * - EMBEDDING_CACHE_MAX_ENTRIES: Largest number of entries kept on disk; the
+ *   least recently used are evicted first (default 100000). The Redis cache
+ *   relies on the TTL and the server's maxmemory policy instead.
+ *
+ * Vectors are stored as 32-bit floats (6KB for 1536 dimensions). Cache errors
+ * (e.g. Redis being unreachable) are logged and treated as misses: the cache
+ * never fails an indexing run.
+ *
+ * @module embeddingCache
+ */
+import crypto from "crypto";
+import fsp from "fs/promises";
+import path from "path";
+import { connectRedis } from "../config/redisConfig";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Prefix of the cache's Redis keys
+const REDIS_KEY_PREFIX = "embedding:";
+
+/**
+ * @typedef {Object} EmbeddingCache
+ * @property {string} name - Backend name ("disk", "redis", "off")
+ * @property {function(string[]): Promise<Array<number[]|null>>} getMany -
+ *           Looks up keys, returning the cached vector or null for each
+ * @property {function(Array<[string, number[]]>): Promise<void>} setMany -
+ *           Stores vectors under their keys
+ * @property {function(): Promise<number>} prune - Applies the eviction
+ *           policy, returning the number of entries evicted
+ */
+
+/**
+ * Computes the cache key of an input text
+ *
+ * The model identifies the vector space, so it must include everything
+ * changing the vectors (model name and dimension).
+ *
+ * @param {string} model - Embedding model and dimension, e.g. "text-embedding-ada-002@1536"
+ * @param {string} text - Exact text sent to the embedding model
+ * @returns {string} Hex-encoded SHA-256 hash
+ *
+ * @example
+ * getEmbeddingCacheKey('text-embedding-ada-002@1536', 'function add(a, b) {}');
+ * // Returns: '3f1c...' (64 hex characters)
+ */
+export function getEmbeddingCacheKey(model, text) {
+  return crypto
+    .createHash("sha256")
+    .update(model)
+    .update("\0")
+    .update(text)
+    .digest("hex");
+}
+
+/**
+ * Creates the embedding cache described by a configuration
+ *
+ * @param {Object} [env=process.env] - Configuration variables (see module docs)
+ * @returns {EmbeddingCache} The configured cache
+ * @throws {Error} If EMBEDDING_CACHE is unknown
+ */
+export function createEmbeddingCache(env = process.env) {
+  const ttlMs = (Number(env.EMBEDDING_CACHE_TTL_DAYS) || 30) * DAY_MS;
+
+  switch (env.EMBEDDING_CACHE || "disk") {
+    case "disk":
+      return withErrorLogging(
+        createDiskCache({
+          directory:
+            env.EMBEDDING_CACHE_DIR ||
+            path.join(env.NEXT_PUBLIC_CODEBASE_DIR || ".", ".embedding-cache"),
+          ttlMs,
+          maxEntries: Number(env.EMBEDDING_CACHE_MAX_ENTRIES) || 100000,
+        }),
+      );
+    case "redis":
+      return withErrorLogging(createRedisCache({ ttlMs }));
+    case "off":
+      return {
+        name: "off",
+        getMany: async (keys) => keys.map(() => null),
+        setMany: async () => {},
+        prune: async () => 0,
+      };
+    default:
+      throw new Error(`Unknown EMBEDDING_CACHE: ${env.EMBEDDING_CACHE}`);
+  }
+}
+
+/**
+ * Cache shared by every indexing run
+ * @type {EmbeddingCache}
+ */
+export const embeddingCache = createEmbeddingCache();
+
+/**
+ * Stores each entry as a file named by its key, sharded by the key's first
+ * two characters. A file's modification time records when it was last used.
+ *
+ * @private
+ * @param {Object} options
+ * @param {string} options.directory - Cache directory
+ * @param {number} options.ttlMs - Age after which unused entries are evicted
+ * @param {number} options.maxEntries - Largest number of entries kept
+ * @returns {EmbeddingCache}
+ */
+function createDiskCache({ directory, ttlMs, maxEntries }) {
+  const entryPath = (key) => path.join(directory, key.slice(0, 2), key);
+
+  return {
+    name: "disk",
+
+    async getMany(keys) {
+      const now = new Date();
+      return Promise.all(
+        keys.map(async (key) => {
+          try {
+            const buffer = await fsp.readFile(entryPath(key));
+            // Mark the entry as recently used
+            await fsp.utimes(entryPath(key), now, now);
+            return decodeVector(buffer);
+          } catch (error) {
+            if (error.code === "ENOENT") {
+              return null;
+            }
+            throw error;
+          }
+        }),
+      );
+    },
+
+    async setMany(entries) {
+      for (const [key, vector] of entries) {
+        const filePath = entryPath(key);
+        await fsp.mkdir(path.dirname(filePath), { recursive: true });
+        // Write then rename, so concurrent readers never see a partial file
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fsp.writeFile(tempPath, encodeVector(vector));
+        await fsp.rename(tempPath, filePath);
+      }
+    },
+
+    async prune() {
+      let shards;
+      try {
+        shards = await fsp.readdir(directory);
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return 0;
+        }
+        throw error;
+      }
+
+      const entries = [];
+      for (const shard of shards) {
+        const shardPath = path.join(directory, shard);
+        for (const name of await fsp.readdir(shardPath)) {
+          const filePath = path.join(shardPath, name);
+          entries.push({
+            filePath,
+            usedAt: (await fsp.stat(filePath)).mtimeMs,
+          });
+        }
+      }
+
+      // Evict expired entries, then the least recently used beyond the limit
+      entries.sort((a, b) => b.usedAt - a.usedAt);
+      const expiredBefore = Date.now() - ttlMs;
+      const evicted = entries.filter(
+        (entry, i) => i >= maxEntries || entry.usedAt < expiredBefore,
+      );
+      await Promise.all(evicted.map((entry) => fsp.rm(entry.filePath)));
+      return evicted.length;
+    },
+  };
+}
+
+/**
+ * Stores each entry as a Redis string expiring `ttlMs` after its last use
+ *
+ * @private
+ * @param {Object} options
+ * @param {number} options.ttlMs - Age after which unused entries expire
+ * @returns {EmbeddingCache}
+ */
+function createRedisCache({ ttlMs }) {
+  const ttlSeconds = Math.ceil(ttlMs / 1000);
+
+  return {
+    name: "redis",
+
+    async getMany(keys) {
+      if (keys.length === 0) {
+        return [];
+      }
+      const client = await connectRedis();
+      const redisKeys = keys.map((key) => REDIS_KEY_PREFIX + key);
+      const values = await client.mGet(redisKeys);
+
+      // Mark the hits as recently used
+      const multi = client.multi();
+      values.forEach((value, i) => {
+        if (value !== null) {
+          multi.expire(redisKeys[i], ttlSeconds);
+        }
+      });
+      await multi.exec();
+
+      return values.map((value) =>
+        value === null ? null : decodeVector(Buffer.from(value, "base64")),
+      );
+    },
+
+    async setMany(entries) {
+      if (entries.length === 0) {
+        return;
+      }
+      const client = await connectRedis();
+      const multi = client.multi();
+      entries.forEach(([key, vector]) => {
+        multi.set(
+          REDIS_KEY_PREFIX + key,
+          encodeVector(vector).toString("base64"),
+          { EX: ttlSeconds },
+        );
+      });
+      await multi.exec();
+    },
+
+    // Redis expires entries by itself
+    async prune() {
+      return 0;
+    },
+  };
+}
+
+/**
+ * Wraps a cache so its errors are logged and treated as misses
+ *
+ * @private
+ * @param {EmbeddingCache} cache - Cache to wrap
+ * @returns {EmbeddingCache}
+ */
+function withErrorLogging(cache) {
+  return {
+    name: cache.name,
+
+    async getMany(keys) {
+      try {
+        return await cache.getMany(keys);
+      } catch (error) {
+        console.warn(
+          `Embedding cache (${cache.name}) read failed:`,
+          error.message,
+        );
+        return keys.map(() => null);
+      }
+    },
+
+    async setMany(entries) {
+      try {
+        await cache.setMany(entries);
+      } catch (error) {
+        console.warn(
+          `Embedding cache (${cache.name}) write failed:`,
+          error.message,
+        );
+      }
+    },
+
+    async prune() {
+      try {
+        return await cache.prune();
+      } catch (error) {
+        console.warn(
+          `Embedding cache (${cache.name}) eviction failed:`,
+          error.message,
+        );
+        return 0;
+      }
+    },
+  };
+}
+
+/**
+ * @private
+ * @param {number[]} vector - Embedding
+ * @returns {Buffer} The vector as little-endian 32-bit floats
+ */
+function encodeVector(vector) {
+  const buffer = Buffer.alloc(vector.length * 4);
+  vector.forEach((value, i) => buffer.writeFloatLE(value, i * 4));
+  return buffer;
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer - Little-endian 32-bit floats
+ * @returns {number[]} Embedding
+ */
+function decodeVector(buffer) {
+  return Array.from({ length: buffer.length / 4 }, (_, i) =>
+    buffer.readFloatLE(i * 4),
+  );
+}
@@ -0,0 +1,158 @@
+/**
+ * Embedding Manifest Module
+ *
+ * Records the embedding model, dimension and Pinecone index a session's
+ * namespace was built with, as the session document "embedding" (see
+ * sessionStore.js):
+ *
+ * { "provider": "openai", "model": "text-embedding-3-small", "dimension": 1536,
+ *   "index": "syntaxsorcerer", "indexed_at": "2024-09-01T12:00:00.000Z" }
+ *
+ * Vectors of different models live in unrelated spaces: comparing a query
+ * embedded with one model against vectors of another returns meaningless
+ * scores without any error. Search therefore checks the manifest against the
+ * configured provider and refuses namespaces built with another model; they
+ * are re-embedded by the migration (see migrateEmbeddings.js).
+ *
+ * @module embeddingManifest
+ */
+import { embeddingProvider } from "../config/embeddingConfig";
+import { readSessionData, writeSessionData } from "./sessionStore";
+
+// Session document holding the manifest
+const MANIFEST_NAME = "embedding";
+
+/**
+ * Manifest assumed for namespaces indexed before manifests were recorded
+ * @type {EmbeddingManifest}
+ */
+export const LEGACY_EMBEDDING_MANIFEST = {
+  provider: "openai",
+  model: "text-embedding-ada-002",
+  dimension: 1536,
+  index: "syntaxsorcerer",
+};
+
+/**
+ * @typedef {Object} EmbeddingManifest
+ * @property {string} provider - Embedding provider name
+ * @property {string} model - Embedding model
+ * @property {number} dimension - Vector dimension
+ * @property {string} index - Vector store index holding the namespace ("local" for the local store)
+ * @property {string} [indexed_at] - ISO timestamp of the indexing run
+ */
+
+/**
+ * Returns the manifest of namespaces indexed with the current configuration
+ *
+ * @param {string} indexName - Vector store index the vectors are written to
+ * @returns {EmbeddingManifest} Manifest without a timestamp
+ */
+export function getCurrentEmbeddingManifest(indexName) {
+  return {
+    provider: embeddingProvider.name,
+    model: embeddingProvider.model,
+    dimension: embeddingProvider.dimension,
+    index: indexName,
+  };
+}
+
+/**
+ * Records that a session is being indexed with the current configuration
+ *
+ * @async
+ * @param {string} codebasePath - The session's codebase directory
+ * @param {string} indexName - Vector store index the vectors are written to
+ * @returns {Promise<void>}
+ */
+export async function writeEmbeddingManifest(codebasePath, indexName) {
+  await writeSessionData(codebasePath, MANIFEST_NAME, {
+    ...getCurrentEmbeddingManifest(indexName),
+    indexed_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Records an earlier manifest of a session again, e.g. after a failed migration
+ *
+ * @async
+ * @param {string} codebasePath - The session's codebase directory
+ * @param {EmbeddingManifest} manifest - Manifest to record
+ * @returns {Promise<void>}
+ */
+export async function restoreEmbeddingManifest(codebasePath, manifest) {
+  await writeSessionData(codebasePath, MANIFEST_NAME, manifest);
+}
+
+/**
+ * Reads the manifest of a session
+ *
+ * @async
+ * @param {string} codebasePath - The session's codebase directory
+ * @returns {Promise<EmbeddingManifest>} The recorded manifest, or
+ *          LEGACY_EMBEDDING_MANIFEST for sessions indexed without one
+ */
+export async function readEmbeddingManifest(codebasePath) {
+  return (
+    (await readSessionData(codebasePath, MANIFEST_NAME)) ||
+    LEGACY_EMBEDDING_MANIFEST
+  );
+}
+
+/**
+ * Checks whether a session has a recorded manifest
+ *
+ * @async
+ * @param {string} codebasePath - The session's codebase directory
+ * @returns {Promise<boolean>} False for sessions not yet indexed, and for
+ *          those indexed before manifests were recorded
+ */
+export async function hasEmbeddingManifest(codebasePath) {
+  return (await readSessionData(codebasePath, MANIFEST_NAME)) !== null;
+}
+
+/**
+ * Describes how a manifest differs from the current configuration
+ *
+ * @param {EmbeddingManifest} manifest - Manifest of a namespace
+ * @param {string} indexName - Vector store index searched
+ * @returns {string|null} Why the namespace cannot be searched, or null when it can
+ *
+ * @example
+ * describeEmbeddingMismatch(LEGACY_EMBEDDING_MANIFEST, 'syntaxsorcerer-3-large');
+ * // Returns: 'This codebase was indexed with text-embedding-ada-002 (1536 dimensions) in index
+ * //           "syntaxsorcerer", but search uses text-embedding-3-large (3072 dimensions) in index
+ * //           "syntaxsorcerer-3-large". Re-upload the codebase or run the embedding migration.'
+ */
+export function describeEmbeddingMismatch(manifest, indexName) {
+  const current = getCurrentEmbeddingManifest(indexName);
+  if (
+    manifest.model === current.model &&
+    manifest.dimension === current.dimension &&
+    manifest.index === current.index
+  ) {
+    return null;
+  }
+
+  return (
+    `This codebase was indexed with ${manifest.model} (${manifest.dimension} dimensions) ` +
+    `in index "${manifest.index}", but search uses ${current.model} ` +
+    `(${current.dimension} dimensions) in index "${current.index}". ` +
+    "Re-upload the codebase or run the embedding migration."
+  );
+}
+
+/**
+ * Checks that a session's namespace can be searched with the current configuration
+ *
+ * @async
+ * @param {string} codebasePath - The session's codebase directory
+ * @param {string} indexName - Vector store index searched
+ * @returns {Promise<string|null>} Why the namespace cannot be searched, or null when it can
+ */
+export async function checkEmbeddingManifest(codebasePath, indexName) {
+  return describeEmbeddingMismatch(
+    await readEmbeddingManifest(codebasePath),
+    indexName,
+  );
+}
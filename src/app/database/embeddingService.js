@@ -1,28 +1,56 @@
 /**
  * Embedding Service Module
  *
- * Provides functionality for generating vector embeddings from text using OpenAI's API.
+ * Provides functionality for generating vector embeddings from text using the
+ * configured embedding provider (OpenAI by default, see embeddingConfig.js).
  * These embeddings are used to create semantic representations of code for similarity search
  * in the Pinecone vector database.
  *
- * Uses the text-embedding-ada-002 model for all embeddings:
- * - Dimension: 1536
+ * With the default OpenAI text-embedding-3-small model:
+ * - Dimension: 1536 (configurable, see embeddingConfig.js)
  * - Input limit: ~8,000 tokens per request
  *
+ * Code elements are embedded in batches (one request embeds up to
+ * MAX_BATCH_INPUTS texts). Requests from all files being indexed share one
+ * concurrency limit, and failed requests are retried with exponential backoff
+ * that honors rate-limit headers (see retry.js). Texts embedded before are
+ * read from the embedding cache instead (see embeddingCache.js).
+ *
  * @module embeddingService
  */
-import { openai } from "../config/openAIConfig";
+import { estimateTokens } from "@/lib/codeParser/chunker";
+import { CODE_ELEMENT_GROUPS } from "@/lib/codeParser/types";
+import {
+  embeddingProvider,
+  getEmbeddingModelId,
+} from "../config/embeddingConfig";
+import { createConcurrencyLimiter } from "./concurrency";
+import { embeddingCache, getEmbeddingCacheKey } from "./embeddingCache";
+import { renderEmbeddingText } from "./embeddingTemplate";
+import { isRetryableError, retryWithBackoff } from "./retry";
+
+// Most texts sent in one embeddings request
+const MAX_BATCH_INPUTS = 100;
+
+// Most (estimated) tokens sent in one embeddings request
+const MAX_BATCH_TOKENS = 100000;
+
+// Embeddings requests in flight at once, across all files being indexed
+const embeddingRequests = createConcurrencyLimiter(
+  Number(process.env.EMBEDDING_CONCURRENCY) || 4,
+);
 
 /**
- * Generates a vector embedding for the given text using OpenAI's API
+ * Generates a vector embedding for the given text using the embedding provider
  *
- * The embedding is a 1536-dimensional vector that represents the semantic meaning
- * of the input text. Used for similarity search in Pinecone.
+ * The embedding is a vector (1536 dimensions with the default model) that
+ * represents the semantic meaning of the input text. Used for similarity
+ * search in Pinecone.
  *
  * @async
  * @param {string} text - The text to generate an embedding for (code, function name, etc.)
- * @returns {Promise<number[]>} Array of 1536 floating-point numbers representing the embedding
- * @throws {Error} If OpenAI API call fails
+ * @returns {Promise<number[]|undefined>} Array of floating-point numbers representing the
+ *          embedding, or undefined if the request failed after all retries (the error is logged)
  *
  * @example
  * const embedding = await generateEmbeddings('function addNumbers(a, b) { return a + b; }');
@@ -30,78 +58,252 @@ import { openai } from "../config/openAIConfig";
  */
 export async function generateEmbeddings(text) {
   try {
-    // Request embeddings from OpenAI's text-embedding-ada-002 model
-    const response = await openai.embeddings.create({
-      model: "text-embedding-ada-002", // Use OpenAI's fast and efficient embedding model
-      input: text,
-      encoding_format: "float", // Request float format for precise vector values
-    });
-
-    // Extract and return the embedding vector
-    return response.data[0].embedding;
+    const [embedding] = await requestEmbeddings([text]);
+    return embedding;
   } catch (error) {
-    console.error("Error generating embeddings with OpenAI:", error);
+    console.error(
+      `Error generating embeddings with ${embeddingProvider.name}:`,
+      error,
+    );
+  }
+}
+
+/**
+ * Generates embeddings for several texts in a single API request
+ *
+ * The request waits for a free slot of the shared concurrency limit and is
+ * retried on rate limits and transient errors.
+ *
+ * @async
+ * @param {string[]} texts - Texts to embed (at most 2048, each within the model's input limit)
+ * @returns {Promise<number[][]>} One embedding per text, in the same order
+ * @throws {Error} If the request still fails after all retries, is invalid, or
+ *         the provider returns vectors of the wrong dimension
+ *
+ * @example
+ * const [first, second] = await requestEmbeddings(['function a() {}', 'class B {}']);
+ */
+export async function requestEmbeddings(texts) {
+  const embeddings = await embeddingRequests(() =>
+    retryWithBackoff(() => embeddingProvider.embed(texts), {
+      label: `Embedding request (${texts.length} inputs)`,
+    }),
+  );
+
+  if (embeddings.length !== texts.length) {
+    throw new Error(
+      `${embeddingProvider.model} returned ${embeddings.length} embeddings for ${texts.length} inputs`,
+    );
   }
+  // A vector of another length would be rejected by (or corrupt) the index
+  const invalid = embeddings.findIndex(
+    (embedding) => embedding?.length !== embeddingProvider.dimension,
+  );
+  if (invalid !== -1) {
+    throw new Error(
+      `${embeddingProvider.model} returned ${embeddings[invalid]?.length ?? 0}-dimensional vectors, ` +
+        `expected ${embeddingProvider.dimension}`,
+    );
+  }
+  return embeddings;
 }
 
 /**
- * Processes a collection of extracted code (functions, classes, comments, and variables) to add embeddings
- * Iterates through all code elements, generating embeddings for each
+ * Processes a collection of extracted code (functions, classes, type declarations, comments, variables and misc blocks) to add embeddings
+ * Collects all code elements, embeds them in batches, and records the outcome on each
+ * (elements split by the parser get an embedding on each of their `chunks` instead)
+ *
+ * The text embedded for an element is rendered from the embedding template:
+ * its path, kind, name, class, signature and documentation, then its code
+ * (see embeddingTemplate.js). The element's `code` is left unchanged.
+ *
+ * Texts found in the embedding cache are not sent to the provider; their
+ * elements are marked `embedding_cached`. New embeddings are added to the cache.
+ *
+ * Every element ends with an `embedding_status`:
+ * - "embedded": `embedding` is set (or every chunk has one)
+ * - "failed": the request failed after all retries; `embedding_error` holds
+ *   the reason. Chunked elements fail when any chunk fails - the chunks that
+ *   succeeded keep their embeddings and are still upserted.
+ *
+ * A batch rejected as invalid (e.g. one input over the token limit) is retried
+ * one text per request, so one bad element does not fail the whole batch.
  *
  * @async
  * @param {Object} dict - Dictionary containing extracted code blocks
  * @param {Array} dict.functions - Array of function objects with {code, function_name, filepath}
  * @param {Array} dict.classes - Array of class objects with {code, class_name, filepath}
+ * @param {Array} [dict.methods] - Array of class member objects with {code, method_name, parent_class, kind, filepath}
+ * @param {Array} [dict.typeDeclarations] - Array of TypeScript declarations with {code, type_name, type, filepath}
  * @param {Array} dict.comments - Array of comment objects with {code, comment_name, filepath}
  * @param {Array} dict.variables - Array of variable objects with {code, variable_name, filepath}
- * @returns {Promise<Object>} The same dictionary with added embedding field on each element
+ * @param {Array} [dict.misc] - Array of top-level statement blocks with {code, misc_name, filepath}
+ * @returns {Promise<Object>} The same dictionary with embedding and embedding_status fields on each element,
+ *          and `embedding_model` naming the model and dimension of the vectors
  *
  * @example
  * const codeDict = {
  *   functions: [{code: 'function add(...) {...}', function_name: 'add', filepath: 'utils.js'}],
  *   classes: [{code: 'class Parser {...}', class_name: 'Parser', filepath: 'parser.js'}],
- *   comments: [{code: '/** Parses input *///', comment_name: 'comment_1', filepath: 'parser.js'}],
-//  *   variables: [{code: 'const DEBUG = true', variable_name: 'DEBUG', filepath: 'config.js'}]
-//  * };
-//  * const withEmbeddings = await processAndUpdateDictionary(codeDict);
-//  * // Returns: {functions: [...with embedding], classes: [...with embedding], comments: [...with embedding], variables: [...with embedding]}
-//  */
+ * };
+ * const withEmbeddings = await processAndUpdateDictionary(codeDict);
+ * // withEmbeddings.functions[0]: {..., embedding: [...], embedding_status: 'embedded'}
+ * // on failure:                  {..., embedding_status: 'failed', embedding_error: '429 Rate limit reached'}
+ */
 export async function processAndUpdateDictionary(dict) {
-  // Generate embeddings for all extracted functions
-  for (const func of dict.functions) {
-    const embedding = await generateEmbeddings(func.code);
-    if (embedding) {
-      func.embedding = embedding;
-    }
-  }
+  // Every element (or chunk) to embed, with the text embedded for it
+  const targets = [];
+  const chunkedElements = [];
 
-  // Generate embeddings for all extracted classes
-  for (const cls of dict.classes) {
-    const embedding = await generateEmbeddings(cls.code);
-    if (embedding) {
-      cls.embedding = embedding;
+  for (const group of CODE_ELEMENT_GROUPS) {
+    if (!Array.isArray(dict[group.key])) {
+      continue;
     }
-  }
 
-  // Generate embeddings for all extracted comments
-  if (dict.comments && Array.isArray(dict.comments)) {
-    for (const comment of dict.comments) {
-      const embedding = await generateEmbeddings(comment.code);
-      if (embedding) {
-        comment.embedding = embedding;
+    for (const element of dict[group.key]) {
+      // Elements too large for one request are embedded chunk by chunk
+      if (element.chunks) {
+        chunkedElements.push(element);
+      }
+      for (const target of element.chunks || [element]) {
+        targets.push({
+          target,
+          text: renderEmbeddingText(element, group, {
+            chunk: element.chunks && target,
+            language: dict.language,
+          }),
+        });
       }
     }
   }
 
-  // Generate embeddings for all extracted variables
-  if (dict.variables && Array.isArray(dict.variables)) {
-    for (const variable of dict.variables) {
-      const embedding = await generateEmbeddings(variable.code);
-      if (embedding) {
-        variable.embedding = embedding;
+  // Identical text embedded by the same model has the same vector
+  dict.embedding_model = getEmbeddingModelId();
+  targets.forEach((item) => {
+    item.key = getEmbeddingCacheKey(dict.embedding_model, item.text);
+  });
+  const cached = await embeddingCache.getMany(targets.map(({ key }) => key));
+  const misses = targets.filter(({ target }, i) => {
+    if (cached[i]?.length !== embeddingProvider.dimension) {
+      return true;
+    }
+    target.embedding = cached[i];
+    target.embedding_status = "embedded";
+    target.embedding_cached = true;
+    return false;
+  });
+
+  await Promise.all(createBatches(misses).map(embedBatch));
+  await embeddingCache.setMany(
+    misses
+      .filter(({ target }) => target.embedding_status === "embedded")
+      .map(({ key, target }) => [key, target.embedding]),
+  );
+
+  // A chunked element is embedded when all of its chunks are
+  chunkedElements.forEach((element) => {
+    const failedChunk = element.chunks.find(
+      (chunk) => chunk.embedding_status !== "embedded",
+    );
+    element.embedding_status = failedChunk ? "failed" : "embedded";
+    if (failedChunk) {
+      element.embedding_error = failedChunk.embedding_error;
+    }
+    if (element.chunks.every((chunk) => chunk.embedding_cached)) {
+      element.embedding_cached = true;
+    }
+  });
+
+  return dict;
+}
+
+/**
+ * Counts the elements of a dictionary by embedding status
+ *
+ * @param {Object} dict - Dictionary processed by processAndUpdateDictionary
+ * @returns {{embedded: number, failed: number, cached: number}} Element counts;
+ *          `cached` counts the embedded elements read from the embedding cache
+ */
+export function summarizeEmbeddingStatus(dict) {
+  const summary = { embedded: 0, failed: 0, cached: 0 };
+  CODE_ELEMENT_GROUPS.forEach((group) => {
+    (dict[group.key] || []).forEach((element) => {
+      if (element.embedding_status === "embedded") {
+        summary.embedded++;
+        if (element.embedding_cached) {
+          summary.cached++;
+        }
+      } else if (element.embedding_status === "failed") {
+        summary.failed++;
       }
+    });
+  });
+  return summary;
+}
+
+/**
+ * Groups texts into batches within the per-request input and token limits
+ *
+ * @private
+ * @param {Array<{target: Object, text: string}>} targets - Texts to embed
+ * @returns {Array<Array<{target: Object, text: string}>>} Batches in order
+ */
+function createBatches(targets) {
+  const batches = [];
+  let batch = [];
+  let batchTokens = 0;
+
+  targets.forEach((item) => {
+    const tokens = estimateTokens(item.text);
+    if (
+      batch.length > 0 &&
+      (batch.length >= MAX_BATCH_INPUTS ||
+        batchTokens + tokens > MAX_BATCH_TOKENS)
+    ) {
+      batches.push(batch);
+      batch = [];
+      batchTokens = 0;
     }
+    batch.push(item);
+    batchTokens += tokens;
+  });
+
+  if (batch.length > 0) {
+    batches.push(batch);
   }
+  return batches;
+}
 
-  return dict;
+/**
+ * Embeds one batch and records the embedding or the failure on each target
+ *
+ * @private
+ * @async
+ * @param {Array<{target: Object, text: string}>} batch - Texts to embed together
+ * @returns {Promise<void>} Never rejects; failures are recorded on the targets
+ */
+async function embedBatch(batch) {
+  try {
+    const embeddings = await requestEmbeddings(batch.map((item) => item.text));
+    batch.forEach(({ target }, index) => {
+      target.embedding = embeddings[index];
+      target.embedding_status = "embedded";
+      delete target.embedding_error;
+    });
+  } catch (error) {
+    // An invalid batch is usually one bad input: retry the texts one by one
+    if (batch.length > 1 && !isRetryableError(error)) {
+      await Promise.all(batch.map((item) => embedBatch([item])));
+      return;
+    }
+
+    console.error(
+      `Failed to embed ${batch.length} element(s) with ${embeddingProvider.name}:`,
+      error.message,
+    );
+    batch.forEach(({ target }) => {
+      target.embedding_status = "failed";
+      target.embedding_error = error.message;
+    });
+  }
 }
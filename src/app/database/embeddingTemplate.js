@@ -0,0 +1,143 @@
+/**
+ * Embedding Template Module
+ *
+ * Builds the text embedded for a code element. Besides the code, the text
+ * names the file, the symbol and its class, its signature and its
+ * documentation, so a query like "where do we initialize Redis" also matches
+ * `connectRedis` in `config/redisConfig.js` through its name and path.
+ *
+ * The text is rendered from a template with the placeholders {path}, {kind},
+ * {name}, {class}, {signature}, {doc} and {code}. A template line whose
+ * placeholders are all empty is left out, so undocumented elements get no
+ * empty doc line. The template can be replaced with the EMBEDDING_TEMPLATE
+ * environment variable (with "\n" for line breaks).
+ *
+ * Only the embedding sees the rendered text: elements keep their original
+ * `code` for display.
+ *
+ * @module embeddingTemplate
+ */
+
+/**
+ * Template used when EMBEDDING_TEMPLATE is not set
+ * @type {string}
+ */
+export const DEFAULT_EMBEDDING_TEMPLATE = [
+  "File: {path}",
+  "{kind} {name}",
+  "Class: {class}",
+  "Signature: {signature}",
+  "{doc}",
+  "",
+  "{code}",
+].join("\n");
+
+const EMBEDDING_TEMPLATE =
+  process.env.EMBEDDING_TEMPLATE?.replace(/\\n/g, "\n") ||
+  DEFAULT_EMBEDDING_TEMPLATE;
+
+// Element types with a declaration header worth repeating as the signature
+const SIGNATURE_TYPES = ["function", "method", "class"];
+
+// Longest signature included in the text
+const MAX_SIGNATURE_LENGTH = 300;
+
+/**
+ * Renders the text embedded for a code element or one of its chunks
+ *
+ * Every chunk of an oversized element is rendered with the element's path,
+ * name, signature and documentation, followed by the chunk's code.
+ *
+ * @param {Object} element - A code element (function, class, method, ...)
+ * @param {{nameField: string, type: string}} group - The element's group in CODE_ELEMENT_GROUPS
+ * @param {Object} [options]
+ * @param {import('@/lib/codeParser/chunker').CodeChunk} [options.chunk] - Chunk
+ *        to embed instead of the element's full code
+ * @param {string} [options.language] - Language of the element's file
+ * @param {string} [options.template] - Template to render (defaults to EMBEDDING_TEMPLATE)
+ * @returns {string} Text to embed
+ *
+ * @example
+ * renderEmbeddingText(
+ *   { code: 'export async function connectRedis() {...}', function_name: 'connectRedis', filepath: 'src/app/config/redisConfig.js' },
+ *   { nameField: 'function_name', type: 'function' },
+ * );
+ * // Returns:
+ * // File: src/app/config/redisConfig.js
+ * // function connectRedis
+ * // Signature: export async function connectRedis()
+ * //
+ * // export async function connectRedis() {...}
+ */
+export function renderEmbeddingText(
+  element,
+  group,
+  { chunk, language, template = EMBEDDING_TEMPLATE } = {},
+) {
+  const values = {
+    path: element.filepath,
+    kind: element.kind || element.type || group.type,
+    name: element[group.nameField],
+    class: element.parent_class,
+    signature:
+      SIGNATURE_TYPES.includes(group.type) && element.kind !== "field"
+        ? extractSignature(element.code, language)
+        : "",
+    doc: element.doc,
+    code: chunk ? chunk.code : element.code,
+  };
+
+  return template
+    .split("\n")
+    .filter((line) => {
+      const placeholders = line.match(/\{\w+\}/g);
+      return (
+        !placeholders ||
+        placeholders.some((placeholder) => values[placeholder.slice(1, -1)])
+      );
+    })
+    .map((line) =>
+      line.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] || ""),
+    )
+    .join("\n")
+    .trim();
+}
+
+/**
+ * Extracts the declaration header of a function, method or class
+ *
+ * The header ends at the body: the first `{` outside parentheses and
+ * brackets, or for Python the first `:` outside them. Whitespace is
+ * collapsed so multi-line parameter lists fit on one line.
+ *
+ * @param {string} code - Source code of the declaration
+ * @param {string} [language] - Language of the source ("python" ends headers at `:`)
+ * @returns {string} The header, or "" when no body is found
+ *
+ * @example
+ * extractSignature('async parse(text, options = {}) {\n  ...\n}');
+ * // Returns: 'async parse(text, options = {})'
+ *
+ * extractSignature('def add(a: int, b: int) -> int:\n    return a + b', 'python');
+ * // Returns: 'def add(a: int, b: int) -> int'
+ */
+export function extractSignature(code, language) {
+  const bodyStart = language === "python" ? ":" : "{";
+  let depth = 0;
+
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i];
+    if (char === "(" || char === "[") {
+      depth++;
+    } else if (char === ")" || char === "]") {
+      depth--;
+    } else if (char === bodyStart && depth === 0) {
+      return code
+        .slice(0, i)
+        .replace(/\s+/g, " ")
+        .trim()
+        .slice(0, MAX_SIGNATURE_LENGTH);
+    }
+  }
+  return "";
+}
@@ -0,0 +1,199 @@
+/**
+ * Hybrid Search Module
+ *
+ * Retrieves code for a query from both the vector store (semantic
+ * similarity) and the lexical index (BM25 keyword matching, see
+ * lexicalIndex.js), and merges the two rankings with reciprocal rank fusion
+ * (RRF): every result scores `weight / (60 + rank)` in each ranking it
+ * appears in. Results found by both rise to the top, and exact identifiers
+ * missed by embeddings are still found.
+ *
+ * The weight of each ranking can be set per request:
+ *
+ * { "vector": 1, "lexical": 1 }   // default: both count equally
+ * { "vector": 1, "lexical": 0 }   // semantic search only
+ * { "vector": 0.5, "lexical": 2 } // favour exact matches
+ *
+ * @module hybridSearch
+ */
+import { vectorStore } from "../config/vectorStoreConfig";
+import { generateEmbeddings } from "./embeddingService";
+import { searchLexicalIndex } from "./lexicalIndex";
+import { searchWithFilters } from "./searchFilters";
+
+// Rank constant of RRF; damps the difference between the first ranks
+const RRF_K = 60;
+// Candidates retrieved from each ranking per requested result
+const CANDIDATES_PER_RESULT = 5;
+const MIN_CANDIDATES = 20;
+
+/**
+ * @typedef {Object} SearchWeights
+ * @property {number} vector - Weight of the vector store ranking
+ * @property {number} lexical - Weight of the lexical index ranking
+ */
+
+/** @type {SearchWeights} */
+export const DEFAULT_SEARCH_WEIGHTS = { vector: 1, lexical: 1 };
+
+/**
+ * Validates the ranking weights of a search request
+ *
+ * @param {*} input - The `weights` of a request body
+ * @returns {SearchWeights} The weights, defaults filled in
+ * @throws {Error} If a weight is not a non-negative number, or all are 0
+ *         (the message is meant for the client)
+ *
+ * @example
+ * parseSearchWeights({ lexical: 2 });
+ * // Returns: { vector: 1, lexical: 2 }
+ */
+export function parseSearchWeights(input) {
+  if (input === undefined || input === null) {
+    return DEFAULT_SEARCH_WEIGHTS;
+  }
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("weights must be an object");
+  }
+
+  const weights = { ...DEFAULT_SEARCH_WEIGHTS };
+  for (const key of Object.keys(DEFAULT_SEARCH_WEIGHTS)) {
+    if (input[key] === undefined) {
+      continue;
+    }
+    if (
+      typeof input[key] !== "number" ||
+      !Number.isFinite(input[key]) ||
+      input[key] < 0
+    ) {
+      throw new Error(`weights.${key} must be a non-negative number`);
+    }
+    weights[key] = input[key];
+  }
+
+  if (Object.values(weights).every((weight) => weight === 0)) {
+    throw new Error("At least one weight must be positive");
+  }
+  return weights;
+}
+
+/**
+ * Finds the code elements most relevant to a query
+ *
+ * @async
+ * @param {string} query - Search text
+ * @param {Object} options
+ * @param {string} options.namespace - Vector store namespace to search
+ * @param {string} [options.codebasePath] - The session's codebase directory,
+ *        holding its lexical index (the lexical ranking is skipped without it)
+ * @param {number} [options.topK=3] - Number of results
+ * @param {import('./searchFilters').SearchFilters|null} [options.filters] - Search filters
+ * @param {SearchWeights} [options.weights] - Weight of each ranking; a
+ *        ranking weighted 0 is not queried
+ * @returns {Promise<{matches: Object[]}>} Fused matches, best first, shaped
+ *          like vector store matches (`values` only for vector results). `score`
+ *          is the fused score scaled to 0-1 (1: ranked first everywhere);
+ *          `scores` holds the original score of each ranking that found the
+ *          match (`vector`: cosine similarity, `lexical`: BM25)
+ * @throws {Error} If the query cannot be embedded or the vector store fails
+ *
+ * @example
+ * const { matches } = await hybridSearch('where is lRem called?', {
+ *   namespace: 'codebase123',
+ *   codebasePath,
+ *   weights: { vector: 1, lexical: 2 },
+ * });
+ * // matches[0]: { id: 'function:5d41...', score: 0.98, scores: { vector: 0.41, lexical: 12.7 }, metadata: {...} }
+ */
+export async function hybridSearch(
+  query,
+  {
+    namespace,
+    codebasePath,
+    topK = 3,
+    filters,
+    weights = DEFAULT_SEARCH_WEIGHTS,
+  },
+) {
+  const candidates = Math.max(topK * CANDIDATES_PER_RESULT, MIN_CANDIDATES);
+
+  const [vectorResults, lexicalResults] = await Promise.all([
+    weights.vector > 0
+      ? generateEmbeddings(query).then((embedding) =>
+          searchWithFilters(
+            vectorStore,
+            embedding,
+            namespace,
+            candidates,
+            filters,
+          ),
+        )
+      : { matches: [] },
+    weights.lexical > 0 && codebasePath
+      ? searchLexicalIndex(codebasePath, query, candidates, filters)
+      : { matches: [] },
+  ]);
+
+  return {
+    matches: fuseRankings(
+      [
+        {
+          name: "vector",
+          weight: weights.vector,
+          matches: vectorResults.matches,
+        },
+        {
+          name: "lexical",
+          weight: weights.lexical,
+          matches: lexicalResults.matches,
+        },
+      ],
+      topK,
+    ),
+  };
+}
+
+/**
+ * Merges rankings with weighted reciprocal rank fusion
+ *
+ * Scores are scaled by the best possible fused score of the rankings that
+ * found anything, so a codebase without a lexical index still scores up to 1.
+ *
+ * @param {Array<{name: string, weight: number, matches: Object[]}>} rankings -
+ *        Matches of each ranking, best first
+ * @param {number} topK - Number of results
+ * @returns {Object[]} Fused matches with `score` and `scores`, best first
+ *
+ * @example
+ * fuseRankings([
+ *   { name: 'vector', weight: 1, matches: [{ id: 'a', score: 0.8 }, { id: 'b', score: 0.7 }] },
+ *   { name: 'lexical', weight: 1, matches: [{ id: 'b', score: 9.1 }] },
+ * ], 2);
+ * // Returns: [{ id: 'b', score: 0.99, scores: { vector: 0.7, lexical: 9.1 } }, { id: 'a', score: 0.5, scores: { vector: 0.8 } }]
+ */
+export function fuseRankings(rankings, topK) {
+  const found = rankings.filter(
+    ({ weight, matches }) => weight > 0 && matches.length > 0,
+  );
+  const bestScore =
+    found.reduce((sum, { weight }) => sum + weight, 0) / (RRF_K + 1);
+
+  const fused = new Map();
+  found.forEach(({ name, weight, matches }) => {
+    matches.forEach((match, rank) => {
+      // The first ranking to find a match provides its metadata
+      const entry = fused.get(match.id) || { ...match, fused: 0, scores: {} };
+      entry.fused += weight / (RRF_K + rank + 1);
+      entry.scores[name] = match.score;
+      fused.set(match.id, entry);
+    });
+  });
+
+  return [...fused.values()]
+    .sort((a, b) => b.fused - a.fused)
+    .slice(0, topK)
+    .map(({ fused: score, ...match }) => ({
+      ...match,
+      score: score / bestScore,
+    }));
+}
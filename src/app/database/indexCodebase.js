@@ -0,0 +1,252 @@
+/**
+ * Codebase Indexing Module
+ *
+ * Indexes an extracted codebase in two passes:
+ * 1. Parse every supported file once (source code, Markdown documentation,
+ *    package.json and configuration files) and build the cross-file
+ *    dependency graph (imports/exports) and call graph (callers/callees)
+ * 2. Run each parsed file through processFile() (embeddings + vector store + lexical index);
+ *    code embedded by an earlier run comes from the embedding cache
+ *
+ * Both graphs are stored in the session data directory (see sessionStore.js)
+ * and served by GET /api/graph and GET /api/callgraph.
+ *
+ * @module indexCodebase
+ */
+import {
+  getAdapterForFile,
+  isSupportedFile,
+  parseCodeFile,
+} from "@/lib/codeParser";
+import { buildCallGraph } from "@/lib/codeParser/callGraph";
+import { buildDependencyGraph } from "@/lib/codeParser/dependencyGraph";
+import fsp from "fs/promises";
+import path from "path";
+import { vectorStore } from "../config/vectorStoreConfig";
+import { embeddingCache } from "./embeddingCache";
+import {
+  hasEmbeddingManifest,
+  writeEmbeddingManifest,
+} from "./embeddingManifest";
+import { clearLexicalIndex } from "./lexicalIndex";
+import { processFile } from "./processFile";
+import {
+  getCodebaseNamespace,
+  SESSION_DATA_DIR,
+  writeSessionData,
+} from "./sessionStore";
+
+// Directories that never contain the user's own source code
+const IGNORED_DIRECTORIES = new Set(["node_modules", ".git", SESSION_DATA_DIR]);
+
+// How often, and how long, the readback check polls the vector count
+const READBACK_POLL_MS = 2000;
+const READBACK_TIMEOUT_MS = 60000;
+
+/**
+ * Recursively lists the supported files of a directory
+ *
+ * @async
+ * @param {string} directoryPath - Directory to walk
+ * @returns {Promise<string[]>} Absolute paths of files with a registered language adapter
+ */
+export async function listSourceFiles(directoryPath) {
+  const entries = await fsp.readdir(directoryPath, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const entryPath = path.join(directoryPath, entry.name);
+
+    if (entry.isDirectory() && !IGNORED_DIRECTORIES.has(entry.name)) {
+      files.push(...(await listSourceFiles(entryPath)));
+    } else if (entry.isFile() && isSupportedFile(entryPath)) {
+      files.push(entryPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Parses, graphs, embeds and upserts every source file of a codebase
+ *
+ * Files that fail to parse are logged and skipped; they are missing from the
+ * dependency graph but do not stop the rest of the codebase from being indexed.
+ *
+ * The vector store's index is provisioned first (see VectorStore.ensureIndex).
+ * The embedding model and index are recorded once the run succeeds (see
+ * embeddingManifest.js). A codebase indexed for the first time records them
+ * up front as well (the download route does so before extracting it), so it
+ * can be searched while indexing runs; one indexed before (e.g. being
+ * migrated) keeps its previous manifest until then, so searches stay refused
+ * instead of mixing vectors of two models.
+ *
+ * The run succeeds (`complete`) when every parsed file was embedded and
+ * upserted. Otherwise, e.g. while the embedding API is down, the manifest is
+ * left as it was, so a migration is retried instead of recorded as done.
+ * Files that fail to parse do not count: they fail the same way whatever the
+ * model.
+ *
+ * Upserts are not waited on until searchable. With `verify`, the namespace's
+ * vector count is read back once at the end, until it includes every
+ * upserted vector (a mismatch after a minute is logged, not thrown).
+ *
+ * @async
+ * @param {string} codebasePath - The session's codebase directory
+ * @param {Object} [options]
+ * @param {string} [options.namespace] - Vector store namespace to upsert into
+ *        (defaults to the codebase's, see getCodebaseNamespace in sessionStore.js)
+ * @param {boolean} [options.verify] - Read back the vector count at the end
+ *        (defaults to VERIFY_UPSERTS=true)
+ * @returns {Promise<{files: number, failed: number, embeddings: {embedded: number, failed: number, cached: number}, vectors: number, complete: boolean, readback?: {expected: number, found: number, verified: boolean}}>}
+ *          Number of indexed and failed files, of embedded, failed and cached
+ *          elements, and of upserted vectors, and whether the run succeeded;
+ *          with `verify`, the vector count read back
+ *
+ * @example
+ * // Runs in the background after the download route responds; needs no
+ * // request context, so it also runs in workers and scripts
+ * indexCodebase(codebasePath).catch((err) =>
+ *   console.error('Failed to index codebase:', err),
+ * );
+ */
+export async function indexCodebase(codebasePath, options = {}) {
+  const namespace = options.namespace || getCodebaseNamespace(codebasePath);
+  // A fresh deployment has no index yet
+  await vectorStore.ensureIndex();
+  if (!(await hasEmbeddingManifest(codebasePath))) {
+    await writeEmbeddingManifest(codebasePath, vectorStore.indexName);
+  }
+  // Re-indexing (e.g. a migration) rebuilds the lexical index from scratch
+  await clearLexicalIndex(codebasePath);
+
+  const filePaths = await listSourceFiles(codebasePath);
+  const parsedFiles = [];
+
+  // Pass 1: parse every file once
+  for (const filePath of filePaths) {
+    try {
+      parsedFiles.push({ filePath, codeBlocks: await parseCodeFile(filePath) });
+    } catch (error) {
+      console.error(`Error parsing ${filePath}:`, error.message);
+    }
+  }
+
+  // Build and store the graphs before the (slow) embedding pass;
+  // documentation and configuration files have no imports or calls
+  const codeFiles = parsedFiles.filter(
+    ({ filePath }) => !getAdapterForFile(filePath).documents,
+  );
+  const graph = buildDependencyGraph(
+    codeFiles.map(({ filePath, codeBlocks }) => ({
+      filePath,
+      imports: codeBlocks.imports,
+      exports: codeBlocks.exports,
+    })),
+    codebasePath,
+  );
+  await writeSessionData(codebasePath, "graph", graph);
+  console.log(
+    `✓ Dependency graph built: ${codeFiles.length} files, ${graph.edges.length} import edges`,
+  );
+
+  const callGraph = buildCallGraph(codeFiles, graph, codebasePath);
+  await writeSessionData(codebasePath, "callgraph", callGraph);
+  console.log(
+    `✓ Call graph built: ${Object.keys(callGraph.symbols).length} symbols, ${callGraph.edges.length} call edges`,
+  );
+
+  // Pass 2: embed and upsert the parsed files
+  const results = await Promise.allSettled(
+    parsedFiles.map(({ filePath, codeBlocks }) =>
+      processFile(filePath, {
+        codeBlocks,
+        namespace,
+        codebasePath,
+      }),
+    ),
+  );
+  const rejected = results.filter(
+    (result) => result.status === "rejected",
+  ).length;
+  const failed = filePaths.length - parsedFiles.length + rejected;
+
+  const embeddings = { embedded: 0, failed: 0, cached: 0 };
+  let vectors = 0;
+  results
+    .filter((result) => result.status === "fulfilled")
+    .forEach(({ value }) => {
+      embeddings.embedded += value.embedded;
+      embeddings.failed += value.failed;
+      embeddings.cached += value.cached;
+      vectors += value.vectors;
+    });
+  console.log(
+    `Embedding cache (${embeddingCache.name}): ${embeddings.cached} hits, ` +
+      `${embeddings.embedded + embeddings.failed - embeddings.cached} misses`,
+  );
+  if (embeddings.failed > 0) {
+    console.warn(
+      `${embeddings.failed} of ${embeddings.embedded + embeddings.failed} elements could not be embedded`,
+    );
+  }
+
+  const evicted = await embeddingCache.prune();
+  if (evicted > 0) {
+    console.log(`Evicted ${evicted} embedding cache entries`);
+  }
+
+  const complete = rejected === 0 && embeddings.failed === 0;
+  if (complete) {
+    await writeEmbeddingManifest(codebasePath, vectorStore.indexName);
+  } else {
+    console.warn(
+      `Indexing of ${namespace} is incomplete; its embedding manifest is left unchanged`,
+    );
+  }
+
+  const summary = {
+    files: filePaths.length - failed,
+    failed,
+    embeddings,
+    vectors,
+    complete,
+  };
+  if (options.verify ?? process.env.VERIFY_UPSERTS === "true") {
+    summary.readback = await readBackVectorCount(namespace, vectors);
+  }
+  return summary;
+}
+
+/**
+ * Polls a namespace's vector count until it includes every upserted vector
+ *
+ * Pinecone makes upserts visible to searches and stats after a short delay;
+ * this waits for them once per indexing job instead of after every upsert.
+ *
+ * @private
+ * @async
+ * @param {string} namespace - Namespace that was indexed
+ * @param {number} expected - Number of vectors upserted
+ * @returns {Promise<{expected: number, found: number, verified: boolean}>}
+ *          Vector count read back, and whether it reached `expected` in time
+ */
+async function readBackVectorCount(namespace, expected) {
+  const deadline = Date.now() + READBACK_TIMEOUT_MS;
+
+  for (;;) {
+    const { vectorCount } = await vectorStore.getStats(namespace);
+    if (vectorCount >= expected) {
+      console.log(`✓ Readback: ${vectorCount} vectors in ${namespace}`);
+      return { expected, found: vectorCount, verified: true };
+    }
+    if (Date.now() >= deadline) {
+      console.warn(
+        `Readback: ${namespace} holds ${vectorCount} of ${expected} upserted vectors ` +
+          `after ${READBACK_TIMEOUT_MS / 1000}s`,
+      );
+      return { expected, found: vectorCount, verified: false };
+    }
+    await new Promise((resolve) => setTimeout(resolve, READBACK_POLL_MS));
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * Lexical Index Module
+ *
+ * Keyword search over the indexed code elements with BM25. Embeddings are
+ * weak at exact identifiers (`NEXT_PUBLIC_CODEBASE_DIR`, `lRem`) and error
+ * messages; term matching finds them reliably. hybridSearch.js combines both
+ * kinds of results.
+ *
+ * Each element (or chunk) stored in the vector store is also a document of
+ * the lexical index, under the same id, built from its name, path,
+ * documentation and code. Terms are lowercase code tokens split on
+ * camelCase and snake_case (see tokenizeCode), plus every compound
+ * identifier as a whole, so `lRem` matches both "l rem" and "lrem".
+ *
+ * The index of a codebase is a JSON Lines file in its session data
+ * directory, appended to by processFile():
+ *
+ * {CODEBASE_DIR}/codebase{seed}/.syntaxsorcerer/lexical.jsonl
+ *
+ * Each line holds {id, length, terms, metadata}; the last line of an id
+ * wins. The file is loaded into memory on first search, and reloaded when
+ * it changes. The indexes of the MAX_LOADED_INDEXES most recently searched
+ * codebases stay loaded; clearing an index (on re-indexing or deletion)
+ * unloads it.
+ *
+ * @module lexicalIndex
+ */
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { createSerialQueue } from "./concurrency";
+import { createFilterMatcher } from "./searchFilters";
+import { SESSION_DATA_DIR } from "./sessionStore";
+import { tokenizeCode } from "./tokenizer";
+
+// BM25 term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Codebases whose index stays loaded between searches
+const MAX_LOADED_INDEXES = 16;
+
+// Appends to the index of a codebase run one at a time
+const serializeWrite = createSerialQueue();
+// Loaded indexes, least recently searched first
+// (index file path -> {size, mtimeMs, index})
+const loadedIndexes = new Map();
+
+/**
+ * @typedef {Object} LexicalDocument
+ * @property {string} id - Vector id of the element or chunk
+ * @property {number} length - Number of terms
+ * @property {Object<string, number>} terms - Frequency of each term
+ * @property {Object} metadata - Vector metadata
+ */
+
+/**
+ * Splits text into the terms of the lexical index
+ *
+ * @param {string} text - Source code, documentation or a query
+ * @returns {string[]} Terms in order of appearance
+ *
+ * @example
+ * getLexicalTerms('client.lRem(key)');
+ * // Returns: ['client', 'l', 'rem', 'lrem', 'key']
+ */
+export function getLexicalTerms(text) {
+  return (text.match(/[A-Za-z0-9_]+/g) || []).flatMap((word) => {
+    const tokens = tokenizeCode(word);
+    return tokens.length > 1 ? [...tokens, word.toLowerCase()] : tokens;
+  });
+}
+
+/**
+ * Adds vector records to the lexical index of a codebase
+ *
+ * @async
+ * @param {string} codebasePath - The session's codebase directory
+ * @param {import('./vectorRecords').VectorRecord[]} records - Records stored
+ *        in the vector store (see createVectorRecords)
+ * @returns {Promise<void>}
+ */
+export async function addToLexicalIndex(codebasePath, records) {
+  const lines = records.map(({ id, metadata }) => {
+    const terms = getLexicalTerms(
+      [metadata.name, metadata.path, metadata.doc, metadata.code]
+        .filter(Boolean)
+        .join("\n"),
+    );
+    const frequencies = {};
+    terms.forEach((term) => {
+      frequencies[term] = (frequencies[term] || 0) + 1;
+    });
+    return JSON.stringify({
+      id,
+      length: terms.length,
+      terms: frequencies,
+      metadata,
+    });
+  });
+
+  const indexPath = getLexicalIndexPath(codebasePath);
+  await serializeWrite(indexPath, async () => {
+    await fsp.mkdir(path.dirname(indexPath), { recursive: true });
+    await fsp.appendFile(indexPath, lines.map((line) => `${line}\n`).join(""));
+  });
+}
+
+/**
+ * Deletes the lexical index of a codebase, before it is indexed again or
+ * deleted, and unloads it
+ *
+ * @async
+ * @param {string} codebasePath - The session's codebase directory
+ * @returns {Promise<void>}
+ */
+export async function clearLexicalIndex(codebasePath) {
+  const indexPath = getLexicalIndexPath(codebasePath);
+  await serializeWrite(indexPath, async () => {
+    await fsp.rm(indexPath, { force: true });
+    loadedIndexes.delete(indexPath);
+  });
+}
+
+/**
+ * Ranks the elements of a codebase by BM25 relevance to a query
+ *
+ * @async
+ * @param {string} codebasePath - The session's codebase directory
+ * @param {string} query - Search text
+ * @param {number} topK - Number of results
+ * @param {import('./searchFilters').SearchFilters|null} [filters] - Search filters
+ * @returns {Promise<{matches: Array<{id: string, score: number, metadata: Object}>}>}
+ *          Matching documents, best first, shaped like vector store matches;
+ *          none if the codebase has no lexical index
+ *
+ * @example
+ * await searchLexicalIndex(codebasePath, 'NEXT_PUBLIC_CODEBASE_DIR', 3);
+ * // Returns: {matches: [{id: 'function:5d41...', score: 14.2, metadata: {...}}, ...]}
+ */
+export async function searchLexicalIndex(codebasePath, query, topK, filters) {
+  const index = await loadLexicalIndex(codebasePath);
+  const queryTerms = [...new Set(getLexicalTerms(query))].filter((term) =>
+    index.documentFrequencies.has(term),
+  );
+  if (queryTerms.length === 0) {
+    return { matches: [] };
+  }
+
+  const matchesFilters = createFilterMatcher(filters);
+  const total = index.documents.size;
+  const idf = new Map(
+    queryTerms.map((term) => {
+      const frequency = index.documentFrequencies.get(term);
+      return [
+        term,
+        Math.log(1 + (total - frequency + 0.5) / (frequency + 0.5)),
+      ];
+    }),
+  );
+
+  const scored = [];
+  for (const document of index.documents.values()) {
+    let score = 0;
+    for (const term of queryTerms) {
+      const frequency = document.terms[term];
+      if (frequency) {
+        score +=
+          (idf.get(term) * frequency * (BM25_K1 + 1)) /
+          (frequency +
+            BM25_K1 *
+              (1 - BM25_B + (BM25_B * document.length) / index.averageLength));
+      }
+    }
+    if (score > 0 && matchesFilters(document.metadata)) {
+      scored.push({ id: document.id, score, metadata: document.metadata });
+    }
+  }
+
+  scored.sort((a, b) => b.score - a.score);
+  return { matches: scored.slice(0, topK) };
+}
+
+/**
+ * Returns the path of a codebase's lexical index
+ *
+ * @private
+ * @param {string} codebasePath - The session's codebase directory
+ * @returns {string} `{codebasePath}/.syntaxsorcerer/lexical.jsonl`
+ */
+function getLexicalIndexPath(codebasePath) {
+  return path.join(codebasePath, SESSION_DATA_DIR, "lexical.jsonl");
+}
+
+/**
+ * Loads a codebase's lexical index, reusing the loaded copy while the file
+ * is unchanged
+ *
+ * @private
+ * @async
+ * @param {string} codebasePath - The session's codebase directory
+ * @returns {Promise<{documents: Map<string, LexicalDocument>, documentFrequencies: Map<string, number>, averageLength: number}>}
+ */
+async function loadLexicalIndex(codebasePath) {
+  const indexPath = getLexicalIndexPath(codebasePath);
+  if (!fs.existsSync(indexPath)) {
+    loadedIndexes.delete(indexPath);
+    return {
+      documents: new Map(),
+      documentFrequencies: new Map(),
+      averageLength: 0,
+    };
+  }
+
+  const { size, mtimeMs } = await fsp.stat(indexPath);
+  const loaded = loadedIndexes.get(indexPath);
+  loadedIndexes.delete(indexPath);
+  if (loaded && loaded.size === size && loaded.mtimeMs === mtimeMs) {
+    loadedIndexes.set(indexPath, loaded);
+    return loaded.index;
+  }
+
+  const documents = new Map();
+  const lines = (await fsp.readFile(indexPath, "utf8")).split("\n");
+  // The last piece is empty, or a line still being appended
+  lines.pop();
+  for (const line of lines) {
+    const document = JSON.parse(line);
+    documents.set(document.id, document);
+  }
+
+  const documentFrequencies = new Map();
+  let totalLength = 0;
+  for (const document of documents.values()) {
+    totalLength += document.length;
+    for (const term of Object.keys(document.terms)) {
+      documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1);
+    }
+  }
+
+  const index = {
+    documents,
+    documentFrequencies,
+    averageLength: totalLength / documents.size || 1,
+  };
+  loadedIndexes.set(indexPath, { size, mtimeMs, index });
+  if (loadedIndexes.size > MAX_LOADED_INDEXES) {
+    loadedIndexes.delete(loadedIndexes.keys().next().value);
+  }
+  return index;
+}
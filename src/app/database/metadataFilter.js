@@ -0,0 +1,100 @@
+/**
+ * Metadata Filter Module
+ *
+ * Evaluates Pinecone-style metadata filters against a vector's metadata, so
+ * the stores without a server-side query engine (the local vector store)
+ * accept the same filters as Pinecone:
+ *
+ * { type: "function" }                                  // equality
+ * { type: { $in: ["function", "method"] } }             // membership
+ * { start_line: { $gte: 10, $lt: 100 } }                // comparison
+ * { $or: [{ type: "doc" }, { kind: "scripts" }] }       // boolean logic
+ *
+ * Supported operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists,
+ * $and, $or. A condition on a list field (e.g. doc_params) holds when it
+ * holds for any element of the list, as in Pinecone.
+ *
+ * @module metadataFilter
+ */
+
+/**
+ * Tests whether metadata satisfies a filter
+ *
+ * @param {Object} metadata - Vector metadata
+ * @param {Object} [filter] - Pinecone-style filter; no filter matches everything
+ * @returns {boolean} True when every condition of the filter holds
+ * @throws {Error} If the filter uses an unsupported operator
+ *
+ * @example
+ * matchesFilter({ type: 'method', start_line: 12 }, { type: { $in: ['function', 'method'] } });
+ * // Returns: true
+ */
+export function matchesFilter(metadata, filter) {
+  if (!filter) {
+    return true;
+  }
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === "$and") {
+      return condition.every((clause) => matchesFilter(metadata, clause));
+    }
+    if (key === "$or") {
+      return condition.some((clause) => matchesFilter(metadata, clause));
+    }
+
+    const isOperatorObject =
+      condition !== null &&
+      typeof condition === "object" &&
+      !Array.isArray(condition);
+    return isOperatorObject
+      ? Object.entries(condition).every(([operator, operand]) =>
+          matchesCondition(metadata[key], operator, operand),
+        )
+      : matchesCondition(metadata[key], "$eq", condition);
+  });
+}
+
+/**
+ * Tests one operator against a metadata value
+ *
+ * @private
+ * @param {*} value - Metadata value (undefined when the field is missing)
+ * @param {string} operator - Filter operator, e.g. "$in"
+ * @param {*} operand - Operator argument
+ * @returns {boolean}
+ */
+function matchesCondition(value, operator, operand) {
+  if (operator === "$exists") {
+    return (value !== undefined) === Boolean(operand);
+  }
+  if (operator === "$ne") {
+    return !matchesCondition(value, "$eq", operand);
+  }
+  if (operator === "$nin") {
+    return !matchesCondition(value, "$in", operand);
+  }
+  if (value === undefined) {
+    return false;
+  }
+  // List fields match when any of their elements does
+  if (Array.isArray(value)) {
+    return value.some((item) => matchesCondition(item, operator, operand));
+  }
+
+  switch (operator) {
+    case "$eq":
+      return value === operand;
+    case "$in":
+      return operand.includes(value);
+    case "$gt":
+      return value > operand;
+    case "$gte":
+      return value >= operand;
+    case "$lt":
+      return value < operand;
+    case "$lte":
+      return value <= operand;
+    default:
+      throw new Error(`Unsupported metadata filter operator: ${operator}`);
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Embedding Migration Module
+ *
+ * Re-embeds the namespaces built with another embedding model, dimension or
+ * index than the current configuration (see embeddingManifest.js), so the
+ * embedding model can be changed without users re-uploading their codebases.
+ *
+ * To switch models:
+ * 1. Set EMBEDDING_MODEL / EMBEDDING_DIMENSION, and a new PINECONE_INDEX when
+ *    the dimension changes (a Pinecone index holds one dimension)
+ *    (or switch VECTOR_STORE between "pinecone" and "local")
+ * 2. Restart the server and call POST /migrate
+ *
+ * Each codebase is re-parsed from its extracted sources and indexed into the
+ * configured index. The namespace keeps its previous manifest until
+ * re-indexing succeeds (see indexCodebase), so until its migration finishes,
+ * searching it is refused instead of returning scores across incompatible
+ * vector spaces.
+ *
+ * @module migrateEmbeddings
+ */
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { createVectorStore, vectorStore } from "../config/vectorStoreConfig";
+import {
+  describeEmbeddingMismatch,
+  getCurrentEmbeddingManifest,
+  readEmbeddingManifest,
+  restoreEmbeddingManifest,
+} from "./embeddingManifest";
+import { indexCodebase } from "./indexCodebase";
+import { getCodebaseNamespace } from "./sessionStore";
+
+/**
+ * @typedef {Object} NamespaceMigration
+ * @property {string} namespace - Pinecone namespace ("codebase{seed}")
+ * @property {string} codebasePath - The session's codebase directory
+ * @property {import('./embeddingManifest').EmbeddingManifest} from - Model and index it was built with
+ * @property {import('./embeddingManifest').EmbeddingManifest} to - Model and index it is migrated to
+ */
+
+/**
+ * Lists the namespaces built with another model, dimension or index
+ *
+ * @async
+ * @returns {Promise<NamespaceMigration[]>} Namespaces to migrate
+ */
+export async function planEmbeddingMigration() {
+  const codebaseDir = `${process.env.NEXT_PUBLIC_CODEBASE_DIR}`;
+  if (!fs.existsSync(codebaseDir)) {
+    return [];
+  }
+
+  const entries = await fsp.readdir(codebaseDir, { withFileTypes: true });
+  const plan = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !entry.name.startsWith("codebase")) {
+      continue;
+    }
+
+    const codebasePath = path.join(codebaseDir, entry.name);
+    const manifest = await readEmbeddingManifest(codebasePath);
+    if (describeEmbeddingMismatch(manifest, vectorStore.indexName)) {
+      plan.push({
+        namespace: getCodebaseNamespace(codebasePath),
+        codebasePath,
+        from: manifest,
+        to: getCurrentEmbeddingManifest(vectorStore.indexName),
+      });
+    }
+  }
+  return plan;
+}
+
+/**
+ * Re-embeds every namespace built with another model into the configured index
+ *
+ * Namespaces are migrated one at a time. A namespace migrated within the
+ * same index is cleared first, so old and new vectors are never mixed; a
+ * namespace moved to a new index is left in the old index unless
+ * `deleteSource` is set (keeping it allows switching back). A namespace whose
+ * re-indexing is incomplete (see indexCodebase) counts as failed: its source
+ * is kept and it is retried on the next run.
+ *
+ * @async
+ * @param {Object} [options]
+ * @param {boolean} [options.deleteSource=false] - Delete each namespace from
+ *        its old index once migrated
+ * @returns {Promise<{migrated: string[], failed: string[]}>} Migrated and failed namespaces
+ * @throws {Error} If the configured index has another dimension than the embedding provider
+ *
+ * @example
+ * const { migrated, failed } = await migrateEmbeddings({ deleteSource: true });
+ */
+export async function migrateEmbeddings({ deleteSource = false } = {}) {
+  await vectorStore.ensureIndex();
+
+  const migrated = [];
+  const failed = [];
+  for (const migration of await planEmbeddingMigration()) {
+    const { namespace, codebasePath, from } = migration;
+    try {
+      console.log(
+        `Migrating ${namespace} from ${from.model} (${from.index}) ` +
+          `to ${vectorStore.indexName}`,
+      );
+      // Namespaces indexed before manifests were recorded get theirs written
+      // out, so indexCodebase keeps it (and searches refused) until done
+      await restoreEmbeddingManifest(codebasePath, from);
+      if (from.index === vectorStore.indexName) {
+        await vectorStore.deleteVectorsFromNamespace(namespace);
+      }
+
+      const { complete, failed, embeddings } = await indexCodebase(
+        codebasePath,
+        { namespace },
+      );
+      // Checked before the source is deleted, so the namespace can be retried
+      if (!complete) {
+        throw new Error(
+          `indexing was incomplete (${failed} files and ${embeddings.failed} elements failed)`,
+        );
+      }
+
+      if (deleteSource && from.index !== vectorStore.indexName) {
+        await getSourceStore(from).deleteVectorsFromNamespace(namespace);
+      }
+      migrated.push(namespace);
+    } catch (error) {
+      console.error(`Failed to migrate ${namespace}:`, error.message);
+      // Keep the namespace marked as not migrated, so it is retried next time
+      await restoreEmbeddingManifest(codebasePath, from);
+      failed.push(namespace);
+    }
+  }
+
+  console.log(
+    `✓ Embedding migration finished: ${migrated.length} migrated, ${failed.length} failed`,
+  );
+  return { migrated, failed };
+}
+
+/**
+ * Returns the vector store a namespace was indexed into
+ *
+ * @private
+ * @param {import('./embeddingManifest').EmbeddingManifest} manifest - The namespace's manifest
+ * @returns {import('../config/vectorStoreConfig').VectorStore} The local
+ *          store, or the Pinecone index named by the manifest
+ */
+function getSourceStore(manifest) {
+  return createVectorStore(
+    {
+      ...process.env,
+      VECTOR_STORE: manifest.index === "local" ? "local" : "pinecone",
+    },
+    { dimension: manifest.dimension, indexName: manifest.index },
+  );
+}
@@ -4,16 +4,27 @@
  * Orchestrates the complete processing of a JavaScript file:
  * 1. Parse code with Tree-Sitter to extract functions and classes
  * 2. Generate vector embeddings using OpenAI
- * 3. Upsert embeddings to Pinecone vector database
+ * 3. Upsert embeddings to the vector store (Pinecone or local, see vectorStoreConfig.js)
+ * 4. Add the elements to the codebase's lexical (keyword) index
  *
  * This is the main entry point for codebase indexing.
  * Called recursively during codebase download for each JavaScript file.
+ * The namespace is passed explicitly, so files can be processed after the
+ * request that started indexing has ended, or without any request (workers,
+ * scripts).
  *
  * @module processFile
  */
 import { parseCodeFile } from "@/lib/codeParser";
-import { pinecone } from "../config/pinecone/pineconeInit";
-import { processAndUpdateDictionary } from "./embeddingService";
+import path from "path";
+import { vectorStore } from "../config/vectorStoreConfig";
+import {
+  processAndUpdateDictionary,
+  summarizeEmbeddingStatus,
+} from "./embeddingService";
+import { addToLexicalIndex } from "./lexicalIndex";
+import { writeSnippetOverflow } from "./snippetStore";
+import { createVectorRecords } from "./vectorRecords";
 
 /**
  * Processes a single JavaScript file through the complete pipeline
@@ -24,14 +35,20 @@ import { processAndUpdateDictionary } from "./embeddingService";
  *    - Returns relative file paths and source code
  *
  * 2. Generate embeddings for each code element
- *    - Uses OpenAI's text-embedding-ada-002 model
- *    - Creates 1536-dimensional vectors for semantic search
- *    - Processes both functions and classes
+ *    - Uses the configured embedding provider (OpenAI's
+ *      text-embedding-3-small model by default)
+ *    - Creates vectors for semantic search (1536 dimensions by default)
+ *    - Embeds elements in batches; elements that still fail after retries
+ *      are marked failed and left out of the upsert
  *
- * 3. Upsert embeddings to Pinecone
- *    - Stores vectors with metadata (name, type, filepath)
+ * 3. Upsert embeddings to the vector store
+ *    - Stores vectors with metadata (name, type, filepath, line span,
+ *      language, code snippet, and the fields of search filters)
  *    - Enables semantic similarity search
- *    - Uses user's session ID as namespace for isolation
+ *    - Uses the codebase's namespace ("codebase{seed}") for isolation
+ *
+ * 4. Add the stored elements to the lexical index (see lexicalIndex.js),
+ *    when the codebase directory is given
  *
  * Error handling:
  * - Logs detailed error messages for debugging
@@ -40,46 +57,83 @@ import { processAndUpdateDictionary } from "./embeddingService";
  *
  * Performance notes:
  * - Embedding generation is the bottleneck (OpenAI API calls)
- * - Consider rate limiting if processing many files
+ * - Requests are batched and share a concurrency limit across files
  * - Operations can happen asynchronously after HTTP response
  *
  * @async
  * @param {string} filePath - Absolute path to the JavaScript file to process
- * @returns {Promise<void>} Resolves when file is fully processed and stored
- * @throws {Error} If parsing fails or critical errors occur
+ * @param {Object} options
+ * @param {import('@/lib/codeParser/types').ParserOutput} [options.codeBlocks] -
+ *        Parser output of the file, when already parsed (skips step 1)
+ * @param {string} options.namespace - Vector store namespace to upsert into
+ *        (see getNamespace in sessionStore.js)
+ * @param {string} [options.codebasePath] - The session's codebase directory,
+ *        where snippets too long for vector metadata are stored in full, and
+ *        which the paths used by search filters are relative to
+ * @returns {Promise<{embedded: number, failed: number, cached: number, vectors: number}>} Number
+ *          of elements embedded and stored (`cached` of them read from the
+ *          embedding cache), of elements whose embedding failed, and of
+ *          vectors upserted (one per element or chunk)
+ * @throws {Error} If no namespace is given, parsing fails or critical errors occur
  *
  * @example
  * // Process a single file
- * await processFile('/absolute/path/to/src/utils.js');
+ * await processFile('/absolute/path/to/src/utils.js', { namespace: 'codebase123' });
  *
  * // Handle processing in a directory traversal
  * fs.readdirSync(dir).forEach(file => {
  *   if (file.endsWith('.js')) {
- *     processFile(path.join(dir, file)).catch(err =>
+ *     processFile(path.join(dir, file), { namespace, codebasePath }).catch(err =>
  *       console.error(`Failed to process ${file}:`, err)
  *     );
  *   }
  * });
  */
-export async function processFile(filePath) {
+export async function processFile(filePath, options) {
+  if (!options?.namespace) {
+    throw new Error(`No vector store namespace given for ${filePath}`);
+  }
+
   try {
     console.log(`Processing file: ${filePath}`);
 
     // Step 1: Extract code blocks using Tree-Sitter AST parser
-    const codeBlocks = await parseCodeFile(filePath);
+    const codeBlocks = options.codeBlocks || (await parseCodeFile(filePath));
 
     // Step 2: Generate embeddings for extracted code segments
     const embeddedCodeBlocks = await processAndUpdateDictionary(codeBlocks);
+    const embeddings = summarizeEmbeddingStatus(embeddedCodeBlocks);
     console.log(
-      `Generated ${embeddedCodeBlocks.functions.length} function embeddings, ` +
-        `${embeddedCodeBlocks.classes.length} class embeddings, ` +
-        `${embeddedCodeBlocks.comments?.length || 0} comment embeddings, and ` +
-        `${embeddedCodeBlocks.variables?.length || 0} variable embeddings`,
+      `Generated ${embeddings.embedded} embeddings (${embeddings.cached} from cache)` +
+        (embeddings.failed > 0 ? `, ${embeddings.failed} failed` : ""),
     );
 
-    // Step 3: Upsert the embeddings into Pinecone vector database
-    await pinecone.upsertEmbeddings(embeddedCodeBlocks);
-    console.log("✓ Embeddings successfully upserted to Pinecone");
+    if (options.codebasePath) {
+      // Path filters match paths relative to the codebase directory
+      embeddedCodeBlocks.relative_path = path
+        .relative(options.codebasePath, filePath)
+        .split(path.sep)
+        .join("/");
+      // Snippets too long for vector metadata are kept in full next to the codebase
+      await writeSnippetOverflow(options.codebasePath, embeddedCodeBlocks);
+    }
+
+    // Step 3: Upsert the embeddings into the vector store
+    const vectors = await vectorStore.upsertEmbeddings(
+      embeddedCodeBlocks,
+      options.namespace,
+    );
+    console.log(`✓ Embeddings successfully upserted to ${vectorStore.name}`);
+
+    // Step 4: Add the same elements to the keyword search index
+    if (options.codebasePath) {
+      await addToLexicalIndex(
+        options.codebasePath,
+        createVectorRecords(embeddedCodeBlocks),
+      );
+    }
+
+    return { ...embeddings, vectors };
   } catch (error) {
     console.error(`Error processing file ${filePath}:`, error.message);
     throw error;
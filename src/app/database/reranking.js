@@ -0,0 +1,100 @@
+/**
+ * Reranking Module
+ *
+ * Retrieval ranks code by similarity and shared terms, which surfaces the
+ * right element among the first few dozen results but not always first.
+ * Searches therefore over-retrieve RERANK_CANDIDATES results and let the
+ * configured reranker (see rerankerConfig.js) read each candidate against
+ * the query and pick the best ones, with a reason for each pick.
+ *
+ * Reranking is best effort: when the reranker fails, or none is configured,
+ * the retrieval order is kept.
+ *
+ * @module reranking
+ */
+import { reranker as configuredReranker } from "../config/rerankerConfig";
+import { formatMatchLocation, getMatchDisplayName } from "./searchResults";
+
+// Results retrieved for the reranker to choose from
+export const RERANK_CANDIDATES = 30;
+// Longest code shown to the reranker per candidate, in characters
+const MAX_CANDIDATE_CODE_LENGTH = 800;
+
+/**
+ * Reorders search matches by the reranker's relevance scores
+ *
+ * Candidates the reranker did not score follow the scored ones, in
+ * retrieval order.
+ *
+ * @async
+ * @param {string} query - Search text
+ * @param {Object[]} matches - Retrieved matches, best first (see hybridSearch)
+ * @param {number} topK - Number of results
+ * @param {import('../config/rerankerConfig').Reranker|null} [reranker] -
+ *        Reranker to use (defaults to the configured one)
+ * @returns {Promise<Object[]>} The best matches. Reranked matches have the
+ *          reranker's score as `score`, the retrieval score as
+ *          `retrieval_score`, and the reranker's `reason`
+ *
+ * @example
+ * const { matches } = await hybridSearch(query, { namespace, codebasePath, topK: RERANK_CANDIDATES });
+ * await rerankMatches(query, collapseChunkMatches(matches), 3);
+ * // Returns: [{ id: 'function:5d41...', score: 0.9, retrieval_score: 0.71, reason: 'Implements the login flow.', ... }, ...]
+ */
+export async function rerankMatches(
+  query,
+  matches,
+  topK,
+  reranker = configuredReranker,
+) {
+  if (!reranker || matches.length === 0) {
+    return matches.slice(0, topK);
+  }
+
+  let results;
+  try {
+    results = await reranker.rerank(query, matches.map(getCandidateText));
+  } catch (error) {
+    console.warn(
+      `Reranking with ${reranker.name} failed, keeping the retrieval order:`,
+      error.message,
+    );
+    return matches.slice(0, topK);
+  }
+
+  const reranked = [...results]
+    .sort((a, b) => b.score - a.score)
+    .map(({ index, score, reason }) => ({
+      ...matches[index],
+      score,
+      retrieval_score: matches[index].score,
+      reason,
+    }));
+  const scored = new Set(results.map(({ index }) => index));
+  const unscored = matches.filter((_, index) => !scored.has(index));
+
+  return [...reranked, ...unscored].slice(0, topK);
+}
+
+/**
+ * Describes a match to the reranker
+ *
+ * @private
+ * @param {Object} match - A retrieved match
+ * @returns {string} Name, type, location, documentation and (shortened) code
+ */
+function getCandidateText(match) {
+  const metadata = match.metadata || {};
+  const code = metadata.code || "";
+
+  return [
+    `${getMatchDisplayName(match)} (${metadata.type})`,
+    formatMatchLocation(metadata.path || metadata.filepath || "", metadata),
+    metadata.doc,
+    code.length > MAX_CANDIDATE_CODE_LENGTH
+      ? `${code.slice(0, MAX_CANDIDATE_CODE_LENGTH)}\n...`
+      : code,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
@@ -0,0 +1,229 @@
+/**
+ * Retry Module
+ *
+ * Retries failed API requests (OpenAI, Pinecone) with exponential backoff.
+ * When the server says how long to wait - `retry-after`, `retry-after-ms` or
+ * OpenAI's `x-ratelimit-reset-requests` / `x-ratelimit-reset-tokens` headers -
+ * that delay is used instead of the computed one.
+ *
+ * Only transient failures are retried: rate limits (429), timeouts (408),
+ * conflicts (409), server errors (5xx) and network errors (connection
+ * resets, refusals, timeouts and DNS lookups that may succeed later).
+ * Invalid requests (400, 401, 404, ...) and other errors, such as bugs in
+ * the calling code, fail immediately.
+ *
+ * @module retry
+ */
+
+// Status codes worth retrying
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+// Pinecone's client reports failures by error class rather than status code;
+// requests it rejects before sending are treated as bad requests
+const PINECONE_ERROR_STATUSES = {
+  PineconeBadRequestError: 400,
+  PineconeAuthorizationError: 401,
+  PineconeNotFoundError: 404,
+  PineconeConflictError: 409,
+  PineconeInternalServerError: 500,
+  PineconeNotImplementedError: 501,
+  PineconeArgumentError: 400,
+  PineconeConfigurationError: 400,
+};
+
+// System error codes of network failures that may succeed when repeated
+const RETRYABLE_NETWORK_CODES = [
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ECONNREFUSED",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+];
+
+// Client errors thrown when a request got no response (OpenAI's are only
+// recognizable by class name)
+const RETRYABLE_NETWORK_ERRORS = [
+  "APIConnectionError",
+  "APIConnectionTimeoutError",
+  "PineconeConnectionError",
+];
+
+// Client errors wrap the system error in `cause`, sometimes several levels deep
+const MAX_CAUSE_DEPTH = 5;
+
+/**
+ * Calls a function until it succeeds or the attempts run out
+ *
+ * @async
+ * @template T
+ * @param {function(number): Promise<T>} request - Performs the request; receives the attempt number (0-based)
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries=5] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=500] - Delay before the first retry; doubled on each retry
+ * @param {number} [options.maxDelayMs=60000] - Longest wait between attempts
+ * @param {string} [options.label="request"] - Name used in retry log messages
+ * @returns {Promise<T>} The request's result
+ * @throws {Error} The last error, once retries are exhausted or the error is not retryable
+ *
+ * @example
+ * const response = await retryWithBackoff(
+ *   () => openai.embeddings.create({ model, input }, { maxRetries: 0 }),
+ *   { label: "embeddings" },
+ * );
+ */
+export async function retryWithBackoff(
+  request,
+  {
+    maxRetries = 5,
+    baseDelayMs = 500,
+    maxDelayMs = 60000,
+    label = "request",
+  } = {},
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request(attempt);
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delayMs = Math.min(
+        getRetryDelay(error, attempt, baseDelayMs),
+        maxDelayMs,
+      );
+      console.warn(
+        `${label} failed (${error.status || error.message}), retrying in ${delayMs}ms ` +
+          `(attempt ${attempt + 1} of ${maxRetries})`,
+      );
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Determines whether an error is transient and the request worth repeating
+ *
+ * @param {Error} error - Error thrown by an API client
+ * @returns {boolean} True for rate limits, timeouts, server and network errors
+ */
+export function isRetryableError(error) {
+  const status = error?.status ?? PINECONE_ERROR_STATUSES[error?.name];
+  if (typeof status !== "number") {
+    // No HTTP response: only a network failure is worth repeating
+    return isNetworkError(error);
+  }
+  return RETRYABLE_STATUSES.includes(status) || status >= 500;
+}
+
+/**
+ * Determines whether an error (or an error it wraps) is a transient network
+ * failure
+ *
+ * @private
+ * @param {Error} error - Error thrown without an HTTP status
+ * @returns {boolean} True for connection resets, refusals, timeouts and
+ *          temporary DNS failures
+ */
+function isNetworkError(error) {
+  let cause = error;
+  for (let depth = 0; cause && depth <= MAX_CAUSE_DEPTH; depth++) {
+    if (
+      RETRYABLE_NETWORK_CODES.includes(cause.code) ||
+      RETRYABLE_NETWORK_ERRORS.includes(cause.name) ||
+      RETRYABLE_NETWORK_ERRORS.includes(cause.constructor?.name)
+    ) {
+      return true;
+    }
+    cause = cause.cause;
+  }
+  return false;
+}
+
+/**
+ * Computes how long to wait before retrying a failed request
+ *
+ * Rate-limit headers sent with the error take precedence; otherwise the
+ * delay doubles with each attempt, with random jitter so concurrent requests
+ * do not retry in lockstep.
+ *
+ * @param {Error} error - Error thrown by an API client, optionally with `headers`
+ * @param {number} attempt - Number of the failed attempt (0-based)
+ * @param {number} baseDelayMs - Delay before the first retry
+ * @returns {number} Delay in milliseconds
+ *
+ * @example
+ * getRetryDelay({ status: 429, headers: { 'x-ratelimit-reset-tokens': '6m0s' } }, 0, 500);
+ * // Returns: 360000
+ */
+export function getRetryDelay(error, attempt, baseDelayMs) {
+  const headerDelays = [
+    parseNumber(readHeader(error?.headers, "retry-after-ms")),
+    parseRetryAfter(readHeader(error?.headers, "retry-after")),
+    parseDuration(readHeader(error?.headers, "x-ratelimit-reset-requests")),
+    parseDuration(readHeader(error?.headers, "x-ratelimit-reset-tokens")),
+  ].filter((delay) => delay !== null && delay >= 0);
+
+  if (headerDelays.length > 0) {
+    return Math.ceil(Math.max(...headerDelays));
+  }
+
+  const exponential = baseDelayMs * 2 ** attempt;
+  return Math.round(exponential / 2 + (Math.random() * exponential) / 2);
+}
+
+/**
+ * Reads a header from a plain object or a fetch Headers instance
+ *
+ * @private
+ */
+function readHeader(headers, name) {
+  if (!headers) {
+    return null;
+  }
+  return typeof headers.get === "function"
+    ? headers.get(name)
+    : (headers[name] ?? null);
+}
+
+/**
+ * @private
+ */
+function parseNumber(value) {
+  const number = value === null ? NaN : Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parses `retry-after`: seconds, or an HTTP date
+ *
+ * @private
+ */
+function parseRetryAfter(value) {
+  if (value === null) {
+    return null;
+  }
+  const seconds = parseNumber(value);
+  if (seconds !== null) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : date - Date.now();
+}
+
+/**
+ * Parses OpenAI's reset durations such as "1s", "20ms" or "6m0s"
+ *
+ * @private
+ */
+function parseDuration(value) {
+  if (!value) {
+    return null;
+  }
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  const parts = [...String(value).matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+  return parts.length > 0
+    ? parts.reduce((total, [, amount, unit]) => total + amount * units[unit], 0)
+    : null;
+}
@@ -1,62 +1,100 @@
 /**
  * Semantic Code Search Route Handler
  *
- * Performs semantic similarity search on the codebase using Pinecone vector database.
- * Finds code elements most relevant to a user query through vector embeddings.
+ * Performs semantic similarity search on the codebase using the vector store
+ * (Pinecone or local, see vectorStoreConfig.js), combined with keyword search
+ * (see hybridSearch.js), and reranks the results (see reranking.js).
+ * Finds code elements most relevant to a user query through vector embeddings
+ * and exact terms.
  *
  * Endpoint: POST /api/database
  *
  * Request body:
  * {
- *   "prompt": "user query here"
+ *   "prompt": "user query here",
+ *   "filters": {                 // optional, see searchFilters.js
+ *     "types": ["function"],     // element types
+ *     "languages": ["python"],   // languages
+ *     "path": "repo/src",        // path prefix or glob
+ *     "exportedOnly": true,      // only exported declarations
+ *     "excludeTests": true       // leave out test files
+ *   },
+ *   "types": ["doc", "config"],  // optional: shorthand for filters.types
+ *   "weights": {                 // optional: weight of each ranking
+ *     "vector": 1,               // semantic similarity (default 1)
+ *     "lexical": 1               // keyword matches (default 1)
+ *   }
  * }
  *
  * Response:
  * {
  *   "text": "Description of relevant code chunks...",
- *   "files": ["file1 code...", "file2 code...", ...]
+ *   "files": ["snippet1 code...", "snippet2 code...", ...],
+ *   "matches": [{name, type, filepath, start_line, end_line, start_column, end_column, score,
+ *                retrieval_score?, scores, reason?, matched_chunks?, chunk_count?, language,
+ *                kind?, code}, ...]
  * } or
  * {
  *   "error": "error message"
  * }
  *
  * Processing flow:
- * 1. Validate request and check codebase exists
+ * 1. Validate request, filters and weights (400 otherwise), check codebase
+ *    exists, and was indexed with the configured embedding model (409 otherwise)
  * 2. Generate embedding for user query
- * 3. Search Pinecone for semantically similar code
- * 4. Read full source code for matching files
- * 5. Format and return human-readable results with code
+ * 3. Search the vector store for semantically similar code, and the lexical
+ *    index for matching terms, and fuse both rankings
+ * 4. Rerank the best 30 results and keep the top 3
+ * 5. Read the code snippet stored with each match
+ * 6. Format and return human-readable results with code
  *
  * @module databaseSearchRoute
  */
 import fs from "fs";
 import { cookies } from "next/headers";
 import { NextResponse } from "next/server";
-import path from "path";
-import { pinecone } from "../config/pinecone/pineconeInit";
-import { generateEmbeddings } from "./embeddingService";
-import { readCodeFromFile } from "./readCodeFromFile";
+import { vectorStore } from "../config/vectorStoreConfig";
+import { checkEmbeddingManifest } from "./embeddingManifest";
+import { hybridSearch, parseSearchWeights } from "./hybridSearch";
+import { RERANK_CANDIDATES, rerankMatches } from "./reranking";
+import { parseSearchFilters } from "./searchFilters";
+import {
+  collapseChunkMatches,
+  formatMatchLocation,
+  getMatchDisplayName,
+} from "./searchResults";
+import { getCodebasePath, getNamespace } from "./sessionStore";
+import { readMatchCode } from "./snippetStore";
 
 /**
- * Searches the Pinecone vector database for code semantically similar to the query
+ * Searches the vector store for code semantically similar to the query, and
+ * the lexical index for code containing its terms
  *
  * Process:
  * 1. Verify codebase is uploaded for this session
  * 2. Convert user query to embedding using OpenAI
- * 3. Query Pinecone for vectors with highest cosine similarity
- * 4. Read full source files for matching code elements
- * 5. Build human-readable response describing matches
- * 6. Return response text and raw code files
+ * 3. Query the vector store for vectors with highest cosine similarity and
+ *    the lexical index for the best BM25 matches, and merge both rankings
+ *    with reciprocal rank fusion
+ * 4. Let the reranker, if configured, pick the 3 most relevant of the best
+ *    30 results
+ * 5. Read the code snippets stored with the matching code elements
+ * 6. Build human-readable response describing matches
+ * 7. Return response text and code snippets
  *
  * The search leverages:
- * - Vector similarity (cosine distance in 1536-dimensional space)
+ * - Vector similarity (cosine distance in the embedding model's vector space)
+ * - Keyword matches (BM25 over identifiers split on camelCase/snake_case)
  * - Metadata (function/class name, file path, type)
- * - Similarity scores (0-1, higher is better match)
+ * - Fused scores (0-1, higher is better match; `scores` holds the cosine
+ *   similarity and BM25 score behind each)
+ * - Reranker scores (0-1) and the reason for each pick; `retrieval_score`
+ *   keeps the fused score
  *
- * Results are deduplicated to avoid sending the same file twice.
+ * Snippets are deduplicated to avoid sending the same code twice.
  *
  * @async
- * @param {Request} request - Next.js POST request with {prompt} in body
+ * @param {Request} request - Next.js POST request with {prompt, filters?, types?, weights?} in body
  * @returns {Promise<NextResponse>} JSON with text description and code files array
  *
  * @example
@@ -64,21 +102,35 @@ import { readCodeFromFile } from "./readCodeFromFile";
  * POST /api/database
  * { "prompt": "How do I authenticate users?" }
  *
+ * // Only the README sections, package.json and configuration files
+ * POST /api/database
+ * { "prompt": "How do I run this project?", "types": ["doc", "config"] }
+ *
+ * // Only exported TypeScript code under src/, without tests
+ * POST /api/database
+ * { "prompt": "Where are users stored?",
+ *   "filters": { "languages": ["typescript"], "path": "repo/src/**\/*.ts", "exportedOnly": true, "excludeTests": true } }
+ *
+ * // Find an identifier by name rather than meaning
+ * POST /api/database
+ * { "prompt": "NEXT_PUBLIC_CODEBASE_DIR", "weights": { "vector": 0.5, "lexical": 2 } }
+ *
  * // Response
  * {
- *   "text": "The most relevant file to your query is the function `authenticate` (from `auth/login.js`) with a score of 0.87.",
- *   "files": ["function authenticate(user, password) { ... }"]
+ *   "text": "1. **authenticate** (function)\n   📁 auth/login.js:12-40\n   🎯 87% match\n\n",
+ *   "files": ["function authenticate(user, password) { ... }"],
+ *   "matches": [{"name": "authenticate", "type": "function", "filepath": "auth/login.js", "start_line": 12, "end_line": 40, ...,
+ *                "score": 0.87, "retrieval_score": 0.64, "reason": "Checks the password and starts a session.",
+ *                "code": "function authenticate(user, password) { ... }"}]
  * }
  */
 export async function POST(request) {
   const res = await request.json();
   const userInput = res.prompt;
+  const seed = cookies().get("seed").value;
 
   // Construct path for this user's codebase
-  const codebasePath = path.join(
-    `${process.env.NEXT_PUBLIC_CODEBASE_DIR}`,
-    `codebase${cookies().get("seed").value}`,
-  );
+  const codebasePath = getCodebasePath(seed);
 
   console.log(codebasePath);
 
@@ -93,24 +145,73 @@ export async function POST(request) {
     return NextResponse.json({ error: "Input is required" }, { status: 400 });
   }
 
-  if (!process.env.PINECONE_API_KEY) {
-    return NextResponse.json({ error: "API key is missing" }, { status: 500 });
+  if (
+    res.types !== undefined &&
+    (!Array.isArray(res.types) ||
+      !res.types.every((type) => typeof type === "string"))
+  ) {
+    return NextResponse.json(
+      { error: "types must be an array of element types" },
+      { status: 400 },
+    );
   }
 
+  let filters;
+  let weights;
   try {
-    // Generate embedding for the user's query using OpenAI
-    const embed = await generateEmbeddings(userInput);
+    filters = parseSearchFilters(res.filters);
+    weights = parseSearchWeights(res.weights);
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 400 });
+  }
+  if (res.types?.length > 0) {
+    filters = { ...filters, types: res.types };
+  }
+
+  if (
+    weights.vector > 0 &&
+    vectorStore.name === "pinecone" &&
+    !process.env.PINECONE_API_KEY
+  ) {
+    return NextResponse.json({ error: "API key is missing" }, { status: 500 });
+  }
 
-    // Search Pinecone for semantically similar code elements
-    const files = await pinecone.similaritySearch(embed);
+  // Scores against vectors of another embedding model would be meaningless
+  const embeddingMismatch =
+    weights.vector > 0 &&
+    (await checkEmbeddingManifest(codebasePath, vectorStore.indexName));
+  if (embeddingMismatch) {
+    return NextResponse.json({ error: embeddingMismatch }, { status: 409 });
+  }
+
+  try {
+    // Search the vector store for semantically similar code elements and
+    // the lexical index for exact terms; the query is embedded on the way
+    // Filters (element types, languages, paths, ...) narrow the search
+    const files = await hybridSearch(userInput, {
+      namespace: getNamespace(seed),
+      codebasePath,
+      topK: RERANK_CANDIDATES,
+      filters,
+      weights,
+    });
+    // Chunks of the same oversized element are shown as one result, and the
+    // reranker picks the top 3
+    files.matches = await rerankMatches(
+      userInput,
+      collapseChunkMatches(files.matches),
+      3,
+    );
 
     // Array to store actual code content from matched files
     const filesToSend = [];
+    // Exact source locations of each match so the UI can jump to the lines
+    const matches = [];
 
     // Handle case where no relevant code is found
     if (files.matches.length == 0) {
       const answer = "No files relevant to your query could be found.";
-      return NextResponse.json({ text: answer, files: filesToSend });
+      return NextResponse.json({ text: answer, files: filesToSend, matches });
     }
 
     // Build list of relevant files with formatting
@@ -129,20 +230,45 @@ export async function POST(request) {
       const scorePercentage = Math.round(files.matches[i].score * 100);
 
       // Add list item with filename, type, path, and match percentage
-      answer += `${i + 1}. **${files.matches[i].id}** (${files.matches[i].metadata.type})\n`;
-      answer += `   📁 ${relativePath}\n`;
-      answer += `   🎯 ${scorePercentage}% match\n\n`;
+      answer += `${i + 1}. **${getMatchDisplayName(files.matches[i])}** (${files.matches[i].metadata.type})\n`;
+      answer += `   📁 ${formatMatchLocation(relativePath, files.matches[i].metadata)}\n`;
+      answer += `   🎯 ${scorePercentage}% match\n`;
+      if (files.matches[i].reason) {
+        answer += `   💡 ${files.matches[i].reason}\n`;
+      }
+      answer += "\n";
+
+      // The matched snippet is stored with its vector
+      const code = await readMatchCode(codebasePath, files.matches[i]);
 
-      // Read the actual source code from the file
-      const code = await readCodeFromFile(files.matches[i].metadata.filepath);
+      matches.push({
+        name: getMatchDisplayName(files.matches[i]),
+        type: files.matches[i].metadata.type,
+        filepath: relativePath,
+        start_line: files.matches[i].metadata.start_line,
+        end_line: files.matches[i].metadata.end_line,
+        start_column: files.matches[i].metadata.start_column,
+        end_column: files.matches[i].metadata.end_column,
+        score: files.matches[i].score,
+        retrieval_score: files.matches[i].retrieval_score,
+        scores: files.matches[i].scores,
+        reason: files.matches[i].reason,
+        ...(files.matches[i].metadata.matched_chunks && {
+          matched_chunks: files.matches[i].metadata.matched_chunks,
+          chunk_count: files.matches[i].metadata.chunk_count,
+        }),
+        language: files.matches[i].metadata.language,
+        kind: files.matches[i].metadata.kind,
+        code,
+      });
 
-      // Deduplicate files (don't send the same file twice)
-      if (!filesToSend.includes(code)) {
+      // Deduplicate snippets (don't send the same code twice)
+      if (code && !filesToSend.includes(code)) {
         filesToSend.push(code);
       }
     }
 
-    return NextResponse.json({ text: answer, files: filesToSend });
+    return NextResponse.json({ text: answer, files: filesToSend, matches });
   } catch (error) {
     console.error("Error querying user input: ", error);
     return NextResponse.json(
@@ -0,0 +1,382 @@
+/**
+ * Search Filters Module
+ *
+ * Narrows similarity searches to part of a codebase. Searches accept
+ * structured filters:
+ *
+ * {
+ *   "types": ["function", "method"],   // element types
+ *   "languages": ["typescript"],       // languages the files were parsed as
+ *   "path": "repo/src/app",            // directory or file prefix, or a glob
+ *                                      // such as "repo/src/**\/*.test.js"
+ *   "exportedOnly": true,              // only exported declarations
+ *   "excludeTests": true               // leave out test files
+ * }
+ *
+ * Paths are relative to the codebase directory, as listed by GET /structure
+ * (they start with the archive's top-level folder).
+ *
+ * Filters are translated to Pinecone-style metadata filters, which both
+ * vector stores evaluate (see vectorStoreConfig.js). Neither supports
+ * patterns, so a glob is narrowed by the directory before its first
+ * wildcard and matched against each result's path afterwards.
+ *
+ * Path, export and test metadata is stored by createVectorRecords();
+ * codebases indexed before it was stored only support the type and language
+ * filters until they are uploaded again.
+ *
+ * @module searchFilters
+ */
+import { extractSignature } from "./embeddingTemplate";
+import { matchesFilter } from "./metadataFilter";
+
+/**
+ * @typedef {Object} SearchFilters
+ * @property {string[]} [types] - Element types ("function", "doc", ...)
+ * @property {string[]} [languages] - Languages ("javascript", "python", ...)
+ * @property {string} [path] - Path prefix or glob, relative to the codebase directory
+ * @property {boolean} [exportedOnly] - Only exported declarations
+ * @property {boolean} [excludeTests] - Leave out test files
+ */
+
+// Element groups that declare something a module can export
+const DECLARATION_GROUPS = [
+  "functions",
+  "classes",
+  "methods",
+  "typeDeclarations",
+  "variables",
+];
+
+// Results fetched per requested result when a glob is matched after the search
+const GLOB_OVERFETCH = 10;
+const MAX_GLOB_TOP_K = 100;
+
+/**
+ * Validates the filters of a search request
+ *
+ * @param {*} input - The `filters` of a request body
+ * @returns {SearchFilters|null} The filters, or null when none are set
+ * @throws {Error} If a filter has the wrong type (the message is meant for the client)
+ *
+ * @example
+ * parseSearchFilters({ types: ['function'], excludeTests: true });
+ * // Returns: { types: ['function'], excludeTests: true }
+ */
+export function parseSearchFilters(input) {
+  if (input === undefined || input === null) {
+    return null;
+  }
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("filters must be an object");
+  }
+
+  const filters = {};
+  for (const key of ["types", "languages"]) {
+    if (input[key] === undefined) {
+      continue;
+    }
+    if (
+      !Array.isArray(input[key]) ||
+      !input[key].every((value) => typeof value === "string")
+    ) {
+      throw new Error(`filters.${key} must be an array of strings`);
+    }
+    if (input[key].length > 0) {
+      filters[key] = input[key];
+    }
+  }
+
+  if (input.path !== undefined) {
+    if (typeof input.path !== "string") {
+      throw new Error("filters.path must be a string");
+    }
+    const normalized = input.path.replace(/^\.?\/+/, "").replace(/\/+$/, "");
+    if (normalized) {
+      filters.path = normalized;
+    }
+  }
+
+  for (const key of ["exportedOnly", "excludeTests"]) {
+    if (input[key] === undefined) {
+      continue;
+    }
+    if (typeof input[key] !== "boolean") {
+      throw new Error(`filters.${key} must be a boolean`);
+    }
+    if (input[key]) {
+      filters[key] = true;
+    }
+  }
+
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Translates search filters to a Pinecone-style metadata filter
+ *
+ * @param {SearchFilters|null} filters - Validated filters
+ * @returns {Object|undefined} The metadata filter, or undefined for no filters
+ *
+ * @example
+ * toMetadataFilter({ types: ['function'], path: 'repo/src/**\/*.js' });
+ * // Returns: { type: { $in: ['function'] }, path_prefixes: 'repo/src' }
+ */
+export function toMetadataFilter(filters) {
+  if (!filters) {
+    return undefined;
+  }
+
+  const filter = {};
+  if (filters.types) {
+    filter.type = { $in: filters.types };
+  }
+  if (filters.languages) {
+    filter.language = { $in: filters.languages };
+  }
+  if (filters.path) {
+    if (isGlob(filters.path)) {
+      // Narrow to the directory before the first wildcard, if any
+      const staticPrefix = getStaticPrefix(filters.path);
+      if (staticPrefix) {
+        filter.path_prefixes = staticPrefix;
+      }
+    } else {
+      // A directory, or a single file
+      filter.$or = [{ path_prefixes: filters.path }, { path: filters.path }];
+    }
+  }
+  if (filters.exportedOnly) {
+    filter.exported = true;
+  }
+  if (filters.excludeTests) {
+    filter.is_test = false;
+  }
+
+  return Object.keys(filter).length > 0 ? filter : undefined;
+}
+
+/**
+ * Runs a similarity search restricted by search filters
+ *
+ * @async
+ * @param {import('../config/vectorStoreConfig').VectorStore} store - Vector store to search
+ * @param {number[]} embedding - Query embedding
+ * @param {string} namespace - Namespace to search
+ * @param {number} topK - Number of results
+ * @param {SearchFilters|null} [filters] - Validated filters
+ * @returns {Promise<{matches: Object[]}>} The store's response, with at most
+ *          topK matches satisfying the filters
+ *
+ * @example
+ * await searchWithFilters(vectorStore, embedding, 'codebase123', 3, {
+ *   path: 'repo/src/**\/*.ts',
+ *   exportedOnly: true,
+ * });
+ */
+export async function searchWithFilters(
+  store,
+  embedding,
+  namespace,
+  topK,
+  filters,
+) {
+  const glob = filters?.path && isGlob(filters.path) ? filters.path : null;
+  const response = await store.similaritySearch(
+    embedding,
+    namespace,
+    glob ? Math.min(topK * GLOB_OVERFETCH, MAX_GLOB_TOP_K) : topK,
+    toMetadataFilter(filters),
+  );
+
+  if (glob) {
+    const matches = createFilterMatcher(filters);
+    response.matches = response.matches
+      .filter((match) => matches(match.metadata))
+      .slice(0, topK);
+  }
+  return response;
+}
+
+/**
+ * Creates a predicate testing metadata against search filters, globs
+ * included, for searches run outside the vector store (see lexicalIndex.js)
+ *
+ * @param {SearchFilters|null} filters - Validated filters
+ * @returns {function(Object): boolean} Tests a match's metadata
+ *
+ * @example
+ * const matches = createFilterMatcher({ path: 'repo/**\/*.py' });
+ * matches({ path: 'repo/app/main.py' }); // true
+ */
+export function createFilterMatcher(filters) {
+  const filter = toMetadataFilter(filters);
+  const pattern =
+    filters?.path && isGlob(filters.path) ? globToRegExp(filters.path) : null;
+
+  return (metadata) =>
+    matchesFilter(metadata, filter) &&
+    (!pattern || pattern.test(metadata.path || ""));
+}
+
+/**
+ * Computes the metadata used by search filters for a code element
+ *
+ * @param {Object} element - A code element
+ * @param {{key: string, nameField: string}} group - The element's group in CODE_ELEMENT_GROUPS
+ * @param {Object} data - Parser output the element belongs to, with
+ *        `relative_path` (set by processFile), `language` and `exports`
+ * @returns {{path: string, path_prefixes: string[], is_test: boolean, exported?: boolean}}
+ *          Metadata fields; `exported` is only set for declarations
+ *
+ * @example
+ * getFilterMetadata(element, group, { relative_path: 'repo/src/auth.test.js', ... });
+ * // Returns: { path: 'repo/src/auth.test.js', path_prefixes: ['repo', 'repo/src'], is_test: true, exported: false }
+ */
+export function getFilterMetadata(element, group, data) {
+  const filePath = (data.relative_path || element.filepath).replace(/\\/g, "/");
+  const directories = filePath.split("/").slice(0, -1);
+
+  return {
+    path: filePath,
+    path_prefixes: directories
+      .map((_, i) => directories.slice(0, i + 1).join("/"))
+      .filter(Boolean),
+    is_test: isTestPath(filePath),
+    ...(DECLARATION_GROUPS.includes(group.key) && {
+      exported: isExported(element, group, data),
+    }),
+  };
+}
+
+/**
+ * Tests whether a path belongs to a test file
+ *
+ * Recognizes test directories (`__tests__`, `test`, `tests`, `spec`,
+ * `__mocks__`) and the test file names of the supported languages
+ * (`*.test.js`, `*.spec.ts`, `test_*.py`, `*_test.py`, `*_test.go`,
+ * `*Test.java`, `*Tests.java`).
+ *
+ * @param {string} filePath - Path with forward slashes
+ * @returns {boolean}
+ */
+export function isTestPath(filePath) {
+  const segments = filePath.split("/");
+  const fileName = segments.pop();
+
+  return (
+    segments.some((segment) =>
+      ["__tests__", "test", "tests", "spec", "__mocks__"].includes(segment),
+    ) ||
+    /[._-](test|spec)\.[^.]+$/.test(fileName) ||
+    /^test_.*\.py$/.test(fileName) ||
+    /_test\.(py|go)$/.test(fileName) ||
+    /Tests?\.java$/.test(fileName)
+  );
+}
+
+/**
+ * Tests whether a declaration is visible outside its module
+ *
+ * - JavaScript/TypeScript: the name (a member's class) is exported by the
+ *   file's ES or CommonJS exports
+ * - Go: the name starts with an upper-case letter
+ * - Python: the name does not start with an underscore
+ * - Java: the declaration is public
+ *
+ * @private
+ * @param {Object} element - A function, class, member, type or variable
+ * @param {{nameField: string}} group - The element's group
+ * @param {Object} data - Parser output with `language` and `exports`
+ * @returns {boolean}
+ */
+function isExported(element, group, data) {
+  const name = element.method_name || element[group.nameField] || "";
+
+  switch (data.language) {
+    case "go":
+      return /^[A-Z]/.test(name);
+    case "python":
+      return !name.startsWith("_");
+    case "java":
+      return /\bpublic\b/.test(extractSignature(element.code || "", "java"));
+    default: {
+      const exportedNames = (data.exports || [])
+        .filter((entry) => !entry.source)
+        .map((entry) => entry.local || entry.name);
+      return exportedNames.includes(element.parent_class || name);
+    }
+  }
+}
+
+/**
+ * Tests whether a path filter contains wildcards
+ *
+ * @private
+ * @param {string} pattern - Path filter
+ * @returns {boolean}
+ */
+function isGlob(pattern) {
+  return /[*?[{]/.test(pattern);
+}
+
+/**
+ * Returns the directories of a glob before its first wildcard
+ *
+ * @private
+ * @param {string} glob - Glob pattern, e.g. "repo/src/**\/*.js"
+ * @returns {string} The static directory prefix, e.g. "repo/src", or ""
+ */
+function getStaticPrefix(glob) {
+  const segments = glob.split("/");
+  const firstWildcard = segments.findIndex(isGlob);
+  return segments.slice(0, firstWildcard).join("/");
+}
+
+/**
+ * Converts a glob to a regular expression matching whole paths
+ *
+ * Supports `**` (any number of directories), `*` and `?` (within one path
+ * segment), `[...]` character classes and `{a,b}` alternatives.
+ *
+ * @private
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let source = "";
+  let braceDepth = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      // "**/" also matches no directory at all
+      source += glob[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += glob[i + 2] === "/" ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = glob.indexOf("]", i);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        source += `[${glob.slice(i + 1, end).replace(/^!/, "^")}]`;
+        i = end;
+      }
+    } else if (char === "{") {
+      braceDepth++;
+      source += "(?:";
+    } else if (char === "}" && braceDepth > 0) {
+      braceDepth--;
+      source += ")";
+    } else if (char === "," && braceDepth > 0) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
@@ -0,0 +1,159 @@
+/**
+ * Search Result Formatting Module
+ *
+ * Helpers shared by the routes that present Pinecone matches to the user
+ * (POST /database) or to the language model (POST /chat).
+ *
+ * @module searchResults
+ */
+
+/**
+ * Returns the human-readable name of a similarity search match
+ *
+ * Class members are shown qualified with their class (`ClassName.method`);
+ * every other element is shown by the name stored in its metadata. Vectors
+ * stored before names moved to metadata used the name as their id.
+ *
+ * @param {Object} match - A match returned by PineconeManager.similaritySearch
+ * @param {string} match.id - Vector id
+ * @param {Object} [match.metadata] - Vector metadata
+ * @returns {string} Display name for the match
+ *
+ * @example
+ * getMatchDisplayName({ id: 'x', metadata: { parent_class: 'Parser', method_name: 'parse' } });
+ * // Returns: 'Parser.parse'
+ *
+ * getMatchDisplayName({ id: 'function:5d41...', metadata: { name: 'handleClick' } });
+ * // Returns: 'handleClick'
+ */
+export function getMatchDisplayName(match) {
+  const metadata = match.metadata || {};
+
+  if (metadata.parent_class && metadata.method_name) {
+    return `${metadata.parent_class}.${metadata.method_name}`;
+  }
+
+  return metadata.name || match.id;
+}
+
+/**
+ * Formats a file path with the line span stored in a match's metadata
+ *
+ * Single-line elements are shown as `path:42`, multi-line elements as
+ * `path:42-77`. Matches indexed before spans were recorded fall back to the
+ * bare path.
+ *
+ * @param {string} filepath - Path to display (absolute or relative)
+ * @param {Object} [metadata] - Vector metadata with start_line and end_line
+ * @returns {string} Path with its line span, e.g. "src/utils.js:42-77"
+ *
+ * @example
+ * formatMatchLocation('src/utils.js', { start_line: 42, end_line: 77 });
+ * // Returns: 'src/utils.js:42-77'
+ */
+export function formatMatchLocation(filepath, metadata = {}) {
+  if (!metadata.start_line) {
+    return filepath;
+  }
+
+  if (!metadata.end_line || metadata.end_line === metadata.start_line) {
+    return `${filepath}:${metadata.start_line}`;
+  }
+
+  return `${filepath}:${metadata.start_line}-${metadata.end_line}`;
+}
+
+/**
+ * Formats the direct callers and callees of a match for the chat context
+ *
+ * Each related symbol is listed with its definition's location, e.g.
+ * `processFile (repo/src/app/database/processFile.js:67-89)`.
+ *
+ * @param {Array<{name: string, file: string, start_line?: number, end_line?: number}>} callers -
+ *        Symbols calling the match (see getCallHierarchy in callGraph.js)
+ * @param {Array<{name: string, file: string, start_line?: number, end_line?: number}>} callees -
+ *        Symbols called by the match
+ * @param {number} [limit=10] - Maximum number of symbols listed per direction
+ * @returns {string} "Called by: ..." and "Calls: ..." lines, or "" when there are neither
+ */
+export function formatCallRelations(callers, callees, limit = 10) {
+  const formatList = (symbols) => {
+    const listed = symbols
+      .slice(0, limit)
+      .map(
+        (symbol) =>
+          `${symbol.name} (${formatMatchLocation(symbol.file, symbol)})`,
+      );
+    const more = symbols.length - listed.length;
+    return listed.join(", ") + (more > 0 ? `, and ${more} more` : "");
+  };
+
+  return [
+    callers.length > 0 && `Called by: ${formatList(callers)}`,
+    callees.length > 0 && `Calls: ${formatList(callees)}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Merges the matches of chunks split from the same element into one match
+ *
+ * Oversized elements are stored as one vector per chunk (see
+ * PineconeManager.upsertEmbeddings). Several chunks of one function or class
+ * can match a query; they are collapsed into a single match for the whole
+ * element, at the position and with the score of its best chunk. The merged
+ * match spans the whole element and lists the chunks that matched.
+ *
+ * @param {Array<Object>} matches - Matches returned by PineconeManager.similaritySearch,
+ *        best first
+ * @returns {Array<Object>} Matches with chunks collapsed; other matches are unchanged
+ *
+ * @example
+ * collapseChunkMatches([
+ *   { id: 'class:9a0b...#chunk2', score: 0.9, metadata: { name: 'Parser', parent_id: 'class:9a0b...', chunk_index: 2, parent_start_line: 1, parent_end_line: 900, ... } },
+ *   { id: 'function:41c2...', score: 0.8, metadata: { name: 'tokenize', ... } },
+ *   { id: 'class:9a0b...#chunk0', score: 0.7, metadata: { name: 'Parser', parent_id: 'class:9a0b...', chunk_index: 0, ... } },
+ * ]);
+ * // Returns: [
+ * //   { id: 'class:9a0b...', score: 0.9, metadata: { name: 'Parser', start_line: 1, end_line: 900, matched_chunks: [0, 2], ... } },
+ * //   { id: 'function:41c2...', score: 0.8, metadata: {...} },
+ * // ]
+ */
+export function collapseChunkMatches(matches) {
+  const collapsed = [];
+  const byParent = new Map();
+
+  matches.forEach((match) => {
+    const metadata = match.metadata || {};
+    if (!metadata.parent_id) {
+      collapsed.push(match);
+      return;
+    }
+
+    const key = `${metadata.filepath}#${metadata.parent_id}`;
+    if (byParent.has(key)) {
+      const merged = byParent.get(key);
+      merged.metadata.matched_chunks = [
+        ...merged.metadata.matched_chunks,
+        metadata.chunk_index,
+      ].sort((a, b) => a - b);
+      return;
+    }
+
+    const merged = {
+      ...match,
+      id: metadata.parent_id,
+      metadata: {
+        ...metadata,
+        start_line: metadata.parent_start_line,
+        end_line: metadata.parent_end_line,
+        matched_chunks: [metadata.chunk_index],
+      },
+    };
+    byParent.set(key, merged);
+    collapsed.push(merged);
+  });
+
+  return collapsed;
+}
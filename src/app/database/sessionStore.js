@@ -0,0 +1,92 @@
+/**
+ * Session Data Store
+ *
+ * Persists derived data about an uploaded codebase (e.g. the dependency graph)
+ * as JSON files next to the extracted sources, so it lives and dies with the
+ * session's codebase directory:
+ *
+ * {CODEBASE_DIR}/codebase{seed}/.syntaxsorcerer/{name}.json
+ *
+ * The directory starts with a dot, so the structure route and the indexer
+ * skip it.
+ *
+ * @module sessionStore
+ */
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+
+// Directory (inside the session's codebase directory) holding session data
+export const SESSION_DATA_DIR = ".syntaxsorcerer";
+
+/**
+ * Returns the vector store namespace of a session's codebase
+ *
+ * The namespace is also the name of the codebase directory, so code running
+ * outside a request (background indexing, migrations, scripts) derives it
+ * from the directory with getCodebaseNamespace().
+ *
+ * @param {string} seed - The user's session identifier (the `seed` cookie)
+ * @returns {string} `codebase{seed}`
+ */
+export function getNamespace(seed) {
+  return `codebase${seed}`;
+}
+
+/**
+ * Returns the vector store namespace of a codebase directory
+ *
+ * @param {string} codebasePath - A session's codebase directory
+ * @returns {string} `codebase{seed}`
+ *
+ * @example
+ * getCodebaseNamespace('/data/codebases/codebase123');
+ * // Returns: 'codebase123'
+ */
+export function getCodebaseNamespace(codebasePath) {
+  return path.basename(path.resolve(codebasePath));
+}
+
+/**
+ * Returns the path of the session's codebase directory
+ *
+ * @param {string} seed - The user's session identifier (the `seed` cookie)
+ * @returns {string} `{CODEBASE_DIR}/codebase{seed}`
+ */
+export function getCodebasePath(seed) {
+  return path.join(
+    `${process.env.NEXT_PUBLIC_CODEBASE_DIR}`,
+    getNamespace(seed),
+  );
+}
+
+/**
+ * Writes a JSON document to the session data directory
+ *
+ * @async
+ * @param {string} codebasePath - The session's codebase directory
+ * @param {string} name - Document name without extension (e.g. "graph")
+ * @param {*} data - JSON-serializable data
+ * @returns {Promise<void>}
+ */
+export async function writeSessionData(codebasePath, name, data) {
+  const dataDir = path.join(codebasePath, SESSION_DATA_DIR);
+  await fsp.mkdir(dataDir, { recursive: true });
+  await fsp.writeFile(path.join(dataDir, `${name}.json`), JSON.stringify(data));
+}
+
+/**
+ * Reads a JSON document from the session data directory
+ *
+ * @async
+ * @param {string} codebasePath - The session's codebase directory
+ * @param {string} name - Document name without extension (e.g. "graph")
+ * @returns {Promise<*|null>} The stored data, or null if it has not been written yet
+ */
+export async function readSessionData(codebasePath, name) {
+  const filePath = path.join(codebasePath, SESSION_DATA_DIR, `${name}.json`);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(await fsp.readFile(filePath, "utf8"));
+}
@@ -0,0 +1,409 @@
+/**
+ * Namespace Snapshot Module
+ *
+ * Exports everything indexed for a session's codebase as a snapshot, and
+ * restores a snapshot into another session without calling the embedding
+ * API. Teams can share a pre-indexed codebase, and a codebase can move
+ * between vector stores (e.g. from Pinecone to the local store).
+ *
+ * A snapshot is a sequence of entries, written as JSON Lines (one entry per
+ * line) or CSV (one entry per row, see snapshotFormat.js):
+ *
+ * {"kind":"header","format":"syntaxsorcerer-snapshot","version":1,"namespace":"codebase123",
+ *  "exported_at":"2024-09-01T12:00:00.000Z","embedding":{"provider":"openai","model":"text-embedding-3-small",...}}
+ * {"kind":"file","path":"repo/src/index.js","size":1042,"sha256":"9f86...","content":"..."}
+ * {"kind":"parser","path":"repo/src/index.js","output":{"functions":[...],"classes":[...],...}}
+ * {"kind":"session","name":"graph","data":{...}}
+ * {"kind":"vector","id":"function:5d41...","values":[...],"metadata":{...},"code":"..."}
+ *
+ * The header comes first; `embedding` is the manifest the vectors were built
+ * with (see embeddingManifest.js). File entries form the file manifest, with
+ * the content of every supported source file. Parser output and vector
+ * metadata refer to the codebase directory as `{codebase}`, so a snapshot
+ * does not depend on where it was exported. `code` holds the full snippet of
+ * vectors whose metadata snippet is truncated (see snippetStore.js).
+ *
+ * Importing restores the files, the dependency and call graphs, the vectors
+ * and the lexical index, reading the snapshot entry by entry; file contents
+ * are checked against their `sha256` first. Parser output is informational
+ * (for tools reading snapshots); nothing is parsed or embedded again.
+ *
+ * @module snapshot
+ */
+import { parseCodeFile } from "@/lib/codeParser";
+import crypto from "crypto";
+import fsp from "fs/promises";
+import path from "path";
+import { vectorStore } from "../config/vectorStoreConfig";
+import {
+  getCurrentEmbeddingManifest,
+  readEmbeddingManifest,
+  writeEmbeddingManifest,
+} from "./embeddingManifest";
+import { listSourceFiles } from "./indexCodebase";
+import { addToLexicalIndex, clearLexicalIndex } from "./lexicalIndex";
+import {
+  readSessionData,
+  SESSION_DATA_DIR,
+  writeSessionData,
+} from "./sessionStore";
+import { readMatchCode, writeSnippets } from "./snippetStore";
+
+export const SNAPSHOT_FORMAT = "syntaxsorcerer-snapshot";
+export const SNAPSHOT_VERSION = 1;
+
+// Session documents carried by snapshots (see sessionStore.js)
+const SNAPSHOT_SESSION_DATA = ["graph", "callgraph"];
+// Stands for the codebase directory in paths stored in snapshots
+const CODEBASE_PLACEHOLDER = "{codebase}";
+// Vectors restored at a time on import (upserted, then added to the lexical index)
+const IMPORT_BATCH_SIZE = 100;
+
+/**
+ * @typedef {Object} SnapshotEntry
+ * @property {string} kind - "header", "file", "parser", "session" or "vector"
+ */
+
+/**
+ * Reads the snapshot of a session's codebase, entry by entry
+ *
+ * @async
+ * @generator
+ * @param {string} codebasePath - The session's codebase directory
+ * @param {string} namespace - The codebase's vector store namespace
+ * @yields {SnapshotEntry} The header, then file, parser, session and vector entries
+ * @throws {Error} If the vector store cannot be read
+ *
+ * @example
+ * for await (const entry of createSnapshot(codebasePath, 'codebase123')) {
+ *   stream.write(`${JSON.stringify(entry)}\n`);
+ * }
+ */
+export async function* createSnapshot(codebasePath, namespace) {
+  yield {
+    kind: "header",
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    namespace,
+    exported_at: new Date().toISOString(),
+    embedding: await readEmbeddingManifest(codebasePath),
+  };
+
+  for (const filePath of await listSourceFiles(codebasePath)) {
+    const relativePath = path
+      .relative(codebasePath, filePath)
+      .split(path.sep)
+      .join("/");
+    const content = await fsp.readFile(filePath, "utf8");
+    yield {
+      kind: "file",
+      path: relativePath,
+      size: Buffer.byteLength(content),
+      sha256: crypto.createHash("sha256").update(content).digest("hex"),
+      content,
+    };
+
+    try {
+      yield {
+        kind: "parser",
+        path: relativePath,
+        output: toSnapshotPaths(await parseCodeFile(filePath), codebasePath),
+      };
+    } catch (error) {
+      console.warn(`Snapshot: could not parse ${relativePath}:`, error.message);
+    }
+  }
+
+  for (const name of SNAPSHOT_SESSION_DATA) {
+    const data = await readSessionData(codebasePath, name);
+    if (data) {
+      yield {
+        kind: "session",
+        name,
+        data: toSnapshotPaths(data, codebasePath),
+      };
+    }
+  }
+
+  for await (const records of vectorStore.listVectors(namespace)) {
+    for (const record of records) {
+      yield {
+        kind: "vector",
+        id: record.id,
+        values: record.values,
+        metadata: toSnapshotPaths(record.metadata, codebasePath),
+        ...(record.metadata?.code_overflow && {
+          code: await readMatchCode(codebasePath, record),
+        }),
+      };
+    }
+  }
+}
+
+/**
+ * Checks that a snapshot can be imported with the current configuration
+ *
+ * Every entry is checked, including the content of each file against its
+ * `sha256`, so a corrupted or edited snapshot is rejected before anything
+ * is restored.
+ *
+ * @async
+ * @param {AsyncIterable<SnapshotEntry>} entries - Snapshot entries (see
+ *        snapshotFormat.readSnapshot)
+ * @throws {Error} If the snapshot is malformed, a file does not match its
+ *         checksum, or it was embedded with another model or dimension than
+ *         the configured one (the message is meant for the client)
+ */
+export async function validateSnapshot(entries) {
+  const current = getCurrentEmbeddingManifest(vectorStore.indexName);
+  let number = 0;
+
+  for await (const entry of entries) {
+    number++;
+    if (number === 1) {
+      validateHeader(entry, current);
+      continue;
+    }
+
+    const where = `Entry ${number}`;
+    switch (entry.kind) {
+      case "file":
+        if (typeof entry.content !== "string" || !isSafePath(entry.path)) {
+          throw new Error(`${where}: invalid file ${entry.path}`);
+        }
+        if (
+          crypto.createHash("sha256").update(entry.content).digest("hex") !==
+          entry.sha256
+        ) {
+          throw new Error(
+            `${where}: ${entry.path} does not match its sha256 checksum`,
+          );
+        }
+        break;
+      case "session":
+        if (!SNAPSHOT_SESSION_DATA.includes(entry.name)) {
+          throw new Error(`${where}: unknown session document ${entry.name}`);
+        }
+        break;
+      case "vector":
+        if (
+          typeof entry.id !== "string" ||
+          !Array.isArray(entry.values) ||
+          entry.values.length !== current.dimension ||
+          typeof entry.metadata !== "object"
+        ) {
+          throw new Error(`${where}: invalid vector ${entry.id}`);
+        }
+        break;
+      case "parser":
+        break;
+      default:
+        throw new Error(`${where}: unknown kind ${entry.kind}`);
+    }
+  }
+
+  if (number === 0) {
+    validateHeader(undefined, current);
+  }
+}
+
+/**
+ * Restores a validated snapshot into a new session
+ *
+ * Entries are restored as they are read; vectors are upserted and added to
+ * the lexical index in batches of IMPORT_BATCH_SIZE.
+ *
+ * @async
+ * @param {AsyncIterable<SnapshotEntry>} entries - Snapshot checked by
+ *        validateSnapshot
+ * @param {string} codebasePath - The new session's codebase directory (must
+ *        not exist yet)
+ * @param {string} namespace - The new session's vector store namespace
+ * @returns {Promise<{files: number, vectors: number}>} Number of restored
+ *          files and vectors
+ * @throws {Error} If the files or vectors cannot be written
+ *
+ * @example
+ * const read = () =>
+ *   readSnapshot(fs.createReadStream(filePath, { encoding: 'utf8' }), 'jsonl');
+ * await validateSnapshot(read());
+ * await importSnapshot(read(), getCodebasePath(seed), getNamespace(seed));
+ * // Returns: { files: 42, vectors: 615 }
+ */
+export async function importSnapshot(entries, codebasePath, namespace) {
+  await vectorStore.ensureIndex();
+  await fsp.mkdir(codebasePath, { recursive: true });
+  // The snapshot's model was checked; the vectors now live in this index
+  await writeEmbeddingManifest(codebasePath, vectorStore.indexName);
+  await clearLexicalIndex(codebasePath);
+
+  let files = 0;
+  let vectors = 0;
+  let batch = [];
+  const flushVectors = async () => {
+    const records = batch.map(({ id, values, metadata }) => ({
+      id,
+      values,
+      metadata: fromSnapshotPaths(metadata, codebasePath),
+    }));
+    await writeSnippets(
+      codebasePath,
+      batch
+        .filter(({ metadata, code }) => metadata.code_overflow && code)
+        .map(({ metadata, code }) => [metadata.code_overflow, code]),
+    );
+    await vectorStore.upsertRecords(records, namespace);
+    await addToLexicalIndex(codebasePath, records);
+    vectors += records.length;
+    batch = [];
+  };
+
+  for await (const entry of entries) {
+    if (entry.kind === "file") {
+      const filePath = path.join(codebasePath, entry.path);
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+      await fsp.writeFile(filePath, entry.content);
+      files++;
+    } else if (entry.kind === "session") {
+      await writeSessionData(
+        codebasePath,
+        entry.name,
+        fromSnapshotPaths(entry.data, codebasePath),
+      );
+    } else if (entry.kind === "vector") {
+      batch.push(entry);
+      if (batch.length >= IMPORT_BATCH_SIZE) {
+        await flushVectors();
+      }
+    }
+  }
+  if (batch.length > 0) {
+    await flushVectors();
+  }
+
+  return { files, vectors };
+}
+
+/**
+ * Checks a snapshot's header against the current embedding configuration
+ *
+ * @private
+ * @param {SnapshotEntry} [header] - The first entry of the snapshot
+ * @param {import('./embeddingManifest').EmbeddingManifest} current - The
+ *        configured model and dimension
+ * @throws {Error} If the header is missing, its version is unsupported, or
+ *         the snapshot was embedded with another model or dimension
+ */
+function validateHeader(header, current) {
+  if (header?.kind !== "header" || header.format !== SNAPSHOT_FORMAT) {
+    throw new Error("Not a Syntax Sorcerer snapshot: the header is missing");
+  }
+  if (header.version > SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${header.version}`);
+  }
+  if (
+    header.embedding?.model !== current.model ||
+    header.embedding?.dimension !== current.dimension
+  ) {
+    throw new Error(
+      `The snapshot was embedded with ${header.embedding?.model} ` +
+        `(${header.embedding?.dimension} dimensions), but this server uses ` +
+        `${current.model} (${current.dimension} dimensions)`,
+    );
+  }
+}
+
+/**
+ * Replaces the codebase directory in every path of a value with
+ * `{codebase}`
+ *
+ * The parser stores paths relative to the working directory (see
+ * astUtils.readSourceFile); absolute paths are replaced as well.
+ *
+ * @private
+ * @param {*} value - JSON-serializable value
+ * @param {string} codebasePath - The session's codebase directory
+ * @returns {*} A copy of the value
+ */
+function toSnapshotPaths(value, codebasePath) {
+  const prefixes = [
+    path.relative(process.cwd(), codebasePath),
+    path.resolve(codebasePath),
+  ].map((directory) => `${directory}${path.sep}`);
+
+  return mapStrings(value, (string) => {
+    const prefix = prefixes.find((candidate) => string.startsWith(candidate));
+    return prefix
+      ? `${CODEBASE_PLACEHOLDER}/${string
+          .slice(prefix.length)
+          .split(path.sep)
+          .join("/")}`
+      : string;
+  });
+}
+
+/**
+ * Replaces `{codebase}` in every path of a value with the codebase
+ * directory, relative to the working directory as the parser stores paths
+ *
+ * @private
+ * @param {*} value - Value read from a snapshot
+ * @param {string} codebasePath - The new session's codebase directory
+ * @returns {*} A copy of the value
+ */
+function fromSnapshotPaths(value, codebasePath) {
+  const prefix = `${CODEBASE_PLACEHOLDER}/`;
+  const directory = path.relative(process.cwd(), codebasePath);
+
+  return mapStrings(value, (string) =>
+    string.startsWith(prefix)
+      ? path.join(directory, ...string.slice(prefix.length).split("/"))
+      : string,
+  );
+}
+
+/**
+ * Copies a JSON value, transforming every string in it
+ *
+ * @private
+ */
+function mapStrings(value, transform) {
+  if (typeof value === "string") {
+    return transform(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => mapStrings(item, transform));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        mapStrings(item, transform),
+      ]),
+    );
+  }
+  return value;
+}
+
+/**
+ * Checks that a file path from a snapshot stays inside the codebase
+ * directory, outside its session data
+ *
+ * @private
+ * @param {string} filePath - Relative path with forward slashes
+ * @returns {boolean} True if the file may be written
+ */
+function isSafePath(filePath) {
+  if (typeof filePath !== "string" || !filePath) {
+    return false;
+  }
+  const normalized = path.posix.normalize(filePath);
+  return (
+    !path.posix.isAbsolute(normalized) &&
+    !/^[A-Za-z]:/.test(normalized) &&
+    !normalized.includes("\\") &&
+    normalized !== ".." &&
+    !normalized.startsWith("../") &&
+    normalized.split("/")[0] !== SESSION_DATA_DIR
+  );
+}
@@ -0,0 +1,262 @@
+/**
+ * Snapshot Format Module
+ *
+ * Writes and reads the entries of a snapshot (see snapshot.js) as JSON Lines,
+ * one JSON entry per line, or as CSV, one entry per row:
+ *
+ * kind,id,path,values,metadata,data
+ * file,,repo/src/index.js,,,"{""size"":1042,""sha256"":""9f86..."",""content"":""...""}"
+ * vector,function:5d41...,,"[0.012,...]","{""type"":""function"",...}","{""code"":""...""}"
+ *
+ * In CSV, `values` and `metadata` hold JSON, and `data` the JSON of the
+ * entry's other fields.
+ *
+ * @module snapshotFormat
+ */
+/**
+ * Columns of a CSV snapshot; `values`, `metadata` and `data` (the other
+ * fields of an entry) hold JSON
+ */
+export const SNAPSHOT_CSV_COLUMNS = [
+  "kind",
+  "id",
+  "path",
+  "values",
+  "metadata",
+  "data",
+];
+
+/**
+ * Formats a snapshot entry as a line of a JSON Lines or CSV snapshot
+ *
+ * @param {import('./snapshot').SnapshotEntry} entry - Snapshot entry
+ * @param {string} format - "jsonl" or "csv"
+ * @returns {string} The line, ending with a line break
+ */
+export function formatSnapshotEntry(entry, format) {
+  if (format === "jsonl") {
+    return `${JSON.stringify(entry)}\n`;
+  }
+
+  const { kind, id, path: entryPath, values, metadata, ...data } = entry;
+  return toCSVLine([
+    kind,
+    id ?? "",
+    entryPath ?? "",
+    values ? JSON.stringify(values) : "",
+    metadata ? JSON.stringify(metadata) : "",
+    Object.keys(data).length > 0 ? JSON.stringify(data) : "",
+  ]);
+}
+
+/**
+ * Returns the first line of a snapshot in a format
+ *
+ * @param {string} format - "jsonl" or "csv"
+ * @returns {string} The CSV column names, or "" for JSON Lines
+ */
+export function getSnapshotPreamble(format) {
+  return format === "csv" ? toCSVLine(SNAPSHOT_CSV_COLUMNS) : "";
+}
+
+/**
+ * Reads the entries of a JSON Lines or CSV snapshot as it arrives
+ *
+ * The snapshot is read one line (or CSV row) at a time, so its size is not
+ * limited by memory.
+ *
+ * @async
+ * @generator
+ * @param {AsyncIterable<string>|Iterable<string>} chunks - Snapshot text, in
+ *        chunks of any size (e.g. a file read stream with an encoding)
+ * @param {string} format - "jsonl" or "csv"
+ * @yields {import('./snapshot').SnapshotEntry} Entries, in order
+ * @throws {Error} If a line or row cannot be parsed (the message is meant
+ *         for the client)
+ *
+ * @example
+ * const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+ * for await (const entry of readSnapshot(stream, 'jsonl')) {
+ *   console.log(entry.kind); // "header", "file", ...
+ * }
+ */
+export async function* readSnapshot(chunks, format) {
+  const reader = format === "jsonl" ? createLineReader() : createCSVReader();
+  let number = 0;
+
+  function* toEntries(records) {
+    for (const record of records) {
+      number++;
+      if (format === "jsonl") {
+        if (record.trim()) {
+          yield parseJSONLine(record, number);
+        }
+      } else if (number === 1) {
+        if (record.join(",") !== SNAPSHOT_CSV_COLUMNS.join(",")) {
+          throw new Error(
+            `CSV snapshots must have the columns ${SNAPSHOT_CSV_COLUMNS.join(",")}`,
+          );
+        }
+      } else if (record.some(Boolean)) {
+        yield parseCSVRow(record, number);
+      }
+    }
+  }
+
+  for await (const chunk of chunks) {
+    yield* toEntries(reader.push(chunk));
+  }
+  yield* toEntries(reader.end());
+}
+
+/**
+ * Parses a line of a JSON Lines snapshot
+ *
+ * @private
+ * @param {string} line - The line
+ * @param {number} number - Its line number, for errors
+ * @returns {import('./snapshot').SnapshotEntry} The entry
+ */
+function parseJSONLine(line, number) {
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    throw new Error(`Line ${number} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Parses a row of a CSV snapshot
+ *
+ * @private
+ * @param {string[]} row - Field values, in the order of SNAPSHOT_CSV_COLUMNS
+ * @param {number} number - Its row number, for errors
+ * @returns {import('./snapshot').SnapshotEntry} The entry
+ */
+function parseCSVRow([kind, id, entryPath, values, metadata, data], number) {
+  try {
+    return {
+      kind,
+      ...(id && { id }),
+      ...(entryPath && { path: entryPath }),
+      ...(values && { values: JSON.parse(values) }),
+      ...(metadata && { metadata: JSON.parse(metadata) }),
+      ...(data && JSON.parse(data)),
+    };
+  } catch (error) {
+    throw new Error(`Row ${number} is not valid: ${error.message}`);
+  }
+}
+
+/**
+ * Formats the fields of a CSV row, quoting those that need it
+ *
+ * @private
+ * @param {string[]} fields - Field values
+ * @returns {string} The row, ending with a line break
+ */
+function toCSVLine(fields) {
+  return `${fields
+    .map((field) =>
+      /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field,
+    )
+    .join(",")}\n`;
+}
+
+/**
+ * Creates a reader splitting text into lines as it arrives
+ *
+ * @private
+ * @returns {{push: function(string): string[], end: function(): string[]}}
+ *          `push` returns the lines completed by a chunk, `end` the last one
+ */
+function createLineReader() {
+  let rest = "";
+  return {
+    push(text) {
+      const lines = (rest + text).split("\n");
+      rest = lines.pop();
+      return lines;
+    },
+    end() {
+      return rest ? [rest] : [];
+    },
+  };
+}
+
+/**
+ * Creates a reader splitting CSV text into rows of fields as it arrives
+ * (RFC 4180: quoted fields may contain commas, line breaks and doubled
+ * quotes)
+ *
+ * A chunk may end anywhere, even between the two quotes of an escaped quote
+ * or the two characters of a CRLF; the reader carries that state over.
+ *
+ * @private
+ * @returns {{push: function(string): string[][], end: function(): string[][]}}
+ *          `push` returns the rows completed by a chunk, `end` the last one
+ */
+function createCSVReader() {
+  let row = [];
+  let field = "";
+  let quoted = false;
+  // A quote was read inside a quoted field: either an escaped quote or the end
+  let afterQuote = false;
+  // A CR was read at the end of a row: a following LF belongs to it
+  let afterCR = false;
+
+  function endRow(rows) {
+    row.push(field);
+    rows.push(row);
+    row = [];
+    field = "";
+  }
+
+  return {
+    push(text) {
+      const rows = [];
+      for (const char of text) {
+        if (afterCR) {
+          afterCR = false;
+          if (char === "\n") {
+            continue;
+          }
+        }
+        if (afterQuote) {
+          afterQuote = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          quoted = false;
+        }
+
+        if (quoted) {
+          if (char === '"') {
+            afterQuote = true;
+          } else {
+            field += char;
+          }
+        } else if (char === '"') {
+          quoted = true;
+        } else if (char === ",") {
+          row.push(field);
+          field = "";
+        } else if (char === "\n" || char === "\r") {
+          afterCR = char === "\r";
+          endRow(rows);
+        } else {
+          field += char;
+        }
+      }
+      return rows;
+    },
+    end() {
+      const rows = [];
+      if (field || row.length > 0) {
+        endRow(rows);
+      }
+      return rows;
+    },
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * Code Snippet Store
+ *
+ * Keeps the source code of every indexed element with its vector, so search
+ * results and chat context show the matched code without reading the
+ * codebase's files.
+ *
+ * Pinecone limits the metadata of a vector to 40KB, so code longer than
+ * MAX_CODE_METADATA_BYTES is stored truncated in the metadata, and in full in
+ * a sidecar file in the session data directory (see sessionStore.js):
+ *
+ * {CODEBASE_DIR}/codebase{seed}/.syntaxsorcerer/snippets/{vector id}.txt
+ *
+ * The metadata of a truncated snippet names its sidecar file (`code_overflow`).
+ *
+ * @module snippetStore
+ */
+import { CODE_ELEMENT_GROUPS } from "@/lib/codeParser/types";
+import fsp from "fs/promises";
+import path from "path";
+import { SESSION_DATA_DIR } from "./sessionStore";
+import { createChunkVectorId, createVectorId } from "./vectorId";
+
+// Longest code stored in vector metadata, in UTF-8 bytes; leaves room for
+// the documentation comment and the other fields within Pinecone's 40KB
+export const MAX_CODE_METADATA_BYTES = 16000;
+
+/**
+ * Returns the metadata fields storing a code snippet
+ *
+ * @param {string} code - Source code of an element or chunk
+ * @param {string} id - Vector ID the code is stored with
+ * @returns {{code: string, code_overflow?: string}} The code, truncated at a
+ *          line break when too long, and the sidecar key of the full code
+ *
+ * @example
+ * getCodeMetadata('function add(a, b) {\n  return a + b;\n}', 'function:5d41...');
+ * // Returns: { code: 'function add(a, b) {\n  return a + b;\n}' }
+ */
+export function getCodeMetadata(code, id) {
+  if (Buffer.byteLength(code) <= MAX_CODE_METADATA_BYTES) {
+    return { code };
+  }
+
+  // Cut at a character boundary, then at the last complete line
+  const truncated = Buffer.from(code)
+    .subarray(0, MAX_CODE_METADATA_BYTES)
+    .toString("utf8")
+    .replace(/\uFFFD$/, "");
+  const lastLineBreak = truncated.lastIndexOf("\n");
+  return {
+    code: lastLineBreak > 0 ? truncated.slice(0, lastLineBreak) : truncated,
+    code_overflow: id,
+  };
+}
+
+/**
+ * Stores the full code of the elements and chunks whose metadata snippet is
+ * truncated
+ *
+ * @async
+ * @param {string} codebasePath - The session's codebase directory
+ * @param {import('@/lib/codeParser/types').ParserOutput} data - Parser output of one file
+ * @returns {Promise<number>} Number of snippets stored
+ */
+export async function writeSnippetOverflow(codebasePath, data) {
+  const overflow = [];
+  CODE_ELEMENT_GROUPS.forEach((group) => {
+    (data[group.key] || []).forEach((element) => {
+      const id = createVectorId(element, group);
+      const targets = element.chunks
+        ? element.chunks.map((chunk) => [createChunkVectorId(id, chunk), chunk])
+        : [[id, element]];
+      targets.forEach(([key, { code }]) => {
+        if (Buffer.byteLength(code) > MAX_CODE_METADATA_BYTES) {
+          overflow.push([key, code]);
+        }
+      });
+    });
+  });
+
+  await writeSnippets(codebasePath, overflow);
+  return overflow.length;
+}
+
+/**
+ * Stores full snippets under the keys named by their vectors' `code_overflow`
+ *
+ * @async
+ * @param {string} codebasePath - The session's codebase directory
+ * @param {Array<[string, string]>} snippets - Vector ID and full code of each snippet
+ * @returns {Promise<void>}
+ */
+export async function writeSnippets(codebasePath, snippets) {
+  if (snippets.length === 0) {
+    return;
+  }
+
+  const snippetDir = getSnippetDir(codebasePath);
+  await fsp.mkdir(snippetDir, { recursive: true });
+  await Promise.all(
+    snippets.map(([key, code]) =>
+      fsp.writeFile(path.join(snippetDir, toFileName(key)), code),
+    ),
+  );
+}
+
+/**
+ * Returns the code of a search match
+ *
+ * @async
+ * @param {string} codebasePath - The session's codebase directory
+ * @param {Object} match - A match returned by PineconeManager.similaritySearch
+ * @returns {Promise<string>} The full snippet; the truncated one if its
+ *          sidecar file is missing, and "" for vectors stored without code
+ */
+export async function readMatchCode(codebasePath, match) {
+  const metadata = match.metadata || {};
+  if (!metadata.code_overflow) {
+    return metadata.code || "";
+  }
+
+  try {
+    return await fsp.readFile(
+      path.join(
+        getSnippetDir(codebasePath),
+        toFileName(metadata.code_overflow),
+      ),
+      "utf8",
+    );
+  } catch (error) {
+    console.warn(
+      `Full snippet of ${metadata.code_overflow} unavailable:`,
+      error.message,
+    );
+    return metadata.code || "";
+  }
+}
+
+/**
+ * @private
+ */
+function getSnippetDir(codebasePath) {
+  return path.join(codebasePath, SESSION_DATA_DIR, "snippets");
+}
+
+/**
+ * Maps a vector ID ("function:5d41...#chunk2") to a portable file name
+ *
+ * @private
+ */
+function toFileName(id) {
+  return `${id.replace(/[^\w.-]/g, "_")}.txt`;
+}
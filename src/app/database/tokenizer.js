@@ -0,0 +1,32 @@
+/**
+ * Code Tokenizer Module
+ *
+ * Splits source code and natural language into identifier-aware word
+ * tokens, shared by the hashed embedding provider and the lexical index so
+ * both see `getUserName` as `get`, `user`, `name`. Changing the tokens
+ * changes hashed vectors: bump HASHED_MODEL in hashedProvider.js with it.
+ *
+ * @module tokenizer
+ */
+
+/**
+ * Splits text into lowercase word tokens, breaking up camelCase, PascalCase,
+ * snake_case and kebab-case identifiers
+ *
+ * @param {string} text - Source code or natural language
+ * @returns {string[]} Tokens in order of appearance
+ *
+ * @example
+ * tokenizeCode('const userName = getHTTPResponse(max_retries);');
+ * // Returns: ['const', 'user', 'name', 'get', 'http', 'response', 'max', 'retries']
+ */
+export function tokenizeCode(text) {
+  return (text.match(/[A-Za-z0-9]+/g) || [])
+    .flatMap((word) =>
+      word
+        .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+        .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+        .split(" "),
+    )
+    .map((token) => token.toLowerCase());
+}
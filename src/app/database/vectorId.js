@@ -0,0 +1,59 @@
+/**
+ * Vector ID Module
+ *
+ * Derives the ID under which a code element's vector is stored. Names alone
+ * are not unique in a codebase: every file can declare its own `handleClick`
+ * or `index`, and every file has a `comment_1`. Storing vectors by name made
+ * each of them overwrite the last. IDs are therefore derived from the file
+ * path, element type, qualified name and position of the element, so they are
+ * unique within a codebase and identical every time the same code is indexed.
+ *
+ * The readable name is stored in the vector's metadata (`name`) for display.
+ *
+ * @module vectorId
+ */
+import crypto from "crypto";
+
+/**
+ * Creates the vector ID of a code element
+ *
+ * @param {Object} element - A code element with filepath and span
+ * @param {{nameField: string, type: string}} group - The element's group in CODE_ELEMENT_GROUPS
+ * @returns {string} `{type}:{hash}`, where hash is 32 hex characters
+ *
+ * @example
+ * createVectorId(
+ *   { function_name: 'handleClick', filepath: 'src/Button.jsx', start_line: 12, start_column: 3 },
+ *   { nameField: 'function_name', type: 'function' },
+ * );
+ * // Returns: 'function:5d41402abc4b2a76b9719d911017c592'
+ */
+export function createVectorId(element, group) {
+  const type = element.type || group.type;
+  const hash = crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        element.filepath,
+        type,
+        element[group.nameField],
+        element.start_line,
+        element.start_column,
+      ]),
+    )
+    .digest("hex")
+    .slice(0, 32);
+
+  return `${type}:${hash}`;
+}
+
+/**
+ * Creates the vector ID of one chunk of an oversized element
+ *
+ * @param {string} id - Vector ID of the element (see createVectorId)
+ * @param {import('@/lib/codeParser/chunker').CodeChunk} chunk - The chunk
+ * @returns {string} `{id}#chunk{index}`
+ */
+export function createChunkVectorId(id, chunk) {
+  return `${id}#chunk${chunk.chunk_index}`;
+}
@@ -0,0 +1,210 @@
+/**
+ * Vector Records Module
+ *
+ * Converts parser output with embeddings into the vectors stored by a vector
+ * store: an id, the embedding and flat metadata. Shared by every vector store
+ * implementation (see vectorStoreConfig.js), so their contents are identical.
+ * Also splits records into batches that fit a store's request limits.
+ *
+ * @module vectorRecords
+ */
+import { CODE_ELEMENT_GROUPS } from "@/lib/codeParser/types";
+import { getFilterMetadata } from "./searchFilters";
+import { getCodeMetadata } from "./snippetStore";
+import { createChunkVectorId, createVectorId } from "./vectorId";
+
+// Longest documentation comment stored in vector metadata (Pinecone caps metadata at 40KB)
+const MAX_DOC_METADATA_LENGTH = 2000;
+
+/**
+ * Flattens an element's documentation comment into Pinecone metadata
+ *
+ * Pinecone metadata values must be strings, numbers, booleans or string
+ * lists, so tags are stored as lists of parameter names and thrown types.
+ *
+ * @param {Object} element - A code element, optionally with doc and doc_tags
+ * @returns {Object} Metadata fields, empty for undocumented elements
+ *
+ * @example
+ * getDocMetadata({ doc: '...', doc_tags: { params: [{ name: 'id' }], throws: [], deprecated: true } });
+ * // Returns: { doc: '...', doc_params: ['id'], deprecated: true }
+ */
+function getDocMetadata(element) {
+  if (!element.doc) {
+    return {};
+  }
+
+  const tags = element.doc_tags || { params: [], throws: [] };
+  return {
+    doc: element.doc.slice(0, MAX_DOC_METADATA_LENGTH),
+    ...(tags.params.length > 0 && {
+      doc_params: tags.params.map((param) => param.name),
+    }),
+    ...(tags.returns?.type && { doc_returns: tags.returns.type }),
+    ...(tags.throws.length > 0 && {
+      doc_throws: tags.throws
+        .map((thrown) => thrown.type || thrown.description)
+        .filter(Boolean),
+    }),
+    ...(tags.deprecated && { deprecated: true }),
+  };
+}
+
+/**
+ * @typedef {Object} VectorRecord
+ * @property {string} id - Unique vector id
+ * @property {number[]} values - Embedding
+ * @property {Object} metadata - Flat metadata (strings, numbers, booleans, string lists)
+ */
+
+/**
+ * Converts the embedded elements of a parser output into vector records
+ *
+ * Payload structure for each element:
+ * - id: derived from the element's file path, type, qualified name and
+ *   position (see vectorId.js), so elements sharing a name never overwrite
+ *   each other
+ * - values: the embedding, of the embedding provider's dimension
+ * - metadata: {name, filepath, type, language, start_line, end_line,
+ *   start_column, end_column, code} for filtering and context; name is the
+ *   element's readable name, code its source (truncated when too long for
+ *   Pinecone metadata, see snippetStore.js)
+ *   (type is "function", "class", "method", "abstract_class", "interface",
+ *   "type_alias", "enum", "namespace", "comment", "variable", "misc", "doc"
+ *   or "config")
+ * - class members also store {parent_class, method_name, kind} and are
+ *   named `ClassName.method`; configuration entries store their kind
+ *   ("scripts", "dependencies", "eslint", ...)
+ * - documented elements also store {doc, doc_params, doc_returns,
+ *   doc_throws, deprecated} (see getDocMetadata)
+ * - every element also stores {path, path_prefixes, is_test}, and
+ *   declarations {exported}, for search filters (see searchFilters.js)
+ * - elements split into `chunks` by the parser are stored as one vector per
+ *   chunk with id `{id}#chunk0`, `{id}#chunk1`, ..., the chunk's own line
+ *   span and code, and {parent_id, parent_start_line, parent_end_line, chunk_index,
+ *   chunk_count}; collapseChunkMatches() in searchResults.js merges them back
+ *
+ * Elements without an embedding (failed embedding requests) are skipped.
+ *
+ * @param {Object} data - Parser output processed by processAndUpdateDictionary
+ * @returns {VectorRecord[]} Records to upsert
+ */
+export function createVectorRecords(data) {
+  const records = [];
+
+  // Convert every element group (functions, classes, methods, type
+  // declarations, comments, variables, misc blocks, documentation sections,
+  // configuration entries) to vectors
+  CODE_ELEMENT_GROUPS.forEach((group) => {
+    if (!Array.isArray(data[group.key])) {
+      return;
+    }
+
+    data[group.key].forEach((element) => {
+      const id = createVectorId(element, group); // Unique per element
+      const metadata = {
+        name: element[group.nameField], // Readable name for display
+        filepath: element.filepath, // Path for retrieval
+        type: element.type || group.type, // Element type for search results
+        start_line: element.start_line, // Source span for precise locations
+        end_line: element.end_line,
+        start_column: element.start_column,
+        end_column: element.end_column,
+        ...(data.language && { language: data.language }),
+        // Model and dimension the vector was embedded with
+        ...(data.embedding_model && {
+          embedding_model: data.embedding_model,
+        }),
+        // Class members carry their owning class and name
+        ...(element.parent_class && {
+          parent_class: element.parent_class,
+          method_name: element.method_name,
+        }),
+        // Member kind ("getter", "static", ...) or configuration kind
+        // ("scripts", "dependencies", "eslint", ...)
+        ...(element.kind && { kind: element.kind }),
+        // Attached documentation comment and its tags
+        ...getDocMetadata(element),
+        // Path, export and test fields used by search filters
+        ...getFilterMetadata(element, group, data),
+      };
+
+      if (element.chunks) {
+        // One vector per chunk, pointing back at the element it was split
+        // from; chunks are located by line only
+        const { start_column, end_column, ...chunkMetadata } = metadata;
+        element.chunks.forEach((chunk) => {
+          if (Array.isArray(chunk.embedding)) {
+            const chunkId = createChunkVectorId(id, chunk);
+            records.push({
+              id: chunkId,
+              values: chunk.embedding,
+              metadata: {
+                ...chunkMetadata,
+                ...getCodeMetadata(chunk.code, chunkId),
+                start_line: chunk.start_line,
+                end_line: chunk.end_line,
+                parent_id: id,
+                parent_start_line: element.start_line,
+                parent_end_line: element.end_line,
+                chunk_index: chunk.chunk_index,
+                chunk_count: chunk.chunk_count,
+              },
+            });
+          }
+        });
+      } else if (element.embedding && Array.isArray(element.embedding)) {
+        records.push({
+          id,
+          values: element.embedding, // Embedding of the provider's dimension
+          metadata: { ...metadata, ...getCodeMetadata(element.code, id) },
+        });
+      }
+    });
+  });
+
+  return records;
+}
+
+/**
+ * Splits vector records into batches small enough for one upsert request
+ *
+ * A batch closes when the next record would exceed either limit. The size
+ * of a record is that of its JSON encoding, as sent to the vector store; a
+ * single record larger than `maxBytes` gets a batch of its own.
+ *
+ * @param {VectorRecord[]} records - Records to upsert
+ * @param {Object} limits
+ * @param {number} limits.maxRecords - Most records per batch
+ * @param {number} limits.maxBytes - Largest JSON size of a batch, in bytes
+ * @returns {VectorRecord[][]} Batches, in record order
+ *
+ * @example
+ * batchVectorRecords(records, { maxRecords: 100, maxBytes: 2 * 1024 * 1024 });
+ * // Returns: [[...100 records], [...100 records], [...12 records]]
+ */
+export function batchVectorRecords(records, { maxRecords, maxBytes }) {
+  const batches = [];
+  let batch = [];
+  let batchBytes = 0;
+
+  records.forEach((record) => {
+    // Each record is followed by a comma in the request's JSON array
+    const recordBytes = Buffer.byteLength(JSON.stringify(record)) + 1;
+    if (
+      batch.length > 0 &&
+      (batch.length >= maxRecords || batchBytes + recordBytes > maxBytes)
+    ) {
+      batches.push(batch);
+      batch = [];
+      batchBytes = 0;
+    }
+    batch.push(record);
+    batchBytes += recordBytes;
+  });
+
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+}
@@ -2,7 +2,7 @@
  * Codebase Deletion Route Handler
  *
  * Handles removal of an uploaded codebase and all associated data.
- * Cleans up both filesystem and Pinecone vector database.
+ * Cleans up both filesystem and vector store.
  *
  * Endpoint: GET /api/delete
  *
@@ -16,9 +16,10 @@
  *
  * Operations performed:
  * 1. Check if codebase directory exists for this session
- * 2. Delete entire codebase directory from filesystem
- * 3. Clear all vectors from the Pinecone namespace
- * 4. Return success/error response
+ * 2. Delete the codebase's lexical index and unload it from memory
+ * 3. Delete entire codebase directory from filesystem
+ * 4. Clear all vectors from the session's vector store namespace
+ * 5. Return success/error response
  *
  * @module deleteCodebaseRoute
  */
@@ -26,15 +27,16 @@ import fs from "fs";
 import fsp from "fs/promises";
 import { cookies } from "next/headers";
 import { NextResponse } from "next/server";
-import path from "path";
-import { pinecone } from "../config/pinecone/pineconeInit";
+import { vectorStore } from "../config/vectorStoreConfig";
+import { clearLexicalIndex } from "../database/lexicalIndex";
+import { getCodebasePath, getNamespace } from "../database/sessionStore";
 
 /**
  * Deletes the currently uploaded codebase and all associated vector embeddings
  *
  * This is a destructive operation that:
  * 1. Removes all codebase files from the server
- * 2. Clears all Pinecone embeddings for this user's session
+ * 2. Clears all stored embeddings for this user's session
  *
  * The codebase directory path is: `{CODEBASE_DIR}/codebase{seed}`
  * where seed is the user's session identifier from cookies
@@ -54,10 +56,8 @@ import { pinecone } from "../config/pinecone/pineconeInit";
  * { "error": "No codebase currently uploaded", "status": 400 }
  */
 export async function GET(request) {
-  const codebasePath = path.join(
-    `${process.env.NEXT_PUBLIC_CODEBASE_DIR}`,
-    `codebase${cookies().get("seed").value}`,
-  );
+  const seed = cookies().get("seed").value;
+  const codebasePath = getCodebasePath(seed);
 
   // Check if codebase exists before attempting deletion
   if (!fs.existsSync(codebasePath)) {
@@ -68,11 +68,14 @@ export async function GET(request) {
   }
 
   try {
+    // Unload the codebase's keyword index from memory
+    await clearLexicalIndex(codebasePath);
+
     // Delete the codebase directory and all files recursively
     await fsp.rm(codebasePath, { recursive: true, force: true });
 
-    // Delete all vectors from the Pinecone namespace for this session
-    await pinecone.deleteVectorsFromNamespace();
+    // Delete all vectors from the vector store namespace for this session
+    await vectorStore.deleteVectorsFromNamespace(getNamespace(seed));
 
     return NextResponse.json({ message: "Codebase deleted" });
   } catch (error) {
@@ -24,8 +24,8 @@
  * 1. Validate URL and check if codebase already exists
  * 2. Download ZIP file from URL
  * 3. Extract ZIP to filesystem
- * 4. Recursively process all JavaScript files
- * 5. Extract functions and classes using Tree-Sitter parser
+ * 4. Parse all files supported by the language registry
+ * 5. Build the import/export dependency graph (served by GET /api/graph)
  * 6. Generate embeddings for each code element
  * 7. Upsert embeddings to Pinecone
  *
@@ -37,7 +37,10 @@ import fs from "fs";
 import { cookies } from "next/headers";
 import { NextResponse } from "next/server";
 import path from "path";
-import { processFile } from "../database/processFile";
+import { vectorStore } from "../config/vectorStoreConfig";
+import { writeEmbeddingManifest } from "../database/embeddingManifest";
+import { indexCodebase } from "../database/indexCodebase";
+import { getCodebasePath, getNamespace } from "../database/sessionStore";
 
 /**
  * Downloads a ZIP archive from a URL, extracts it, and processes all code files
@@ -46,12 +49,13 @@ import { processFile } from "../database/processFile";
  * 1. Check if a codebase already exists for this session (prevents overwriting)
  * 2. Validate URL is provided and not empty
  * 3. Download ZIP file using axios
- * 4. Extract ZIP contents to the codebase directory
- * 5. Recursively traverse directory tree
- * 6. For each JavaScript file, call processFile() to:
- *    - Parse code with Tree-Sitter AST parser
- *    - Generate embeddings with OpenAI
- *    - Upload to Pinecone vector database
+ * 4. Record the embedding manifest and extract the ZIP contents to the
+ *    codebase directory
+ * 5. Index the codebase with indexCodebase(), which:
+ *    - Parses each supported source file with its language adapter
+ *    - Builds and stores the dependency graph for the session
+ *    - Generates embeddings with OpenAI
+ *    - Uploads them to the Pinecone vector database
  *
  * The processing happens asynchronously after the route responds,
  * so the user gets immediate feedback while processing continues.
@@ -77,11 +81,13 @@ import { processFile } from "../database/processFile";
 export async function POST(request) {
   const { url } = await request.json();
 
+  // The session is read here, in the request; indexing continues after the
+  // response with the namespace passed explicitly
+  const seed = cookies().get("seed").value;
+  const namespace = getNamespace(seed);
+
   // Construct path for this user's codebase
-  const codebasePath = path.join(
-    `${process.env.NEXT_PUBLIC_CODEBASE_DIR}`,
-    `codebase${cookies().get("seed").value}`,
-  );
+  const codebasePath = getCodebasePath(seed);
 
   // Check if codebase already exists for this user
   if (fs.existsSync(codebasePath)) {
@@ -105,47 +111,26 @@ export async function POST(request) {
 
     // Extract ZIP file
     const zip = new AdmZip(response.data);
+    // Record the embedding model before extracting, so searches and exports
+    // made while the codebase is indexed do not take it for a legacy session
+    await writeEmbeddingManifest(codebasePath, vectorStore.indexName);
     const extractPath = path.join(
-      `${process.env.NEXT_PUBLIC_CODEBASE_DIR}`,
-      `codebase${cookies().get("seed").value}`,
+      codebasePath,
       path.basename(url, ".zip"), // Use URL name as directory name
     );
     zip.extractAllTo(extractPath, true);
 
-    // Asynchronously process all JavaScript files in the codebase
+    // Asynchronously parse, graph and embed all source files in the codebase
     // This continues in the background after the response is sent
-    const traverseDirectory = (directoryPath) => {
-      fs.readdir(directoryPath, { withFileTypes: true }, (err, files) => {
-        if (err) {
-          console.error(`Failed to read codebase directory: ${err}`);
-          return;
-        }
-
-        files.forEach((file) => {
-          const filePath = path.join(directoryPath, file.name);
-
-          if (file.isDirectory()) {
-            // Recursively traverse subdirectories
-            traverseDirectory(filePath);
-          } else if (file.isFile()) {
-            // Check if file is JavaScript and process it
-            if (
-              filePath.endsWith(".js") ||
-              filePath.endsWith(".jsx") ||
-              filePath.endsWith(".ts") ||
-              filePath.endsWith(".tsx")
-            ) {
-              processFile(filePath).catch((err) =>
-                console.error(`Error processing ${filePath}:`, err),
-              );
-            }
-          }
-        });
-      });
-    };
-
-    // Start background directory traversal and file processing
-    traverseDirectory(codebasePath);
+    indexCodebase(codebasePath, { namespace })
+      .then(({ files, failed, embeddings }) =>
+        console.log(
+          `✓ Indexed ${files} files (${failed} failed), ` +
+            `${embeddings.embedded} elements embedded ` +
+            `(${embeddings.cached} cached, ${embeddings.failed} failed)`,
+        ),
+      )
+      .catch((err) => console.error("Failed to index codebase:", err));
 
     return NextResponse.json({
       message: "Codebase downloaded and extracted",
@@ -0,0 +1,125 @@
+/**
+ * Snapshot Export Route Handler
+ *
+ * Streams a snapshot of the session's indexed codebase: its vector IDs,
+ * vectors and metadata, parser output, dependency and call graphs, and the
+ * source files. POST /api/import restores it into another session without
+ * embedding the code again.
+ *
+ * Endpoint: GET /api/export?format=jsonl
+ *
+ * Query parameters:
+ * - format: "jsonl" (default, one JSON entry per line) or "csv"
+ *
+ * Response: the snapshot as a file download (see snapshot.js for the
+ * format), or
+ * {
+ *   "error": "error message"
+ * }
+ *
+ * @module exportSnapshotRoute
+ */
+import fs from "fs";
+import { cookies } from "next/headers";
+import { NextResponse } from "next/server";
+import { vectorStore } from "../config/vectorStoreConfig";
+import { checkEmbeddingManifest } from "../database/embeddingManifest";
+import { getCodebasePath, getNamespace } from "../database/sessionStore";
+import { createSnapshot } from "../database/snapshot";
+import {
+  formatSnapshotEntry,
+  getSnapshotPreamble,
+} from "../database/snapshotFormat";
+
+const CONTENT_TYPES = {
+  jsonl: "application/x-ndjson",
+  csv: "text/csv",
+};
+
+/**
+ * Streams the snapshot of the session's codebase
+ *
+ * Entries are read from the vector store page by page as the client
+ * downloads them, so large namespaces are never held in memory.
+ *
+ * @async
+ * @param {Request} request - Next.js GET request object
+ * @returns {Promise<Response>} The snapshot, or a JSON error
+ *
+ * @example
+ * // Request
+ * GET /api/export?format=jsonl
+ *
+ * // Response (Content-Disposition: attachment; filename="codebase123.jsonl")
+ * {"kind":"header","format":"syntaxsorcerer-snapshot","version":1,...}
+ * {"kind":"file","path":"repo/src/index.js",...}
+ * ...
+ */
+export async function GET(request) {
+  const format =
+    new URL(request.url).searchParams.get("format")?.toLowerCase() || "jsonl";
+  if (!CONTENT_TYPES[format]) {
+    return NextResponse.json(
+      { error: 'format must be "jsonl" or "csv"' },
+      { status: 400 },
+    );
+  }
+
+  const seed = cookies().get("seed").value;
+  const namespace = getNamespace(seed);
+  const codebasePath = getCodebasePath(seed);
+
+  if (!fs.existsSync(codebasePath)) {
+    return NextResponse.json(
+      { error: "No codebase currently uploaded" },
+      { status: 400 },
+    );
+  }
+
+  // The namespace must live in the index the store reads from
+  const embeddingMismatch = await checkEmbeddingManifest(
+    codebasePath,
+    vectorStore.indexName,
+  );
+  if (embeddingMismatch) {
+    return NextResponse.json({ error: embeddingMismatch }, { status: 409 });
+  }
+
+  const entries = createSnapshot(codebasePath, namespace);
+  const encoder = new TextEncoder();
+  let started = false;
+
+  const stream = new ReadableStream({
+    async pull(controller) {
+      try {
+        if (!started) {
+          started = true;
+          controller.enqueue(encoder.encode(getSnapshotPreamble(format)));
+        }
+
+        const { value, done } = await entries.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(
+            encoder.encode(formatSnapshotEntry(value, format)),
+          );
+        }
+      } catch (error) {
+        // Headers are already sent: abort the download instead
+        console.error("Failed to export snapshot:", error);
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await entries.return();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": CONTENT_TYPES[format],
+      "Content-Disposition": `attachment; filename="${namespace}.${format}"`,
+    },
+  });
+}
@@ -0,0 +1,103 @@
+/**
+ * Dependency Graph Route Handler
+ *
+ * Serves the import/export graph built while the session's codebase was
+ * indexed, e.g. to answer "who imports vectorStoreConfig?".
+ *
+ * Endpoint: GET /api/graph
+ *
+ * Query parameters:
+ * - file (optional): path, path suffix or file name to look up
+ *   (e.g. "src/app/config/vectorStoreConfig.js" or "vectorStoreConfig")
+ *
+ * Response without `file` (the full graph):
+ * {
+ *   "files": { "repo/src/app/chat/route.js": { "imports": [...], "exports": [...] }, ... },
+ *   "edges": [{ "from": "...", "to": "...", "source": "@/app/config/redisConfig", "kind": "import" }],
+ *   "generated_at": "2024-01-01T00:00:00.000Z"
+ * }
+ *
+ * Response with `file`:
+ * {
+ *   "matches": [{
+ *     "file": "repo/src/app/config/vectorStoreConfig.js",
+ *     "imports": [...],     // resolved imports of the file
+ *     "importedBy": [...],  // files importing it: {file, source, kind}
+ *     "exports": [...]
+ *   }]
+ * } or
+ * {
+ *   "error": "error message"
+ * }
+ *
+ * @module graphRoute
+ */
+import { findGraphFiles, getImporters } from "@/lib/codeParser/dependencyGraph";
+import { cookies } from "next/headers";
+import { NextResponse } from "next/server";
+import { getCodebasePath, readSessionData } from "../database/sessionStore";
+
+/**
+ * Returns the dependency graph of the session's codebase, or the
+ * neighbourhood of the files matching `?file=`
+ *
+ * @async
+ * @param {Request} request - Next.js GET request object
+ * @returns {Promise<NextResponse>} JSON response with the graph or matches
+ *
+ * @example
+ * // Request
+ * GET /api/graph?file=vectorStoreConfig
+ *
+ * // Response
+ * {
+ *   "matches": [{
+ *     "file": "repo/src/app/config/vectorStoreConfig.js",
+ *     "importedBy": [{ "file": "repo/src/app/chat/route.js", "source": "../config/vectorStoreConfig", "kind": "import" }],
+ *     ...
+ *   }]
+ * }
+ */
+export async function GET(request) {
+  try {
+    const seed = cookies().get("seed")?.value;
+    if (!seed) {
+      return NextResponse.json({ error: "No active session" }, { status: 400 });
+    }
+
+    const graph = await readSessionData(getCodebasePath(seed), "graph");
+    if (!graph) {
+      return NextResponse.json(
+        { error: "No dependency graph found for this session" },
+        { status: 404 },
+      );
+    }
+
+    const file = new URL(request.url).searchParams.get("file");
+    if (!file) {
+      return NextResponse.json(graph);
+    }
+
+    const matches = findGraphFiles(graph, file).map((match) => ({
+      file: match,
+      imports: graph.files[match].imports,
+      importedBy: getImporters(graph, match),
+      exports: graph.files[match].exports,
+    }));
+
+    if (matches.length === 0) {
+      return NextResponse.json(
+        { error: `No file matching "${file}" in the dependency graph` },
+        { status: 404 },
+      );
+    }
+
+    return NextResponse.json({ matches });
+  } catch (error) {
+    console.error("Failed to read dependency graph:", error);
+    return NextResponse.json(
+      { error: "Failed to read dependency graph" },
+      { status: 500 },
+    );
+  }
+}
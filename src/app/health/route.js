@@ -0,0 +1,175 @@
+/**
+ * Health Check Route Handler
+ *
+ * Reports whether the services the app depends on are reachable and
+ * correctly configured, for load balancers, uptime monitors and deployment
+ * checks.
+ *
+ * Endpoint: GET /api/health
+ *
+ * Response (200 when every check passes, 503 otherwise):
+ * {
+ *   "status": "ok",              // "ok" or "error"
+ *   "checks": {
+ *     "vectorStore": { "status": "ok", "store": "pinecone", "index": "syntaxsorcerer",
+ *                      "dimension": 1536, "metric": "cosine", "state": "Ready", "latency_ms": 182 },
+ *     "redis": { "status": "ok", "latency_ms": 12 },
+ *     "llm": { "status": "ok", "provider": "openai", "model": "gpt-3.5-turbo", "latency_ms": 240 }
+ *   }
+ * }
+ *
+ * A failed check has "status": "error" and an "error" message. Checks only
+ * read: a missing index is reported, not created (see instrumentation.js).
+ *
+ * @module healthRoute
+ */
+import { connectRedis } from "@/app/config/redisConfig";
+import { NextResponse } from "next/server";
+
+// Checked on every request; never prerendered at build time
+export const dynamic = "force-dynamic";
+
+// Longest wait for each service before its check fails
+const CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Checks the vector store, Redis and the LLM provider
+ *
+ * The checks run in parallel, each with a 5 second limit.
+ *
+ * @async
+ * @param {Request} request - Next.js GET request object
+ * @returns {Promise<NextResponse>} JSON with the overall status and each check's result
+ *
+ * @example
+ * // Request
+ * GET /api/health
+ *
+ * // Response (503: Redis is down)
+ * {
+ *   "status": "error",
+ *   "checks": {
+ *     "vectorStore": { "status": "ok", ... },
+ *     "redis": { "status": "error", "error": "Timed out after 5000ms", "latency_ms": 5001 },
+ *     "llm": { "status": "ok", ... }
+ *   }
+ * }
+ */
+export async function GET(request) {
+  const [vectorStore, redis, llm] = await Promise.all([
+    runCheck(checkVectorStore),
+    runCheck(checkRedis),
+    runCheck(checkLLM),
+  ]);
+  const checks = { vectorStore, redis, llm };
+
+  const healthy = Object.values(checks).every((check) => check.status === "ok");
+  return NextResponse.json(
+    { status: healthy ? "ok" : "error", checks },
+    { status: healthy ? 200 : 503 },
+  );
+}
+
+/**
+ * Runs a check with a time limit, turning failures into an error result
+ *
+ * @private
+ * @async
+ * @param {function(): Promise<Object>} check - Returns details of a healthy service; throws otherwise
+ * @returns {Promise<Object>} `{status, error?, ...details, latency_ms}`
+ */
+async function runCheck(check) {
+  const start = Date.now();
+  let timer;
+
+  try {
+    const details = await Promise.race([
+      check(),
+      new Promise((_, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)),
+          CHECK_TIMEOUT_MS,
+        );
+      }),
+    ]);
+    return { status: "ok", ...details, latency_ms: Date.now() - start };
+  } catch (error) {
+    return {
+      status: "error",
+      error: error.message,
+      latency_ms: Date.now() - start,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Checks that the vector store's index exists, is ready, and holds vectors
+ * of the embedding model's dimension
+ *
+ * Imported on demand: a store that cannot even be configured (e.g. a
+ * missing API key) fails this check instead of the whole route.
+ *
+ * @private
+ * @async
+ * @returns {Promise<Object>} Store, index, dimension, metric and state
+ * @throws {Error} If the index is missing, not ready or has another dimension
+ */
+async function checkVectorStore() {
+  const { vectorStore } = await import("../config/vectorStoreConfig");
+  const index = await vectorStore.describeIndex();
+
+  if (!index) {
+    throw new Error(`Index "${vectorStore.indexName}" does not exist`);
+  }
+  if (index.dimension !== vectorStore.dimension) {
+    throw new Error(
+      `Index "${index.name}" holds ${index.dimension}-dimensional vectors, ` +
+        `but the embedding provider returns ${vectorStore.dimension}`,
+    );
+  }
+  if (!index.ready) {
+    throw new Error(`Index "${index.name}" is not ready (${index.state})`);
+  }
+
+  return {
+    store: vectorStore.name,
+    index: index.name,
+    dimension: index.dimension,
+    metric: index.metric,
+    state: index.state,
+  };
+}
+
+/**
+ * Checks that Redis accepts commands
+ *
+ * @private
+ * @async
+ * @returns {Promise<Object>} No details
+ * @throws {Error} If Redis cannot be reached
+ */
+async function checkRedis() {
+  const client = await connectRedis();
+  await client.ping();
+  return {};
+}
+
+/**
+ * Checks that the OpenAI API key is valid and the chat model available
+ *
+ * @private
+ * @async
+ * @returns {Promise<Object>} Provider and chat model
+ * @throws {Error} If the API key is missing or rejected, or the model unknown
+ */
+async function checkLLM() {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error("API key is missing");
+  }
+
+  const { chatModel, openai } = await import("../config/openAIConfig");
+  await openai.models.retrieve(chatModel);
+  return { provider: "openai", model: chatModel };
+}
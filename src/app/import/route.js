@@ -0,0 +1,147 @@
+/**
+ * Snapshot Import Route Handler
+ *
+ * Restores a snapshot exported by GET /api/export into the session, as if
+ * its codebase had been uploaded and indexed here. The vectors are stored
+ * as exported, so the embedding API is not called.
+ *
+ * The upload is streamed to a temporary file rather than held in memory,
+ * then read twice, one entry at a time: once to validate the whole snapshot
+ * (including every file's checksum), so an invalid one leaves nothing
+ * behind, and once to import it.
+ *
+ * Endpoint: POST /api/import?format=jsonl
+ *
+ * Query parameters:
+ * - format: "jsonl" or "csv" (defaults to "csv" for a text/csv body, and
+ *   "jsonl" otherwise)
+ *
+ * Request body: the snapshot file
+ *
+ * Response:
+ * {
+ *   "message": "Snapshot imported",
+ *   "files": 42,
+ *   "vectors": 615
+ * } or
+ * {
+ *   "error": "error message"
+ * }
+ *
+ * @module importSnapshotRoute
+ */
+import fs from "fs";
+import fsp from "fs/promises";
+import { cookies } from "next/headers";
+import { NextResponse } from "next/server";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { vectorStore } from "../config/vectorStoreConfig";
+import { clearLexicalIndex } from "../database/lexicalIndex";
+import { getCodebasePath, getNamespace } from "../database/sessionStore";
+import { importSnapshot, validateSnapshot } from "../database/snapshot";
+import { readSnapshot } from "../database/snapshotFormat";
+
+/**
+ * Imports a snapshot into a session without a codebase
+ *
+ * The snapshot must have been embedded with the configured model; it may
+ * come from another vector store. It is rejected if a file does not match
+ * its sha256 checksum. If the import fails midway, the partial codebase and
+ * vectors are removed so it can be retried.
+ *
+ * @async
+ * @param {Request} request - Next.js POST request with the snapshot as body
+ * @returns {Promise<NextResponse>} JSON with the restored counts or an error
+ *
+ * @example
+ * // Request
+ * POST /api/import?format=jsonl
+ * {"kind":"header","format":"syntaxsorcerer-snapshot","version":1,...}
+ * ...
+ *
+ * // Response (error - another embedding model)
+ * {
+ *   "error": "The snapshot was embedded with text-embedding-ada-002 (1536 dimensions), but this server uses ..."
+ * }
+ */
+export async function POST(request) {
+  const seed = cookies().get("seed").value;
+  const namespace = getNamespace(seed);
+  const codebasePath = getCodebasePath(seed);
+
+  if (fs.existsSync(codebasePath)) {
+    return NextResponse.json(
+      { error: "Codebase already uploaded; delete it to upload another" },
+      { status: 400 },
+    );
+  }
+
+  const format =
+    new URL(request.url).searchParams.get("format")?.toLowerCase() ||
+    (request.headers.get("content-type")?.startsWith("text/csv")
+      ? "csv"
+      : "jsonl");
+  if (format !== "jsonl" && format !== "csv") {
+    return NextResponse.json(
+      { error: 'format must be "jsonl" or "csv"' },
+      { status: 400 },
+    );
+  }
+
+  const uploadPath = path.join(
+    os.tmpdir(),
+    `syntaxsorcerer-import-${namespace}-${Date.now()}.${format}`,
+  );
+  const readUpload = () =>
+    readSnapshot(fs.createReadStream(uploadPath, { encoding: "utf8" }), format);
+
+  try {
+    try {
+      await pipeline(
+        request.body ? Readable.fromWeb(request.body) : Readable.from([]),
+        fs.createWriteStream(uploadPath),
+      );
+      await validateSnapshot(readUpload());
+    } catch (error) {
+      return NextResponse.json(
+        { error: `Invalid snapshot: ${error.message}` },
+        { status: 400 },
+      );
+    }
+
+    try {
+      const { files, vectors } = await importSnapshot(
+        readUpload(),
+        codebasePath,
+        namespace,
+      );
+      return NextResponse.json({
+        message: "Snapshot imported",
+        files,
+        vectors,
+      });
+    } catch (error) {
+      console.error("Failed to import snapshot:", error);
+      // Each cleanup runs even if another fails, and none hides the 500
+      const cleanups = await Promise.allSettled([
+        clearLexicalIndex(codebasePath),
+        fsp.rm(codebasePath, { recursive: true, force: true }),
+        vectorStore.deleteVectorsFromNamespace(namespace),
+      ]);
+      cleanups
+        .filter((cleanup) => cleanup.status === "rejected")
+        .forEach(({ reason }) =>
+          console.error("Failed to clean up the import:", reason),
+        );
+      return NextResponse.json(
+        { error: "Failed to import snapshot" },
+        { status: 500 },
+      );
+    }
+  } finally {
+    await fsp.rm(uploadPath, { force: true });
+  }
+}
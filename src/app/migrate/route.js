@@ -0,0 +1,128 @@
+/**
+ * Embedding Migration Route Handler
+ *
+ * Re-embeds every uploaded codebase indexed with another embedding model,
+ * dimension or Pinecone index than the configured ones (see
+ * migrateEmbeddings.js). The migration affects all sessions, so it requires
+ * the MIGRATION_TOKEN environment variable and is disabled without it.
+ *
+ * Endpoint: POST /api/migrate
+ *
+ * Headers:
+ * - Authorization: Bearer {MIGRATION_TOKEN}
+ *
+ * Request body (optional):
+ * {
+ *   "dryRun": true,        // only list the namespaces to migrate
+ *   "deleteSource": true   // delete migrated namespaces from their old index
+ * }
+ *
+ * Response:
+ * {
+ *   "message": "Migrating 2 namespaces",
+ *   "namespaces": [{ "namespace": "codebase123", "from": {...}, "to": {...} }]
+ * } or
+ * {
+ *   "error": "error message"
+ * }
+ *
+ * The migration continues in the background after the response is sent;
+ * its progress is logged.
+ *
+ * @module migrateRoute
+ */
+import crypto from "crypto";
+import { NextResponse } from "next/server";
+import {
+  migrateEmbeddings,
+  planEmbeddingMigration,
+} from "../database/migrateEmbeddings";
+
+/**
+ * Lists the namespaces to migrate and starts their migration
+ *
+ * @async
+ * @param {Request} request - Next.js POST request with optional {dryRun, deleteSource}
+ * @returns {Promise<NextResponse>} JSON with the namespaces being migrated
+ *
+ * @example
+ * // Request
+ * POST /api/migrate
+ * Authorization: Bearer s3cret
+ * { "dryRun": true }
+ *
+ * // Response
+ * {
+ *   "message": "1 namespace to migrate",
+ *   "namespaces": [{
+ *     "namespace": "codebase123",
+ *     "from": { "model": "text-embedding-ada-002", "dimension": 1536, "index": "syntaxsorcerer", ... },
+ *     "to": { "model": "text-embedding-3-large", "dimension": 3072, "index": "syntaxsorcerer-3072", ... }
+ *   }]
+ * }
+ */
+export async function POST(request) {
+  if (!process.env.MIGRATION_TOKEN) {
+    return NextResponse.json(
+      { error: "Embedding migration is disabled" },
+      { status: 404 },
+    );
+  }
+
+  if (!isAuthorized(request, process.env.MIGRATION_TOKEN)) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const res = await request.json().catch(() => ({}));
+
+  try {
+    const plan = await planEmbeddingMigration();
+    const namespaces = plan.map(({ namespace, from, to }) => ({
+      namespace,
+      from,
+      to,
+    }));
+
+    if (res.dryRun) {
+      return NextResponse.json({
+        message: `${plan.length} namespace${plan.length === 1 ? "" : "s"} to migrate`,
+        namespaces,
+      });
+    }
+
+    // Re-embedding takes minutes per codebase: continue in the background
+    migrateEmbeddings({ deleteSource: Boolean(res.deleteSource) }).catch(
+      (err) => console.error("Embedding migration failed:", err),
+    );
+
+    return NextResponse.json({
+      message: `Migrating ${plan.length} namespace${plan.length === 1 ? "" : "s"}`,
+      namespaces,
+    });
+  } catch (error) {
+    console.error("Failed to start embedding migration:", error);
+    return NextResponse.json(
+      { error: "Failed to start embedding migration" },
+      { status: 500 },
+    );
+  }
+}
+
+/**
+ * Checks a request's bearer token
+ *
+ * The token is compared in constant time, so response times do not reveal
+ * how much of a guess was right.
+ *
+ * @private
+ * @param {Request} request - Incoming request
+ * @param {string} token - Expected token
+ * @returns {boolean} True if the Authorization header holds the token
+ */
+function isAuthorized(request, token) {
+  const given = Buffer.from(request.headers.get("authorization") ?? "");
+  const expected = Buffer.from(`Bearer ${token}`);
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+}
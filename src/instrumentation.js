@@ -0,0 +1,34 @@
+/**
+ * Server Startup Hook
+ *
+ * Next.js calls register() once when a server instance starts. It provisions
+ * the vector store's index (creating it with the embedding model's dimension
+ * if missing, see VectorStore.ensureIndex), so a fresh deployment is ready
+ * before the first codebase is uploaded.
+ *
+ * Provisioning failures are logged, not thrown: the server still starts,
+ * GET /health reports the problem, and indexing retries provisioning.
+ *
+ * @module instrumentation
+ */
+
+/**
+ * Provisions the vector store index
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function register() {
+  // The vector store clients only run in the Node.js runtime. The import
+  // stays inside this check so the Edge bundle leaves it out (an early
+  // return does not, and the build fails on Node.js modules such as "fs")
+  if (process.env.NEXT_RUNTIME === "nodejs") {
+    try {
+      const { vectorStore } = await import("./app/config/vectorStoreConfig");
+      await vectorStore.ensureIndex();
+      console.log(`✓ Vector store ready (${vectorStore.name})`);
+    } catch (error) {
+      console.error("Vector store provisioning failed:", error.message);
+    }
+  }
+}
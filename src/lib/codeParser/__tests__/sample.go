@@ -0,0 +1,22 @@
+package sample
+
+// MaxRetries is the number of attempts before giving up
+const MaxRetries = 3
+
+// Greeter builds greetings
+type Greeter interface {
+	Greet(name string) string
+}
+
+type Calculator struct {
+	Value int
+}
+
+func NewCalculator(initial int) *Calculator {
+	return &Calculator{Value: initial}
+}
+
+func (c *Calculator) Add(x int) int {
+	c.Value += x
+	return c.Value
+}
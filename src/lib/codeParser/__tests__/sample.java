@@ -0,0 +1,28 @@
+package sample;
+
+/**
+ * Sample Java file for Tree-Sitter parser validation
+ */
+public class Calculator {
+    private static final int PRECISION = 2;
+    private int value;
+
+    public Calculator(int initialValue) {
+        this.value = initialValue;
+    }
+
+    public int add(int x) {
+        value += x;
+        return value;
+    }
+
+    public static Calculator zero() {
+        return new Calculator(0);
+    }
+}
+
+interface Greeter {
+    String greet(String name);
+}
+
+enum Operation { ADD, MULTIPLY }
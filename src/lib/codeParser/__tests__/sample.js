@@ -2,7 +2,12 @@
  * Sample test file for Tree-Sitter parser validation
  */
 
-// Function declaration
+/**
+ * Function declaration with a JSDoc comment
+ * @param {string} name - Name to greet
+ * @returns {string} The greeting
+ * @deprecated Use a template literal instead
+ */
 function greet(name) {
   return `Hello, ${name}!`;
 }
@@ -44,3 +49,34 @@ function processData(data) {
   }));
   return mapped;
 }
+
+// Class with accessors, static members and fields
+class Counter {
+  static instances = 0;
+  count = 0;
+
+  get value() {
+    return this.count;
+  }
+
+  set value(next) {
+    this.count = next;
+  }
+
+  static create() {
+    Counter.instances++;
+    return new Counter();
+  }
+
+  increment() {
+    const step = 1;
+    this.count += step;
+  }
+}
+
+// Test suite registered at the top level
+describe("Counter", () => {
+  it("creates a counter", () => {
+    Counter.create();
+  });
+});
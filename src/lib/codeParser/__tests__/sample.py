@@ -0,0 +1,27 @@
+"""Sample Python file for Tree-Sitter parser validation"""
+
+# Module-level configuration constant
+MAX_RETRIES = 3
+
+
+def greet(name):
+    return f"Hello, {name}!"
+
+
+class Calculator:
+    precision = 2
+
+    def __init__(self, initial_value=0):
+        self.value = initial_value
+
+    def add(self, x):
+        self.value += x
+        return self.value
+
+    @property
+    def rounded(self):
+        return round(self.value, self.precision)
+
+    @staticmethod
+    def zero():
+        return Calculator(0)
@@ -0,0 +1,55 @@
+/**
+ * Sample TypeScript file for Tree-Sitter parser validation
+ */
+import { subtract } from "./sample";
+
+// Interface with a generic parameter
+interface Repository<T> {
+  findById(id: string): Promise<T | undefined>;
+  save(item: T): Promise<void>;
+}
+
+// Type alias
+type UserId = string | number;
+
+// Enum
+enum Role {
+  Admin = "admin",
+  Member = "member",
+}
+
+// Abstract class
+abstract class Shape {
+  abstract area(): number;
+
+  describe(): string {
+    return `Shape with area ${this.area()}`;
+  }
+}
+
+// Class with typed members
+class Square extends Shape {
+  constructor(private readonly side: number) {
+    super();
+  }
+
+  area(): number {
+    return this.side * this.side;
+  }
+}
+
+// Declared namespace
+declare namespace Express {
+  interface Request {
+    userId?: UserId;
+  }
+}
+
+// Generic function with type annotations
+export function first<T>(items: T[]): T | undefined {
+  return items[0];
+}
+
+// Typed arrow function
+export const toRole = (value: string): Role =>
+  value === "admin" ? Role.Admin : Role.Member;
@@ -56,8 +56,8 @@ async function runTests() {
         check: indexContent.includes("export async function parseCodeFile"),
       },
       {
-        name: "Imports Tree-Sitter parser",
-        check: indexContent.includes("parseCodeWithTreeSitter"),
+        name: "Dispatches through language registry",
+        check: indexContent.includes("getAdapterForFile"),
       },
       {
         name: "Has proper JSDoc",
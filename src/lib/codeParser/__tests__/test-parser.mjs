@@ -3,9 +3,34 @@
  * Run with: node --experimental-modules src/lib/codeParser/__tests__/test-parser.mjs
  */
 
+import fs from "fs";
+import os from "os";
 import path from "path";
+import JavaScript from "tree-sitter-javascript";
 import { fileURLToPath } from "url";
+import { getLexicalTerms } from "../../../app/database/lexicalIndex.js";
+import { matchesFilter } from "../../../app/database/metadataFilter.js";
+import { rerankMatches } from "../../../app/database/reranking.js";
+import { isRetryableError } from "../../../app/database/retry.js";
+import { getFilterMetadata } from "../../../app/database/searchFilters.js";
+import {
+  getCodebaseNamespace,
+  getNamespace,
+} from "../../../app/database/sessionStore.js";
+import {
+  formatSnapshotEntry,
+  getSnapshotPreamble,
+  readSnapshot,
+} from "../../../app/database/snapshotFormat.js";
+import { createVectorId } from "../../../app/database/vectorId.js";
+import { batchVectorRecords } from "../../../app/database/vectorRecords.js";
+import { getParser } from "../astUtils.js";
+import { buildCallGraph, getCallHierarchy } from "../callGraph.js";
+import { chunkElement } from "../chunker.js";
+import { buildDependencyGraph, getImporters } from "../dependencyGraph.js";
 import { parseCodeFile } from "../index.js";
+import { collectMiscBlocks } from "../miscBlocks.js";
+import { CODE_ELEMENT_GROUPS } from "../types.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -34,7 +59,7 @@ async function runTests() {
       console.log("   Functions:");
       result.functions.forEach((func, idx) => {
         console.log(
-          `   ${idx + 1}. ${func.function_name} (${func.code.split("\n").length} lines)`,
+          `   ${idx + 1}. ${func.function_name} (lines ${func.start_line}-${func.end_line})`,
         );
       });
     }
@@ -49,6 +74,36 @@ async function runTests() {
       });
     }
 
+    console.log(`\n🧩 Class Members Found: ${result.methods.length}`);
+    result.methods.forEach((method, idx) => {
+      console.log(`   ${idx + 1}. ${method.qualified_name} (${method.kind})`);
+    });
+
+    // Parse the TypeScript sample with the TypeScript grammar
+    const tsResult = await parseCodeFile(path.join(__dirname, "sample.ts"));
+
+    console.log(
+      `\n🔷 TypeScript (${tsResult.language}) Declarations Found: ${tsResult.typeDeclarations.length}`,
+    );
+    tsResult.typeDeclarations.forEach((decl, idx) => {
+      console.log(`   ${idx + 1}. ${decl.type_name} (${decl.type})`);
+    });
+
+    // Parse the Python, Go and Java samples through their language adapters
+    const otherResults = await Promise.all(
+      ["sample.py", "sample.go", "sample.java"].map((file) =>
+        parseCodeFile(path.join(__dirname, file)),
+      ),
+    );
+
+    otherResults.forEach((other) => {
+      console.log(
+        `\n🌐 ${other.language}: ${other.functions.length} functions, ` +
+          `${other.classes.length} classes, ${other.methods.length} members, ` +
+          `${other.typeDeclarations.length} type declarations, ${other.variables.length} variables`,
+      );
+    });
+
     console.log("\n" + "=".repeat(50));
 
     // Validation checks
@@ -65,7 +120,251 @@ async function runTests() {
     console.log(
       `  ✓ All classes have names: ${result.classes.every((c) => c.class_name) ? "PASS" : "FAIL"}`,
     );
+    console.log(
+      `  ✓ Parsed class member kinds: ${["method", "getter", "setter", "static", "field"].every((kind) => result.methods.some((m) => m.kind === kind)) ? "PASS" : "FAIL"}`,
+    );
+    console.log(
+      `  ✓ Class members have parent class: ${result.methods.every((m) => m.parent_class && m.qualified_name === `${m.parent_class}.${m.method_name}`) ? "PASS" : "FAIL"}`,
+    );
+    console.log(
+      `  ✓ All elements have line spans: ${[...result.functions, ...result.classes, ...result.methods].every((e) => e.start_line >= 1 && e.end_line >= e.start_line && e.start_column >= 1) ? "PASS" : "FAIL"}`,
+    );
+    console.log(
+      `  ✓ TypeScript grammar selected: ${tsResult.language === "typescript" ? "PASS" : "FAIL"}`,
+    );
+    console.log(
+      `  ✓ Parsed TypeScript declarations: ${["interface", "type_alias", "enum", "namespace"].every((type) => tsResult.typeDeclarations.some((d) => d.type === type)) ? "PASS" : "FAIL"}`,
+    );
+    console.log(
+      `  ✓ Parsed abstract classes: ${tsResult.classes.some((c) => c.type === "abstract_class") ? "PASS" : "FAIL"}`,
+    );
+    console.log(
+      `  ✓ Typed functions have names: ${["first", "toRole"].every((name) => tsResult.functions.some((f) => f.function_name === name)) ? "PASS" : "FAIL"}`,
+    );
+
+    console.log(
+      `  ✓ Python/Go/Java adapters selected: ${otherResults.map((r) => r.language).join(",") === "python,go,java" ? "PASS" : "FAIL"}`,
+    );
+    console.log(
+      `  ✓ Python/Go/Java members extracted: ${otherResults.every((r) => r.classes.some((c) => c.class_name === "Calculator") && r.methods.some((m) => m.qualified_name === "Calculator.add" || m.qualified_name === "Calculator.Add")) ? "PASS" : "FAIL"}`,
+    );
+
+    // Documentation and configuration files
+    const markdown = await parseCodeFile(path.join(__dirname, "sample.md"));
+    const packageJson = await parseCodeFile(
+      path.join(__dirname, "../../../../package.json"),
+    );
+    console.log(
+      `  ✓ Markdown split by headings: ${markdown.sections.map((s) => s.section_name.split("#")[1]).join("|") === "Sample Project|Sample Project > Getting Started|Sample Project > Getting Started > Running" ? "PASS" : "FAIL"}`,
+    );
+    console.log(
+      `  ✓ package.json sections extracted: ${["scripts", "dependencies"].every((kind) => packageJson.configs.some((c) => c.kind === kind && c.code.startsWith(`"${kind}"`))) ? "PASS" : "FAIL"}`,
+    );
+    // Resolve the TypeScript sample's import of the JavaScript sample
+    const graph = buildDependencyGraph(
+      [sampleFile, path.join(__dirname, "sample.ts")].map((filePath, idx) => ({
+        filePath,
+        ...(idx === 0 ? result : tsResult),
+      })),
+      __dirname,
+    );
+    console.log(
+      `  ✓ Resolved extensionless relative import: ${getImporters(graph, "sample.js").some((i) => i.file === "sample.ts") ? "PASS" : "FAIL"}`,
+    );
+    console.log(
+      `  ✓ Collected ES module exports: ${graph.files["sample.ts"].exports.map((e) => e.name).join(",") === "first,toRole" ? "PASS" : "FAIL"}`,
+    );
+
+    const greet = result.functions.find((f) => f.function_name === "greet");
+    console.log(
+      `  ✓ JSDoc tags attached to functions: ${greet?.doc_tags?.params[0]?.name === "name" && greet.doc_tags.returns?.type === "string" && greet.doc_tags.deprecated ? "PASS" : "FAIL"}`,
+    );
+    console.log(
+      `  ✓ Line comments attached to variables: ${result.variables.some((v) => v.variable_name === "counter" && v.doc === "Variable declaration") ? "PASS" : "FAIL"}`,
+    );
+    console.log(
+      `  ✓ Only orphan comments kept as elements: ${result.comments.length === 1 && result.comments[0].start_line === 1 ? "PASS" : "FAIL"}`,
+    );
+
+    // Resolve `new Counter()` inside Counter.create to the Counter class
+    const callGraph = buildCallGraph(
+      [{ filePath: sampleFile, codeBlocks: result }],
+      graph,
+      __dirname,
+    );
+    console.log(
+      `  ✓ Resolved calls in call graph: ${getCallHierarchy(callGraph, "sample.js#Counter.create", "callees").some((c) => c.id === "sample.js#Counter") ? "PASS" : "FAIL"}`,
+    );
+    console.log(
+      `  ✓ Top-level statements kept as misc blocks: ${result.misc.length === 1 && result.misc[0].misc_name === 'describe("Counter")' && result.misc[0].doc === "Test suite registered at the top level" ? "PASS" : "FAIL"}`,
+    );
+    console.log(
+      `  ✓ Misc blocks in call graph: ${getCallHierarchy(callGraph, "sample.js#Counter.create", "callers").some((c) => c.type === "misc") ? "PASS" : "FAIL"}`,
+    );
+
+    // Grouped statements keep the comments and line breaks between them
+    const groupedSource = "app.use(a); // then b\r\napp.use(b);\r\n";
+    const [grouped] = collectMiscBlocks(
+      getParser("javascript", JavaScript).parse(groupedSource).rootNode,
+      {
+        filepath: "app.js",
+        docs: { document: () => ({}) },
+        isNestedScope: () => false,
+      },
+    );
+    console.log(
+      `  ✓ Grouped misc blocks keep their source: ${grouped.code === groupedSource.trim() && grouped.end_line === 2 ? "PASS" : "FAIL"}`,
+    );
+
+    // Split Calculator into chunks of about two methods each
+    const tree = getParser("javascript", JavaScript).parse(
+      fs.readFileSync(sampleFile, "utf8"),
+    );
+    const calculator = result.classes.find(
+      (c) => c.class_name === "Calculator",
+    );
+    const chunks = chunkElement(calculator, tree.rootNode, {
+      maxTokens: 40,
+      overlapTokens: 20,
+    });
+    console.log(
+      `  ✓ Oversized elements split on AST boundaries: ${chunks.length > 1 && chunks.every((chunk, i) => chunk.chunk_index === i && chunk.chunk_count === chunks.length) && chunks[0].code.startsWith("class Calculator") && chunks[0].start_line === calculator.start_line && chunks[chunks.length - 1].end_line === calculator.end_line && chunks.slice(1).every((chunk) => /^(add|multiply)\(x\)/.test(chunk.code)) ? "PASS" : "FAIL"}`,
+    );
+
+    // Files past Tree-Sitter's default input buffer (32768 characters) parse
+    // and get chunked
+    const lookups = Array.from({ length: 460 }, (_, i) =>
+      [
+        `  lookup${i}(key) {`,
+        `    return this.entries.get(\`row-${i}-\${key}\`) ?? ${i};`,
+        "  }",
+      ].join("\n"),
+    );
+    const largeFile = path.join(os.tmpdir(), "syntaxsorcerer-large.js");
+    fs.writeFileSync(
+      largeFile,
+      `export class GeneratedTable {\n${lookups.join("\n\n")}\n}\n`,
+    );
+    const largeResult = await parseCodeFile(largeFile);
+    fs.rmSync(largeFile);
+    console.log(
+      `  ✓ Large files parsed and chunked: ${largeResult.classes[0]?.chunks?.length > 1 && largeResult.methods.length === 460 ? "PASS" : "FAIL"}`,
+    );
+
+    // Same-named elements (e.g. a function and a method) get distinct IDs
+    const elements = CODE_ELEMENT_GROUPS.flatMap((group) =>
+      (result[group.key] || []).map((element) => ({ element, group })),
+    );
+    const vectorIds = elements.map(({ element, group }) =>
+      createVectorId(element, group),
+    );
+    console.log(
+      `  ✓ Vector IDs unique and stable: ${new Set(vectorIds).size === elements.length && elements.every(({ element, group }, i) => createVectorId({ ...element }, group) === vectorIds[i]) ? "PASS" : "FAIL"}`,
+    );
 
+    // Local vector store filters (Pinecone syntax)
+    const sampleMetadata = {
+      type: "method",
+      start_line: 12,
+      doc_params: ["id", "name"],
+    };
+    const filtersMatch =
+      matchesFilter(sampleMetadata, {
+        type: { $in: ["function", "method"] },
+        doc_params: "id",
+        $or: [{ start_line: { $gte: 10 } }, { type: "doc" }],
+      }) &&
+      !matchesFilter(sampleMetadata, { type: { $ne: "method" } }) &&
+      !matchesFilter(sampleMetadata, { kind: { $exists: true } });
+    console.log(`  ✓ Metadata filters: ${filtersMatch ? "PASS" : "FAIL"}`);
+
+    // Search filter metadata of sample.js (only `subtract` is exported)
+    const [functionGroup] = CODE_ELEMENT_GROUPS;
+    const exportedFunctions = result.functions
+      .filter(
+        (element) =>
+          getFilterMetadata(element, functionGroup, {
+            ...result,
+            relative_path: "repo/src/__tests__/sample.js",
+          }).exported,
+      )
+      .map((element) => element.function_name);
+    const sampleFilterMetadata = getFilterMetadata(
+      result.functions[0],
+      functionGroup,
+      { ...result, relative_path: "repo/src/__tests__/sample.js" },
+    );
+    console.log(
+      `  ✓ Search filter metadata: ${exportedFunctions.join(",") === "subtract" && sampleFilterMetadata.is_test && sampleFilterMetadata.path_prefixes.join(",") === "repo,repo/src,repo/src/__tests__" ? "PASS" : "FAIL"}`,
+    );
+
+    // Keyword search terms keep compound identifiers whole
+    console.log(
+      `  ✓ Lexical terms: ${getLexicalTerms("client.lRem(NEXT_PUBLIC_DIR)").join(",") === "client,l,rem,lrem,next,public,dir,next_public_dir" ? "PASS" : "FAIL"}`,
+    );
+
+    // Reranked matches come first; unscored candidates keep retrieval order
+    const reranked = await rerankMatches(
+      "parse",
+      ["a", "b", "c"].map((id) => ({ id, score: 0.5, metadata: {} })),
+      3,
+      { rerank: async () => [{ index: 2, score: 0.9, reason: "parses" }] },
+    );
+    console.log(
+      `  ✓ Reranking: ${reranked.map(({ id }) => id).join(",") === "c,a,b" && reranked[0].reason === "parses" ? "PASS" : "FAIL"}`,
+    );
+
+    // Indexing outside a request derives the namespace from the directory
+    console.log(
+      `  ✓ Codebase namespace: ${getCodebaseNamespace(path.join("data", getNamespace("123"), "/")) === "codebase123" ? "PASS" : "FAIL"}`,
+    );
+
+    // Upserts are split by record count and by payload size
+    const upsertBatches = batchVectorRecords(
+      Array.from({ length: 5 }, (_, i) => ({ id: `v${i}`, values: [i] })),
+      { maxRecords: 2, maxBytes: 1000 },
+    );
+    const sizeBatches = batchVectorRecords(
+      [
+        { id: "a", values: [] },
+        { id: "b", values: [] },
+      ],
+      { maxRecords: 10, maxBytes: 30 },
+    );
+    console.log(
+      `  ✓ Upsert batches: ${upsertBatches.map((batch) => batch.length).join(",") === "2,2,1" && sizeBatches.length === 2 ? "PASS" : "FAIL"}`,
+    );
+
+    // Only network failures are retried when there is no HTTP status
+    const networkError = new TypeError("fetch failed", {
+      cause: Object.assign(new Error("socket hang up"), { code: "ECONNRESET" }),
+    });
+    console.log(
+      `  ✓ Retryable errors: ${isRetryableError(networkError) && isRetryableError({ status: 429 }) && !isRetryableError(new TypeError("x is not a function")) && !isRetryableError({ status: 400 }) ? "PASS" : "FAIL"}`,
+    );
+
+    // Snapshots read back the entries they were written from, even when
+    // chunks split escaped quotes and line breaks
+    const snapshotEntries = [
+      { kind: "file", path: "repo/a.js", content: 'say("hi, there")\r\n' },
+      { kind: "vector", id: "v1", values: [0.5], metadata: { name: "a" } },
+    ];
+    let roundTrips = true;
+    for (const format of ["jsonl", "csv"]) {
+      const text =
+        getSnapshotPreamble(format) +
+        snapshotEntries
+          .map((entry) => formatSnapshotEntry(entry, format))
+          .join("");
+      const chunks = text.match(/[^]{1,3}/g);
+      const readEntries = [];
+      for await (const entry of readSnapshot(chunks, format)) {
+        readEntries.push(entry);
+      }
+      roundTrips &&=
+        JSON.stringify(readEntries) === JSON.stringify(snapshotEntries);
+    }
+    console.log(`  ✓ Snapshot formats: ${roundTrips ? "PASS" : "FAIL"}`);
     console.log("\n" + "=".repeat(50));
     console.log("\n✨ Tree-Sitter parser is working correctly!\n");
 
@@ -0,0 +1,98 @@
+/**
+ * Project Configuration Adapter
+ *
+ * Indexes well-known configuration files as a whole, one `configs` entry per
+ * file, so questions like "which ESLint rules are enabled?" or "which Node
+ * version does the Docker image use?" can be answered from them:
+ * - ESLint: .eslintrc, .eslintrc.{json,js,cjs,yml,yaml}, eslint.config.{js,mjs,cjs}
+ * - TypeScript/JavaScript projects: tsconfig.json, jsconfig.json
+ * - Next.js: next.config.{js,mjs,cjs,ts}
+ * - Docker: Dockerfile, docker-compose.{yml,yaml}, compose.{yml,yaml}
+ *
+ * Files are matched by name, so `next.config.mjs` is indexed here rather
+ * than by the JavaScript adapter.
+ *
+ * @module adapters/config
+ */
+import path from "path";
+import { createParserOutput, readSourceFile } from "../astUtils";
+import { attachChunks } from "../chunker";
+
+// File name -> what it configures (stored as the entry's `kind`)
+const CONFIG_FILES = {
+  ".eslintrc": "eslint",
+  ".eslintrc.json": "eslint",
+  ".eslintrc.js": "eslint",
+  ".eslintrc.cjs": "eslint",
+  ".eslintrc.yml": "eslint",
+  ".eslintrc.yaml": "eslint",
+  "eslint.config.js": "eslint",
+  "eslint.config.mjs": "eslint",
+  "eslint.config.cjs": "eslint",
+  "tsconfig.json": "tsconfig",
+  "jsconfig.json": "jsconfig",
+  "next.config.js": "next",
+  "next.config.mjs": "next",
+  "next.config.cjs": "next",
+  "next.config.ts": "next",
+  dockerfile: "docker",
+  "docker-compose.yml": "docker-compose",
+  "docker-compose.yaml": "docker-compose",
+  "compose.yml": "docker-compose",
+  "compose.yaml": "docker-compose",
+};
+
+// File extension -> language the file is written in
+const CONFIG_LANGUAGES = {
+  ".json": "json",
+  ".yml": "yaml",
+  ".yaml": "yaml",
+  ".js": "javascript",
+  ".mjs": "javascript",
+  ".cjs": "javascript",
+  ".ts": "typescript",
+};
+
+/**
+ * Parses a configuration file into a single configuration entry
+ *
+ * @async
+ * @param {string} filepath - Absolute path to the configuration file
+ * @returns {Promise<import('../types').ParserOutput>} Output with one `configs` entry
+ * @throws {Error} If the file cannot be read
+ */
+async function parseConfigFile(filepath) {
+  const { fileContent, relativeFilePath } = readSourceFile(filepath);
+  const filename = path.basename(filepath).toLowerCase();
+  const output = createParserOutput(
+    relativeFilePath,
+    filename === "dockerfile"
+      ? "dockerfile"
+      : CONFIG_LANGUAGES[path.extname(filename)] || "json", // .eslintrc is JSON
+  );
+
+  const lines = fileContent.trimEnd().split("\n");
+  if (lines.join("").trim() !== "") {
+    output.configs.push({
+      code: fileContent.trimEnd(),
+      config_name: relativeFilePath,
+      kind: CONFIG_FILES[filename],
+      filepath: relativeFilePath,
+      start_line: 1,
+      end_line: lines.length,
+      start_column: 1,
+      end_column: lines[lines.length - 1].length + 1,
+    });
+  }
+
+  // Large configuration files are split on line breaks
+  return attachChunks(output, null);
+}
+
+/** @type {import('../types').LanguageAdapter} */
+export const configAdapter = {
+  name: "config",
+  filenames: Object.keys(CONFIG_FILES),
+  documents: true,
+  parse: parseConfigFile,
+};
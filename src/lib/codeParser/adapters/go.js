@@ -0,0 +1,224 @@
+/**
+ * Go Language Adapter
+ *
+ * Parses Go source files with tree-sitter-go and maps them onto the shared
+ * ParserOutput shape:
+ * - `func` declarations -> functions
+ * - Struct types -> classes
+ * - Methods with a receiver -> methods (parent_class is the receiver type)
+ * - Interface types -> typeDeclarations ("interface"), other named types -> "type_alias"
+ * - Doc comments directly above a declaration -> `doc` / `doc_tags` of that element
+ * - Other line and block comments -> comments
+ * - Package-level `var` and `const` specs -> variables
+ * - Calls inside functions and methods -> `calls` (for the call graph)
+ *
+ * @module adapters/go
+ */
+import Go from "tree-sitter-go";
+import {
+  createParserOutput,
+  getNodeSpan,
+  parseSource,
+  readSourceFile,
+} from "../astUtils";
+import { collectCalls } from "../callSyntax";
+import { attachChunks } from "../chunker";
+import { createDocCommentTracker } from "../docComments";
+
+/**
+ * Parses a Go file and extracts functions, structs, methods, types, comments and variables
+ *
+ * @async
+ * @param {string} filepath - Absolute path to the Go file
+ * @returns {Promise<import('../types').ParserOutput>} Extracted code elements
+ * @throws {Error} If file cannot be read or parsed
+ */
+async function parseGoFile(filepath) {
+  const { fileContent, relativeFilePath } = readSourceFile(filepath);
+  const tree = parseSource("go", Go, fileContent);
+  const output = createParserOutput(relativeFilePath, "go");
+  const docs = createDocCommentTracker(relativeFilePath);
+
+  /**
+   * Recursively traverses the AST collecting Go declarations
+   *
+   * @param {Node} node - The current AST node being traversed
+   */
+  function traverse(node) {
+    if (node.type === "function_declaration") {
+      const nameNode = node.childForFieldName("name");
+      if (nameNode) {
+        output.functions.push({
+          code: node.text,
+          function_name: nameNode.text,
+          filepath: relativeFilePath,
+          calls: collectCalls(node, isNestedDeclaration),
+          ...getNodeSpan(node),
+          ...docs.document(node),
+        });
+      }
+    }
+
+    if (node.type === "method_declaration") {
+      const nameNode = node.childForFieldName("name");
+      const receiverType = getReceiverTypeName(node);
+      if (nameNode && receiverType) {
+        output.methods.push({
+          code: node.text,
+          method_name: nameNode.text,
+          qualified_name: `${receiverType}.${nameNode.text}`,
+          parent_class: receiverType,
+          kind: "method",
+          filepath: relativeFilePath,
+          calls: collectCalls(node, isNestedDeclaration),
+          ...getNodeSpan(node),
+          ...docs.document(node),
+        });
+      }
+    }
+
+    // `type Foo struct {}`, `type Bar interface {}`, `type ID string`, `type A = B`
+    if (node.type === "type_spec" || node.type === "type_alias") {
+      const nameNode = node.childForFieldName("name");
+      const typeNode = node.childForFieldName("type");
+      // Single specs include the `type` keyword of their declaration
+      const outerNode = getSpecOuterNode(node);
+
+      if (nameNode && typeNode?.type === "struct_type") {
+        output.classes.push({
+          code: outerNode.text,
+          class_name: nameNode.text,
+          filepath: relativeFilePath,
+          ...getNodeSpan(outerNode),
+          ...docs.document(outerNode),
+        });
+      } else if (nameNode) {
+        output.typeDeclarations.push({
+          code: outerNode.text,
+          type_name: nameNode.text,
+          type:
+            typeNode?.type === "interface_type" ? "interface" : "type_alias",
+          filepath: relativeFilePath,
+          ...getNodeSpan(outerNode),
+          ...docs.document(outerNode),
+        });
+      }
+    }
+
+    if (node.type === "comment") {
+      docs.addComment(node);
+    }
+
+    // Package-level `var` and `const` declarations (not locals inside functions)
+    if (
+      (node.type === "var_spec" || node.type === "const_spec") &&
+      isPackageLevel(node)
+    ) {
+      const declarationKeyword = node.type === "var_spec" ? "var" : "const";
+      const doc = docs.document(getSpecOuterNode(node));
+      node.namedChildren
+        .filter((child) => child.type === "identifier")
+        .forEach((nameNode) => {
+          output.variables.push({
+            code: `${declarationKeyword} ${node.text}`,
+            variable_name: nameNode.text,
+            filepath: relativeFilePath,
+            ...getNodeSpan(node),
+            ...doc,
+          });
+        });
+    }
+
+    for (let i = 0; i < node.childCount; i++) {
+      traverse(node.child(i));
+    }
+  }
+
+  traverse(tree.rootNode);
+  output.comments.push(...docs.getOrphanComments());
+  return attachChunks(output, tree.rootNode);
+}
+
+/**
+ * Resolves the type name of a method receiver, e.g. `(s *Server)` -> "Server"
+ *
+ * @private
+ * @param {Node} node - A method_declaration node
+ * @returns {string|null} The receiver type name without pointer or type arguments
+ */
+function getReceiverTypeName(node) {
+  const receiver = node.childForFieldName("receiver");
+  const parameter = receiver?.namedChildren.find(
+    (child) => child.type === "parameter_declaration",
+  );
+  const typeNode = parameter?.childForFieldName("type");
+  if (!typeNode) {
+    return null;
+  }
+  return typeNode.text.replace(/^\*/, "").replace(/\[.*\]$/, "");
+}
+
+/**
+ * Returns the declaration around a single `type`, `var` or `const` spec
+ *
+ * `type Foo struct {}` is one type_declaration holding one type_spec; grouped
+ * declarations (`var ( a = 1; b = 2 )`) keep each spec on its own.
+ *
+ * @private
+ * @param {Node} node - A type_spec, type_alias, var_spec or const_spec node
+ * @returns {Node} The enclosing declaration for single specs, otherwise the spec
+ */
+function getSpecOuterNode(node) {
+  const declarationTypes = [
+    "type_declaration",
+    "var_declaration",
+    "const_declaration",
+  ];
+  return declarationTypes.includes(node.parent?.type) &&
+    node.parent.namedChildCount === 1
+    ? node.parent
+    : node;
+}
+
+/**
+ * Checks whether a nested node is a declaration extracted as its own element
+ *
+ * Go functions cannot contain named function declarations, so only local
+ * struct and interface types (extracted from `type_spec`) are excluded.
+ *
+ * @private
+ * @param {Node} node - A node inside a function body
+ * @returns {boolean} True for local type declarations
+ */
+function isNestedDeclaration(node) {
+  return node.type === "type_declaration";
+}
+
+/**
+ * Determines whether a var/const spec is declared at package level
+ *
+ * @private
+ * @param {Node} node - A var_spec or const_spec node
+ * @returns {boolean} True unless the spec is inside a function or method body
+ */
+function isPackageLevel(node) {
+  let current = node.parent;
+  while (current) {
+    if (
+      current.type === "function_declaration" ||
+      current.type === "method_declaration" ||
+      current.type === "func_literal"
+    ) {
+      return false;
+    }
+    current = current.parent;
+  }
+  return true;
+}
+
+/** @type {import('../types').LanguageAdapter} */
+export const goAdapter = {
+  name: "go",
+  extensions: [".go"],
+  parse: parseGoFile,
+};
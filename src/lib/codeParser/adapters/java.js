@@ -0,0 +1,213 @@
+/**
+ * Java Language Adapter
+ *
+ * Parses Java source files with tree-sitter-java and maps them onto the shared
+ * ParserOutput shape:
+ * - Class and record declarations -> classes
+ * - Methods, constructors and fields -> methods (kind from modifiers)
+ * - Interfaces and enums -> typeDeclarations
+ * - Javadoc and line comments directly above a declaration -> `doc` / `doc_tags` of that element
+ * - Other line and block comments -> comments
+ * - Calls inside methods, constructors and field initializers -> `calls` (for the call graph)
+ *
+ * Java has no free functions or top-level variables, so those arrays stay empty.
+ *
+ * @module adapters/java
+ */
+import Java from "tree-sitter-java";
+import {
+  createParserOutput,
+  getNodeSpan,
+  parseSource,
+  readSourceFile,
+} from "../astUtils";
+import { collectCalls } from "../callSyntax";
+import { attachChunks } from "../chunker";
+import { createDocCommentTracker } from "../docComments";
+
+/**
+ * Java declaration node types stored as typeDeclarations, with their element type
+ *
+ * @private
+ */
+const TYPE_DECLARATION_KINDS = {
+  interface_declaration: "interface",
+  enum_declaration: "enum",
+};
+
+/**
+ * Type declaration node types whose bodies contain class members
+ *
+ * @private
+ */
+const MEMBER_OWNER_TYPES = [
+  "class_declaration",
+  "record_declaration",
+  "interface_declaration",
+  "enum_declaration",
+];
+
+/**
+ * Parses a Java file and extracts classes, members, interfaces, enums and comments
+ *
+ * @async
+ * @param {string} filepath - Absolute path to the Java file
+ * @returns {Promise<import('../types').ParserOutput>} Extracted code elements
+ * @throws {Error} If file cannot be read or parsed
+ */
+async function parseJavaFile(filepath) {
+  const { fileContent, relativeFilePath } = readSourceFile(filepath);
+  const tree = parseSource("java", Java, fileContent);
+  const output = createParserOutput(relativeFilePath, "java");
+  const docs = createDocCommentTracker(relativeFilePath);
+
+  /**
+   * Recursively traverses the AST collecting Java declarations
+   *
+   * @param {Node} node - The current AST node being traversed
+   */
+  function traverse(node) {
+    if (
+      node.type === "class_declaration" ||
+      node.type === "record_declaration"
+    ) {
+      const nameNode = node.childForFieldName("name");
+      if (nameNode) {
+        output.classes.push({
+          code: node.text,
+          class_name: nameNode.text,
+          filepath: relativeFilePath,
+          ...(hasModifier(node, "abstract") && { type: "abstract_class" }),
+          ...getNodeSpan(node),
+          ...docs.document(node),
+        });
+      }
+    }
+
+    if (TYPE_DECLARATION_KINDS[node.type]) {
+      const nameNode = node.childForFieldName("name");
+      if (nameNode) {
+        output.typeDeclarations.push({
+          code: node.text,
+          type_name: nameNode.text,
+          type: TYPE_DECLARATION_KINDS[node.type],
+          filepath: relativeFilePath,
+          ...getNodeSpan(node),
+          ...docs.document(node),
+        });
+      }
+    }
+
+    if (
+      node.type === "method_declaration" ||
+      node.type === "constructor_declaration"
+    ) {
+      const nameNode = node.childForFieldName("name");
+      const parentClass = getOwnerName(node);
+      if (nameNode && parentClass) {
+        output.methods.push({
+          code: node.text,
+          method_name: nameNode.text,
+          qualified_name: `${parentClass}.${nameNode.text}`,
+          parent_class: parentClass,
+          kind: hasModifier(node, "static") ? "static" : "method",
+          filepath: relativeFilePath,
+          calls: collectCalls(node, isNestedDeclaration),
+          ...getNodeSpan(node),
+          ...docs.document(node),
+        });
+      }
+    }
+
+    // A field declaration may declare several names: `int x = 1, y;`
+    if (node.type === "field_declaration") {
+      const parentClass = getOwnerName(node);
+      const doc = docs.document(node);
+      node.namedChildren
+        .filter((child) => child.type === "variable_declarator")
+        .forEach((declarator) => {
+          const nameNode = declarator.childForFieldName("name");
+          if (nameNode && parentClass) {
+            output.methods.push({
+              code: node.text,
+              method_name: nameNode.text,
+              qualified_name: `${parentClass}.${nameNode.text}`,
+              parent_class: parentClass,
+              kind: hasModifier(node, "static") ? "static" : "field",
+              filepath: relativeFilePath,
+              calls: collectCalls(declarator, isNestedDeclaration),
+              ...getNodeSpan(node),
+              ...doc,
+            });
+          }
+        });
+    }
+
+    if (node.type === "line_comment" || node.type === "block_comment") {
+      docs.addComment(node);
+    }
+
+    for (let i = 0; i < node.childCount; i++) {
+      traverse(node.child(i));
+    }
+  }
+
+  traverse(tree.rootNode);
+  output.comments.push(...docs.getOrphanComments());
+  return attachChunks(output, tree.rootNode);
+}
+
+/**
+ * Checks whether a declaration carries a modifier keyword such as `static`
+ *
+ * @private
+ * @param {Node} node - A declaration node
+ * @param {string} modifier - Modifier keyword to look for
+ * @returns {boolean} True if the modifier is present
+ */
+function hasModifier(node, modifier) {
+  const modifiers = node.namedChildren.find(
+    (child) => child.type === "modifiers",
+  );
+  return Boolean(
+    modifiers && modifiers.children.some((child) => child.type === modifier),
+  );
+}
+
+/**
+ * Checks whether a nested node is a declaration extracted as its own element
+ *
+ * @private
+ * @param {Node} node - A node inside a method body or field initializer
+ * @returns {boolean} True for local and anonymous classes' members and local types
+ */
+function isNestedDeclaration(node) {
+  return (
+    MEMBER_OWNER_TYPES.includes(node.type) ||
+    node.type === "method_declaration" ||
+    node.type === "constructor_declaration"
+  );
+}
+
+/**
+ * Returns the name of the class, record, interface or enum declaring a member
+ *
+ * @private
+ * @param {Node} node - A method, constructor or field declaration node
+ * @returns {string|null} The owning type name
+ */
+function getOwnerName(node) {
+  let current = node.parent;
+  while (current && !MEMBER_OWNER_TYPES.includes(current.type)) {
+    current = current.parent;
+  }
+  const nameNode = current?.childForFieldName("name");
+  return nameNode ? nameNode.text : null;
+}
+
+/** @type {import('../types').LanguageAdapter} */
+export const javaAdapter = {
+  name: "java",
+  extensions: [".java"],
+  parse: parseJavaFile,
+};
@@ -0,0 +1,20 @@
+/**
+ * JavaScript / TypeScript Language Adapter
+ *
+ * Registers the Tree-Sitter JavaScript parser (treeSitterParser.js) with the
+ * language registry. Covers plain JavaScript, JSX, TypeScript and TSX; the
+ * parser picks the exact grammar from the file extension.
+ *
+ * @module adapters/javascript
+ */
+import { LANGUAGES } from "../languages";
+import { parseCodeWithTreeSitter } from "../treeSitterParser";
+
+/** @type {import('../types').LanguageAdapter} */
+export const javascriptAdapter = {
+  name: "javascript",
+  extensions: Object.values(LANGUAGES).flatMap(
+    (language) => language.extensions,
+  ),
+  parse: parseCodeWithTreeSitter,
+};
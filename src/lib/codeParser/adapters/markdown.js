@@ -0,0 +1,110 @@
+/**
+ * Markdown Documentation Adapter
+ *
+ * Splits README files and other Markdown documentation into sections, one per
+ * ATX heading (`#` to `######`), so questions like "how do I run this
+ * project?" can be answered from the section that explains it:
+ *
+ * ```
+ * # Syntax Sorcerer        -> "README.md#Syntax Sorcerer"
+ * ## Getting Started       -> "README.md#Syntax Sorcerer > Getting Started"
+ * ### Install              -> "README.md#Syntax Sorcerer > Getting Started > Install"
+ * ```
+ *
+ * Each section runs from its heading to the next heading of any level; text
+ * before the first heading is a section named after the file. Lines inside
+ * fenced code blocks are never headings.
+ *
+ * @module adapters/markdown
+ */
+import { createParserOutput, readSourceFile } from "../astUtils";
+import { attachChunks } from "../chunker";
+
+// `## Heading` with an optional closing sequence: `## Heading ##`
+const HEADING_PATTERN = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+
+// Opening or closing line of a fenced code block
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+
+/**
+ * Parses a Markdown file into heading sections
+ *
+ * @async
+ * @param {string} filepath - Absolute path to the Markdown file
+ * @returns {Promise<import('../types').ParserOutput>} Output with `sections` filled in
+ * @throws {Error} If the file cannot be read
+ */
+async function parseMarkdownFile(filepath) {
+  const { fileContent, relativeFilePath } = readSourceFile(filepath);
+  const output = createParserOutput(relativeFilePath, "markdown");
+  const lines = fileContent.split("\n");
+
+  const trail = []; // Headings enclosing the current section, by level
+  let current = { heading: "", level: 0, startIndex: 0 };
+  let fence = null;
+
+  const closeSection = (endIndex) => {
+    const sectionLines = lines.slice(current.startIndex, endIndex);
+    const body = sectionLines.slice(current.level > 0 ? 1 : 0).join("\n");
+    // Headings without text of their own only name their subsections
+    if (body.trim() === "") {
+      return;
+    }
+
+    // Drop trailing blank lines so the span ends on the last line of text
+    while (sectionLines[sectionLines.length - 1].trim() === "") {
+      sectionLines.pop();
+    }
+    const headings = trail.filter(Boolean);
+    output.sections.push({
+      code: sectionLines.join("\n"),
+      section_name:
+        headings.length > 0
+          ? `${relativeFilePath}#${headings.join(" > ")}`
+          : relativeFilePath,
+      heading: current.heading,
+      level: current.level,
+      filepath: relativeFilePath,
+      start_line: current.startIndex + 1,
+      end_line: current.startIndex + sectionLines.length,
+      start_column: 1,
+      end_column: sectionLines[sectionLines.length - 1].length + 1,
+    });
+  };
+
+  lines.forEach((line, index) => {
+    const fenceMatch = line.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1][0] === fence[0]) {
+        fence = null;
+      }
+      return;
+    }
+
+    const headingMatch = !fence && line.match(HEADING_PATTERN);
+    if (!headingMatch) {
+      return;
+    }
+
+    closeSection(index);
+    const level = headingMatch[1].length;
+    const heading = headingMatch[2].trim();
+    trail.length = level;
+    trail[level - 1] = heading;
+    current = { heading, level, startIndex: index };
+  });
+  closeSection(lines.length);
+
+  // Long sections are split on line breaks like other oversized elements
+  return attachChunks(output, null);
+}
+
+/** @type {import('../types').LanguageAdapter} */
+export const markdownAdapter = {
+  name: "markdown",
+  extensions: [".md", ".mdx", ".markdown"],
+  documents: true,
+  parse: parseMarkdownFile,
+};
@@ -0,0 +1,202 @@
+/**
+ * package.json Adapter
+ *
+ * Turns a package.json into structured configuration entries so questions
+ * like "how do I start the dev server?" or "which version of React does this
+ * use?" match the section that answers them:
+ * - name, version, description, main, type, license -> "package.json:package"
+ * - scripts -> "package.json:scripts"
+ * - dependencies, devDependencies, peerDependencies, optionalDependencies
+ *   -> "package.json:dependencies", ...
+ * - engines -> "package.json:engines"
+ *
+ * Every entry keeps the source text of its section, so spans point at the
+ * lines in the file. A package.json that is not valid JSON is indexed as a
+ * single entry.
+ *
+ * @module adapters/packageJson
+ */
+import { createParserOutput, readSourceFile } from "../astUtils";
+import { attachChunks } from "../chunker";
+
+// Fields describing the package itself, grouped into one entry
+const PACKAGE_FIELDS = [
+  "name",
+  "version",
+  "description",
+  "main",
+  "module",
+  "type",
+  "license",
+  "private",
+];
+
+// Fields indexed as entries of their own, in this order
+const SECTION_FIELDS = [
+  "scripts",
+  "dependencies",
+  "devDependencies",
+  "peerDependencies",
+  "optionalDependencies",
+  "engines",
+  "workspaces",
+];
+
+/**
+ * Parses a package.json file into configuration entries
+ *
+ * @async
+ * @param {string} filepath - Absolute path to the package.json file
+ * @returns {Promise<import('../types').ParserOutput>} Output with `configs` filled in
+ * @throws {Error} If the file cannot be read
+ */
+async function parsePackageJsonFile(filepath) {
+  const { fileContent, relativeFilePath } = readSourceFile(filepath);
+  const output = createParserOutput(relativeFilePath, "json");
+  const lines = fileContent.split("\n");
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fileContent);
+  } catch (error) {
+    console.warn(`Invalid JSON in ${relativeFilePath}:`, error.message);
+  }
+
+  if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+    output.configs.push({
+      code: fileContent,
+      config_name: relativeFilePath,
+      kind: "package",
+      filepath: relativeFilePath,
+      start_line: 1,
+      end_line: lines.length,
+      start_column: 1,
+      end_column: lines[lines.length - 1].length + 1,
+    });
+    return attachChunks(output, null);
+  }
+
+  const packageFields = PACKAGE_FIELDS.filter((field) => field in manifest);
+  if (packageFields.length > 0) {
+    const spans = packageFields.map((field) =>
+      findFieldSpan(fileContent, field),
+    );
+    output.configs.push({
+      code: JSON.stringify(
+        Object.fromEntries(
+          packageFields.map((field) => [field, manifest[field]]),
+        ),
+        null,
+        2,
+      ),
+      config_name: `${relativeFilePath}:package`,
+      kind: "package",
+      filepath: relativeFilePath,
+      start_line: Math.min(...spans.map((span) => span.start_line)),
+      end_line: Math.max(...spans.map((span) => span.end_line)),
+      start_column: 1,
+      end_column: 1,
+    });
+  }
+
+  SECTION_FIELDS.filter((field) => field in manifest).forEach((field) => {
+    const span = findFieldSpan(fileContent, field);
+    output.configs.push({
+      code: span.text,
+      config_name: `${relativeFilePath}:${field}`,
+      kind: field,
+      filepath: relativeFilePath,
+      start_line: span.start_line,
+      end_line: span.end_line,
+      start_column: span.start_column,
+      end_column: span.end_column,
+    });
+  });
+
+  return attachChunks(output, null);
+}
+
+/**
+ * Locates a top-level field of a JSON document: `"field": <value>`
+ *
+ * @private
+ * @param {string} json - Valid JSON source
+ * @param {string} field - Top-level property name
+ * @returns {{text: string, start_line: number, end_line: number, start_column: number, end_column: number}}
+ *          The property's source text and span
+ */
+function findFieldSpan(json, field) {
+  // Walk the top-level object, skipping strings and nested values
+  let depth = 0;
+  let start = -1;
+  for (let i = 0; i < json.length; i++) {
+    const char = json[i];
+    if (char === '"') {
+      const end = findStringEnd(json, i);
+      if (
+        depth === 1 &&
+        start === -1 &&
+        JSON.parse(json.slice(i, end + 1)) === field &&
+        /^\s*:/.test(json.slice(end + 1))
+      ) {
+        start = i;
+      }
+      i = end;
+    } else if (char === "{" || char === "[") {
+      depth++;
+    } else if (char === "}" || char === "]") {
+      depth--;
+      if (start !== -1 && depth === 1) {
+        return toSpan(json, start, i + 1);
+      }
+    } else if (start !== -1 && depth === 1 && (char === "," || char === "\n")) {
+      // End of a scalar value such as `"version": "1.0.0",`
+      if (/:\s*\S/.test(json.slice(start, i))) {
+        return toSpan(json, start, i);
+      }
+    }
+  }
+  return toSpan(json, Math.max(start, 0), json.length);
+}
+
+/**
+ * Returns the index of the closing quote of the string starting at `start`
+ *
+ * @private
+ */
+function findStringEnd(json, start) {
+  let i = start + 1;
+  while (i < json.length && json[i] !== '"') {
+    i += json[i] === "\\" ? 2 : 1;
+  }
+  return i;
+}
+
+/**
+ * Converts a character range of a document into its text and span
+ *
+ * @private
+ */
+function toSpan(text, start, end) {
+  const before = text.slice(0, start).split("\n");
+  const value = text.slice(start, end).trimEnd();
+  const valueLines = value.split("\n");
+  return {
+    text: value,
+    start_line: before.length,
+    end_line: before.length + valueLines.length - 1,
+    start_column: before[before.length - 1].length + 1,
+    end_column:
+      valueLines.length === 1
+        ? before[before.length - 1].length + value.length + 1
+        : valueLines[valueLines.length - 1].length + 1,
+  };
+}
+
+/** @type {import('../types').LanguageAdapter} */
+export const packageJsonAdapter = {
+  name: "packageJson",
+  filenames: ["package.json"],
+  documents: true,
+  parse: parsePackageJsonFile,
+};
@@ -0,0 +1,240 @@
+/**
+ * Python Language Adapter
+ *
+ * Parses Python source files with tree-sitter-python and maps them onto the
+ * shared ParserOutput shape:
+ * - Module-level and nested `def` functions -> functions
+ * - `class` definitions -> classes
+ * - Methods and class attributes -> methods (kind from decorators)
+ * - Docstrings and leading `#` comments -> `doc` / `doc_tags` of the element they document
+ * - Other `#` comments -> comments
+ * - Module-level assignments -> variables
+ * - Other module-level statements (`if __name__ == "__main__":`, calls) -> misc
+ * - Calls inside functions and methods -> `calls` (for the call graph)
+ *
+ * Decorators are kept with the function or class they decorate.
+ *
+ * @module adapters/python
+ */
+import Python from "tree-sitter-python";
+import {
+  createParserOutput,
+  getNodeSpan,
+  parseSource,
+  readSourceFile,
+} from "../astUtils";
+import { collectCalls } from "../callSyntax";
+import { attachChunks } from "../chunker";
+import { createDocCommentTracker } from "../docComments";
+import { collectMiscBlocks } from "../miscBlocks";
+
+/**
+ * Parses a Python file and extracts functions, classes, methods, comments and variables
+ *
+ * @async
+ * @param {string} filepath - Absolute path to the Python file
+ * @returns {Promise<import('../types').ParserOutput>} Extracted code elements
+ * @throws {Error} If file cannot be read or parsed
+ */
+async function parsePythonFile(filepath) {
+  const { fileContent, relativeFilePath } = readSourceFile(filepath);
+  const tree = parseSource("python", Python, fileContent);
+  const output = createParserOutput(relativeFilePath, "python");
+  const docs = createDocCommentTracker(relativeFilePath);
+
+  /**
+   * Recursively traverses the AST collecting Python definitions
+   *
+   * @param {Node} node - The current AST node being traversed
+   */
+  function traverse(node) {
+    // Decorated definitions include their decorators in the extracted code
+    const outerNode =
+      node.parent && node.parent.type === "decorated_definition"
+        ? node.parent
+        : node;
+
+    if (node.type === "function_definition") {
+      const nameNode = node.childForFieldName("name");
+      const parentClass = getEnclosingClassName(outerNode);
+
+      if (nameNode && parentClass) {
+        output.methods.push({
+          code: outerNode.text,
+          method_name: nameNode.text,
+          qualified_name: `${parentClass}.${nameNode.text}`,
+          parent_class: parentClass,
+          kind: getMethodKind(outerNode),
+          filepath: relativeFilePath,
+          calls: collectCalls(node, isNestedDefinition),
+          ...getNodeSpan(outerNode),
+          ...docs.document(outerNode, getDocstring(node)),
+        });
+      } else if (nameNode) {
+        output.functions.push({
+          code: outerNode.text,
+          function_name: nameNode.text,
+          filepath: relativeFilePath,
+          calls: collectCalls(node, isNestedDefinition),
+          ...getNodeSpan(outerNode),
+          ...docs.document(outerNode, getDocstring(node)),
+        });
+      }
+    }
+
+    if (node.type === "class_definition") {
+      const nameNode = node.childForFieldName("name");
+      if (nameNode) {
+        output.classes.push({
+          code: outerNode.text,
+          class_name: nameNode.text,
+          filepath: relativeFilePath,
+          ...getNodeSpan(outerNode),
+          ...docs.document(outerNode, getDocstring(node)),
+        });
+      }
+    }
+
+    if (node.type === "comment") {
+      docs.addComment(node);
+    }
+
+    // Assignments directly in a module or class body: `X = 1`, `name: str = "a"`
+    if (
+      node.type === "assignment" &&
+      node.parent?.type === "expression_statement"
+    ) {
+      const nameNode = node.childForFieldName("left");
+      const scope = node.parent.parent;
+
+      if (nameNode && nameNode.type === "identifier") {
+        if (scope?.type === "module") {
+          output.variables.push({
+            code: node.text,
+            variable_name: nameNode.text,
+            filepath: relativeFilePath,
+            ...getNodeSpan(node),
+            ...docs.document(node.parent),
+          });
+        } else if (scope?.parent?.type === "class_definition") {
+          const parentClass = scope.parent.childForFieldName("name")?.text;
+          if (parentClass) {
+            output.methods.push({
+              code: node.text,
+              method_name: nameNode.text,
+              qualified_name: `${parentClass}.${nameNode.text}`,
+              parent_class: parentClass,
+              kind: "field",
+              filepath: relativeFilePath,
+              ...getNodeSpan(node),
+              ...docs.document(node.parent),
+            });
+          }
+        }
+      }
+    }
+
+    for (let i = 0; i < node.childCount; i++) {
+      traverse(node.child(i));
+    }
+  }
+
+  traverse(tree.rootNode);
+  output.misc = collectMiscBlocks(tree.rootNode, {
+    filepath: relativeFilePath,
+    docs,
+    isNestedScope: isNestedDefinition,
+  });
+  output.comments.push(...docs.getOrphanComments());
+  return attachChunks(output, tree.rootNode);
+}
+
+/**
+ * Returns the name of the class whose body directly contains a definition
+ *
+ * @private
+ * @param {Node} node - A function_definition or decorated_definition node
+ * @returns {string|null} The class name, or null for module-level or nested functions
+ */
+function getEnclosingClassName(node) {
+  const block = node.parent;
+  if (
+    block &&
+    block.type === "block" &&
+    block.parent?.type === "class_definition"
+  ) {
+    const nameNode = block.parent.childForFieldName("name");
+    return nameNode ? nameNode.text : null;
+  }
+  return null;
+}
+
+/**
+ * Returns the docstring of a function or class definition
+ *
+ * @private
+ * @param {Node} node - A function_definition or class_definition node
+ * @returns {string|undefined} The docstring literal, if the body starts with one
+ */
+function getDocstring(node) {
+  const firstStatement = node.childForFieldName("body")?.namedChildren[0];
+  const expression = firstStatement?.namedChildren[0];
+  if (
+    firstStatement?.type === "expression_statement" &&
+    expression?.type === "string"
+  ) {
+    return expression.text;
+  }
+  return undefined;
+}
+
+/**
+ * Checks whether a nested node is a definition extracted as its own element
+ *
+ * @private
+ * @param {Node} node - A node inside a function body
+ * @returns {boolean} True for nested (possibly decorated) functions and classes
+ */
+function isNestedDefinition(node) {
+  return (
+    node.type === "function_definition" ||
+    node.type === "class_definition" ||
+    node.type === "decorated_definition"
+  );
+}
+
+/**
+ * Classifies a method from its decorators
+ *
+ * @private
+ * @param {Node} node - A function_definition or decorated_definition node
+ * @returns {"method"|"getter"|"setter"|"static"} The member kind
+ */
+function getMethodKind(node) {
+  if (node.type !== "decorated_definition") {
+    return "method";
+  }
+
+  const decorators = node.namedChildren
+    .filter((child) => child.type === "decorator")
+    .map((decorator) => decorator.text.replace(/^@/, "").trim());
+
+  if (decorators.includes("property")) return "getter";
+  if (decorators.some((decorator) => decorator.endsWith(".setter"))) {
+    return "setter";
+  }
+  if (
+    decorators.includes("staticmethod") ||
+    decorators.includes("classmethod")
+  ) {
+    return "static";
+  }
+  return "method";
+}
+
+/** @type {import('../types').LanguageAdapter} */
+export const pythonAdapter = {
+  name: "python",
+  extensions: [".py", ".pyi"],
+  parse: parsePythonFile,
+};
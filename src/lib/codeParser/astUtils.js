@@ -0,0 +1,121 @@
+/**
+ * Shared Tree-Sitter Helpers
+ *
+ * Small utilities used by every language adapter: cached parser instances,
+ * source positions of AST nodes, and the empty ParserOutput skeleton that
+ * adapters fill in.
+ *
+ * @module astUtils
+ */
+import fs from "fs";
+import path from "path";
+import Parser from "tree-sitter";
+
+// One Tree-Sitter parser per grammar, created on first use
+const parsers = new Map();
+
+/**
+ * Returns a Tree-Sitter parser configured for the given grammar
+ *
+ * @param {string} name - Unique language name used as cache key (e.g. "python")
+ * @param {Object} grammar - Tree-Sitter grammar object
+ * @returns {Parser} Cached parser instance for that grammar
+ */
+export function getParser(name, grammar) {
+  if (!parsers.has(name)) {
+    const parser = new Parser();
+    parser.setLanguage(grammar);
+    parsers.set(name, parser);
+  }
+  return parsers.get(name);
+}
+
+/**
+ * Parses source text with the cached parser for a grammar
+ *
+ * Tree-Sitter reads its input through a buffer of 32768 characters by
+ * default and rejects longer strings ("Invalid argument"), so the buffer is
+ * sized from the text: large and generated files parse like any other.
+ *
+ * @param {string} name - Unique language name used as cache key (e.g. "python")
+ * @param {Object} grammar - Tree-Sitter grammar object
+ * @param {string} text - Source code
+ * @returns {Parser.Tree} Syntax tree of the text
+ */
+export function parseSource(name, grammar, text) {
+  return getParser(name, grammar).parse(text, null, {
+    bufferSize: text.length * 2 + 1,
+  });
+}
+
+/**
+ * Reads a source file and computes its path relative to the working directory
+ *
+ * @param {string} filepath - Absolute path to the source file
+ * @returns {{fileContent: string, relativeFilePath: string}}
+ */
+export function readSourceFile(filepath) {
+  return {
+    fileContent: fs.readFileSync(filepath, "utf8"),
+    relativeFilePath: path.relative(process.cwd(), filepath),
+  };
+}
+
+/**
+ * Creates an empty ParserOutput for an adapter to fill in
+ *
+ * @param {string} relativeFilePath - Path relative to cwd
+ * @param {string} language - Name of the language the file was parsed as
+ * @returns {import('./types').ParserOutput}
+ */
+export function createParserOutput(relativeFilePath, language) {
+  return {
+    functions: [],
+    classes: [],
+    methods: [],
+    typeDeclarations: [],
+    comments: [],
+    variables: [],
+    misc: [],
+    sections: [],
+    configs: [],
+    imports: [],
+    exports: [],
+    relativeFilePath,
+    language,
+  };
+}
+
+/**
+ * Reads the source position of an AST node
+ *
+ * Tree-Sitter reports zero-based rows and columns; spans are converted to
+ * one-based lines and columns so they can be shown as `src/utils.js:42-77`
+ * and used directly by editors.
+ *
+ * @param {Node} node - The AST node of the extracted element
+ * @returns {{start_line: number, end_line: number, start_column: number, end_column: number}}
+ */
+export function getNodeSpan(node) {
+  return {
+    start_line: node.startPosition.row + 1,
+    end_line: node.endPosition.row + 1,
+    start_column: node.startPosition.column + 1,
+    end_column: node.endPosition.column + 1,
+  };
+}
+
+/**
+ * Determines whether a comment is worth indexing
+ * Skips short single-line comments such as debugging notes
+ *
+ * @param {string} commentText - Raw comment text including delimiters
+ * @returns {boolean} True for block comments and comments longer than 10 characters
+ */
+export function isSubstantialComment(commentText) {
+  return (
+    commentText.length > 10 ||
+    commentText.includes("/**") ||
+    commentText.includes("/*")
+  );
+}
@@ -0,0 +1,474 @@
+/**
+ * Call Graph Builder
+ *
+ * Resolves the call sites recorded by the parser (see callSyntax.js) to the
+ * functions, methods and classes defined in the codebase, producing a
+ * caller/callee index that answers "who calls this function?".
+ *
+ * A call `foo()` / `obj.foo()` is resolved, in order of preference, to:
+ * 1. A function or class with that name in the same file ("local")
+ * 2. A member of the caller's own class for `this.foo()`, `self.foo()` or an
+ *    unqualified call inside a method ("member")
+ * 3. The symbol an import binding refers to, following the dependency graph
+ *    (`import { foo } from "./utils"`, `import * as utils from "./utils"`) ("import")
+ * 4. A static member `Foo.bar()` of a known class ("member")
+ * 5. The only function or method with that name in the whole codebase ("name")
+ *
+ * Calls that match nothing (library calls such as `console.log`, or ambiguous
+ * names) are kept per caller in `unresolved`.
+ *
+ * Symbol IDs have the form `{file}#{name}`, e.g. `src/app/database/processFile.js#processFile`
+ * or `src/app/config/pinecone/pineconeManager.js#PineconeManager.upsertEmbeddings`,
+ * with paths relative to the codebase root like the dependency graph.
+ *
+ * @module callGraph
+ */
+import { toGraphPath } from "./dependencyGraph";
+
+// Receivers referring to the instance or class of the calling method
+const SELF_RECEIVERS = ["this", "self", "cls"];
+
+// Maximum number of re-export hops followed when resolving an import
+const MAX_REEXPORT_HOPS = 5;
+
+/**
+ * @typedef {Object} CallGraphSymbol
+ * @property {string} name - Function or class name, or qualified method name ("Class.method")
+ * @property {"function"|"method"|"class"|"misc"} type - Kind of symbol
+ *           (misc blocks such as `app.get('/users')` only appear as callers)
+ * @property {string} file - Path relative to the codebase root
+ * @property {string} filepath - Path as stored with the code element (relative to cwd)
+ * @property {number} start_line - First line of the definition
+ * @property {number} end_line - Last line of the definition
+ */
+
+/**
+ * @typedef {Object} CallGraph
+ * @property {Object<string, CallGraphSymbol>} symbols - Defined symbols by ID
+ * @property {Array<{caller: string, callee: string, line: number, resolution: string}>} edges -
+ *           One edge per resolved call site
+ * @property {Object<string, string[]>} unresolved - Unresolved call names per caller ID
+ * @property {string} generated_at - ISO timestamp of the build
+ */
+
+/**
+ * Builds the call graph of a codebase from parsed files
+ *
+ * @param {Array<{filePath: string, codeBlocks: import('./types').ParserOutput}>} parsedFiles -
+ *        Parsed files with absolute paths
+ * @param {import('./dependencyGraph').DependencyGraph} dependencyGraph - Resolved imports of the same files
+ * @param {string} rootDir - Absolute path of the codebase root
+ * @returns {CallGraph} The caller/callee index
+ *
+ * @example
+ * const callGraph = buildCallGraph(parsedFiles, dependencyGraph, codebasePath);
+ * // callGraph.edges: [{caller: 'src/app/database/processFile.js#processFile',
+ * //                    callee: 'src/lib/codeParser/index.js#parseCodeFile', line: 70, resolution: 'import'}]
+ */
+export function buildCallGraph(parsedFiles, dependencyGraph, rootDir) {
+  const callGraph = {
+    symbols: {},
+    edges: [],
+    unresolved: {},
+    generated_at: new Date().toISOString(),
+  };
+  const index = createSymbolIndex();
+  const callers = [];
+
+  // Pass 1: register every function, method and class, and the misc blocks
+  // calling them (e.g. route registrations `app.get('/users', ...)`)
+  parsedFiles.forEach(({ filePath, codeBlocks }) => {
+    const file = toGraphPath(filePath, rootDir);
+    const definitions = [
+      ...(codeBlocks.functions || []).map((element) => [
+        element,
+        "function",
+        element.function_name,
+      ]),
+      ...(codeBlocks.methods || []).map((element) => [
+        element,
+        "method",
+        element.qualified_name,
+      ]),
+      ...(codeBlocks.classes || []).map((element) => [
+        element,
+        "class",
+        element.class_name,
+      ]),
+      ...(codeBlocks.misc || []).map((element) => [
+        element,
+        "misc",
+        element.misc_name,
+      ]),
+    ];
+
+    definitions.forEach(([element, type, name]) => {
+      const id = addSymbol(callGraph, index, file, name, {
+        name,
+        type,
+        file,
+        filepath: element.filepath,
+        start_line: element.start_line,
+        end_line: element.end_line,
+      });
+      if (element.calls) {
+        callers.push({ id, file, element });
+      }
+    });
+  });
+
+  // Pass 2: resolve the calls made by each function, method and misc block
+  const bindingsByFile = getImportBindings(dependencyGraph);
+
+  callers.forEach(({ id, file, element }) => {
+    const context = {
+      file,
+      parentClass: element.parent_class,
+      bindings: bindingsByFile.get(file) || new Map(),
+    };
+
+    element.calls.forEach((call) => {
+      const target = resolveCall(call, context, index, dependencyGraph);
+      if (target) {
+        callGraph.edges.push({
+          caller: id,
+          callee: target.id,
+          line: call.line,
+          resolution: target.resolution,
+        });
+      } else {
+        const name = call.receiver
+          ? `${call.receiver}.${call.name}`
+          : call.name;
+        callGraph.unresolved[id] = callGraph.unresolved[id] || [];
+        if (!callGraph.unresolved[id].includes(name)) {
+          callGraph.unresolved[id].push(name);
+        }
+      }
+    });
+  });
+
+  return callGraph;
+}
+
+/**
+ * Finds the symbols matching a name, optionally restricted to a file
+ *
+ * Matches the full ID, the symbol name (`upsertEmbeddings` also matches the
+ * method `PineconeManager.upsertEmbeddings`), or the qualified method name.
+ *
+ * @param {CallGraph} callGraph - The call graph
+ * @param {string} query - Symbol ID or name
+ * @param {string} [file] - Path or path suffix of the defining file
+ * @returns {Array<CallGraphSymbol & {id: string}>} Matching symbols
+ */
+export function findSymbols(callGraph, query, file) {
+  if (callGraph.symbols[query]) {
+    return [{ id: query, ...callGraph.symbols[query] }];
+  }
+
+  const normalizedFile = file?.replace(/\\/g, "/").replace(/^\.?\//, "");
+
+  return Object.entries(callGraph.symbols)
+    .filter(
+      ([, symbol]) =>
+        symbol.name === query || symbol.name.endsWith(`.${query}`),
+    )
+    .filter(
+      ([, symbol]) =>
+        !normalizedFile ||
+        [symbol.file, symbol.filepath].some(
+          (candidate) =>
+            candidate === normalizedFile ||
+            candidate.endsWith(`/${normalizedFile}`),
+        ),
+    )
+    .map(([id, symbol]) => ({ id, ...symbol }));
+}
+
+/**
+ * Walks the call graph from a symbol towards its callers or callees
+ *
+ * Each symbol is reported once, at the smallest depth it is reached at.
+ *
+ * @param {CallGraph} callGraph - The call graph
+ * @param {string} id - ID of the starting symbol
+ * @param {"callers"|"callees"} direction - Which way to walk
+ * @param {number} [depth=1] - How many calls away to go (1 = direct callers/callees)
+ * @returns {Array<CallGraphSymbol & {id: string, depth: number, line: number, via: string}>}
+ *          Reached symbols; `line` is the line of the call in the calling symbol and
+ *          `via` the symbol it was reached from
+ *
+ * @example
+ * getCallHierarchy(callGraph, 'src/lib/codeParser/index.js#parseCodeFile', 'callers', 2);
+ * // [{id: 'src/app/database/processFile.js#processFile', depth: 1, line: 70, via: '...#parseCodeFile', ...},
+ * //  {id: 'src/app/database/indexCodebase.js#indexCodebase', depth: 2, ...}]
+ */
+export function getCallHierarchy(callGraph, id, direction, depth = 1) {
+  const [fromKey, toKey] =
+    direction === "callers" ? ["callee", "caller"] : ["caller", "callee"];
+  const visited = new Set([id]);
+  const results = [];
+  let frontier = [id];
+
+  for (let level = 1; level <= depth && frontier.length > 0; level++) {
+    const next = [];
+
+    frontier.forEach((current) => {
+      callGraph.edges
+        .filter((edge) => edge[fromKey] === current)
+        .forEach((edge) => {
+          const reached = edge[toKey];
+          if (visited.has(reached)) {
+            return;
+          }
+          visited.add(reached);
+          next.push(reached);
+          results.push({
+            id: reached,
+            ...callGraph.symbols[reached],
+            depth: level,
+            line: edge.line,
+            via: current,
+          });
+        });
+    });
+
+    frontier = next;
+  }
+
+  return results;
+}
+
+/**
+ * Creates the lookup tables used to resolve calls
+ *
+ * @private
+ */
+function createSymbolIndex() {
+  return {
+    byFile: new Map(), // file -> Map(name -> id)
+    byName: new Map(), // function/class name -> ids
+    byMemberName: new Map(), // method name without class -> ids
+    byQualifiedName: new Map(), // "Class.method" -> ids
+  };
+}
+
+/**
+ * Registers a symbol and returns its ID
+ *
+ * Duplicate names in one file (e.g. two nested helpers called `handler`)
+ * get the start line appended to keep IDs unique.
+ *
+ * @private
+ */
+function addSymbol(callGraph, index, file, name, symbol) {
+  let id = `${file}#${name}`;
+  if (callGraph.symbols[id]) {
+    id = `${id}:${symbol.start_line}`;
+  }
+  callGraph.symbols[id] = symbol;
+
+  // Misc blocks (top-level statements) make calls but cannot be called
+  if (symbol.type === "misc") {
+    return id;
+  }
+
+  if (!index.byFile.has(file)) {
+    index.byFile.set(file, new Map());
+  }
+  const fileSymbols = index.byFile.get(file);
+  if (!fileSymbols.has(name)) {
+    fileSymbols.set(name, id);
+  }
+
+  if (symbol.type === "method") {
+    appendToIndex(index.byQualifiedName, name, id);
+    appendToIndex(index.byMemberName, name.slice(name.indexOf(".") + 1), id);
+  } else {
+    appendToIndex(index.byName, name, id);
+  }
+  return id;
+}
+
+/**
+ * @private
+ */
+function appendToIndex(map, key, id) {
+  if (!map.has(key)) {
+    map.set(key, []);
+  }
+  map.get(key).push(id);
+}
+
+/**
+ * Maps each file's imported local names to the file and name they import
+ *
+ * @private
+ * @returns {Map<string, Map<string, {file: string, imported: string}>>}
+ */
+function getImportBindings(dependencyGraph) {
+  const bindingsByFile = new Map();
+
+  Object.entries(dependencyGraph.files).forEach(([file, { imports }]) => {
+    const bindings = new Map();
+    imports
+      .filter((entry) => entry.resolved)
+      .forEach((entry) => {
+        entry.specifiers.forEach(({ imported, local }) => {
+          if (local) {
+            bindings.set(local, { file: entry.resolved, imported });
+          }
+        });
+      });
+    bindingsByFile.set(file, bindings);
+  });
+
+  return bindingsByFile;
+}
+
+/**
+ * Resolves one call site to a symbol ID
+ *
+ * @private
+ * @returns {{id: string, resolution: string}|null} The callee, or null if unresolved
+ */
+function resolveCall(call, context, index, dependencyGraph) {
+  const { file, parentClass, bindings } = context;
+  const fileSymbols = index.byFile.get(file) || new Map();
+  const { name, receiver } = call;
+
+  if (!receiver) {
+    // foo() defined in the same file
+    if (fileSymbols.has(name)) {
+      return { id: fileSymbols.get(name), resolution: "local" };
+    }
+
+    // Unqualified call of a sibling member (e.g. Java)
+    if (parentClass && fileSymbols.has(`${parentClass}.${name}`)) {
+      return {
+        id: fileSymbols.get(`${parentClass}.${name}`),
+        resolution: "member",
+      };
+    }
+
+    // foo() imported from another file
+    const binding = bindings.get(name);
+    if (binding) {
+      const id = resolveImportedSymbol(
+        binding.file,
+        binding.imported,
+        index,
+        dependencyGraph,
+      );
+      if (id) {
+        return { id, resolution: "import" };
+      }
+    }
+
+    return resolveUniqueName(index.byName, name);
+  }
+
+  // this.foo(), self.foo()
+  if (SELF_RECEIVERS.includes(receiver) && parentClass) {
+    const id = fileSymbols.get(`${parentClass}.${name}`);
+    if (id) {
+      return { id, resolution: "member" };
+    }
+  }
+
+  // utils.foo() with `import * as utils`, Foo.bar() with `import Foo`
+  const binding = bindings.get(receiver);
+  if (binding) {
+    const id =
+      binding.imported === "*"
+        ? resolveImportedSymbol(binding.file, name, index, dependencyGraph)
+        : resolveImportedMember(binding, name, index, dependencyGraph);
+    if (id) {
+      return { id, resolution: "import" };
+    }
+  }
+
+  // Foo.bar() on a class of the same file, or a unique class elsewhere
+  if (fileSymbols.has(`${receiver}.${name}`)) {
+    return { id: fileSymbols.get(`${receiver}.${name}`), resolution: "member" };
+  }
+  const qualified = index.byQualifiedName.get(`${receiver}.${name}`) || [];
+  if (qualified.length === 1) {
+    return { id: qualified[0], resolution: "member" };
+  }
+
+  // obj.foo() where only one method in the codebase is called foo
+  return resolveUniqueName(index.byMemberName, name);
+}
+
+/**
+ * Resolves `import { name } from "./file"` (or a default import) to a symbol ID,
+ * following re-exports through the dependency graph
+ *
+ * @private
+ */
+function resolveImportedSymbol(file, importedName, index, dependencyGraph) {
+  let currentFile = file;
+  let currentName = importedName;
+
+  for (let hop = 0; hop <= MAX_REEXPORT_HOPS; hop++) {
+    const fileSymbols = index.byFile.get(currentFile) || new Map();
+    const exports = dependencyGraph.files[currentFile]?.exports || [];
+    const exported = exports.find((entry) => entry.name === currentName);
+
+    if (!exported) {
+      // Not an explicit export (e.g. a Python or Go module member)
+      return currentName !== "default"
+        ? fileSymbols.get(currentName) || null
+        : null;
+    }
+
+    if (!exported.source) {
+      return fileSymbols.get(exported.local || exported.name) || null;
+    }
+
+    // export { foo } from "./foo"
+    const reexport = dependencyGraph.files[currentFile].imports.find(
+      (entry) => entry.kind === "reexport" && entry.source === exported.source,
+    );
+    if (!reexport?.resolved) {
+      return null;
+    }
+    currentFile = reexport.resolved;
+    currentName = exported.local || currentName;
+  }
+
+  return null;
+}
+
+/**
+ * Resolves `Foo.bar()` where `Foo` is an imported class
+ *
+ * @private
+ */
+function resolveImportedMember(binding, name, index, dependencyGraph) {
+  const classId = resolveImportedSymbol(
+    binding.file,
+    binding.imported,
+    index,
+    dependencyGraph,
+  );
+  if (!classId) {
+    return null;
+  }
+
+  const [classFile, className] = classId.split("#");
+  const fileSymbols = index.byFile.get(classFile) || new Map();
+  return fileSymbols.get(`${className}.${name}`) || null;
+}
+
+/**
+ * Resolves a name that is defined exactly once in the codebase
+ *
+ * @private
+ */
+function resolveUniqueName(map, name) {
+  const ids = map.get(name) || [];
+  return ids.length === 1 ? { id: ids[0], resolution: "name" } : null;
+}
@@ -0,0 +1,168 @@
+/**
+ * Call Site Extraction
+ *
+ * Collects the calls made inside an extracted function or method, for the
+ * call graph (see callGraph.js). Works on the syntax trees of every built-in
+ * language adapter:
+ * - JavaScript/TypeScript: `foo()`, `obj.foo()`, `new Foo()`
+ * - Python: `foo()`, `self.foo()`
+ * - Go: `foo()`, `pkg.Foo()`, `s.foo()`
+ * - Java: `foo()`, `this.foo()`, `new Foo()`
+ *
+ * Calls are recorded by name only; resolving them to defined symbols is done
+ * by callGraph.js once the whole codebase has been parsed.
+ *
+ * @module callSyntax
+ */
+
+/**
+ * @typedef {Object} CallSite
+ * @property {string} name - Called function, method or constructed class name (e.g. "upsertEmbeddings")
+ * @property {string} [receiver] - Object the function is called on (e.g. "pinecone", "this", "fs.promises");
+ *           "<expression>" when it is not a plain (dotted) name, e.g. `getClient().connect()`
+ * @property {boolean} [instantiation] - True for object creation with `new Foo()`
+ * @property {number} line - One-based line of the call
+ */
+
+/**
+ * Collects the call sites inside a function or method body
+ *
+ * Calls inside nested declarations that are extracted as elements of their
+ * own (e.g. a named inner function) are attributed to that element instead.
+ * Calls inside anonymous callbacks count toward the enclosing function.
+ *
+ * @param {Node} node - The function or method node
+ * @param {function(Node): boolean} isNestedScope - Returns true for nested
+ *        nodes that are extracted as their own elements
+ * @returns {CallSite[]} Calls in source order
+ *
+ * @example
+ * collectCalls(functionNode, (node) => node.type === "function_declaration");
+ * // [{name: 'parseCodeFile', line: 70}, {name: 'upsertEmbeddings', receiver: 'pinecone', line: 82}]
+ */
+export function collectCalls(node, isNestedScope) {
+  const calls = [];
+
+  function traverse(current) {
+    const call = getCallSite(current);
+    if (call) {
+      calls.push(call);
+    }
+
+    for (let i = 0; i < current.childCount; i++) {
+      const child = current.child(i);
+      if (!isNestedScope(child)) {
+        traverse(child);
+      }
+    }
+  }
+
+  traverse(node);
+  return calls;
+}
+
+/**
+ * Reads the callee of a call node, for any of the supported grammars
+ *
+ * @private
+ * @param {Node} node - Any AST node
+ * @returns {CallSite|null} The call site, or null if the node is not a named call
+ */
+function getCallSite(node) {
+  const line = node.startPosition.row + 1;
+
+  switch (node.type) {
+    // JavaScript/TypeScript/Go `foo()`, Python `foo()`
+    case "call_expression":
+    case "call":
+      return toCallSite(node.childForFieldName("function"), line);
+
+    // JavaScript/TypeScript `new Foo()`
+    case "new_expression":
+      return toCallSite(node.childForFieldName("constructor"), line, true);
+
+    // Java `foo()`, `obj.foo()`
+    case "method_invocation": {
+      const nameNode = node.childForFieldName("name");
+      const objectNode = node.childForFieldName("object");
+      return nameNode
+        ? {
+            name: nameNode.text,
+            ...(objectNode && { receiver: getReceiverText(objectNode) }),
+            line,
+          }
+        : null;
+    }
+
+    // Java `new Foo()`
+    case "object_creation_expression":
+      return toCallSite(node.childForFieldName("type"), line, true);
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Splits a callee expression into the called name and its receiver
+ *
+ * @private
+ * @param {Node} [callee] - The callee expression (identifier or member access)
+ * @param {number} line - One-based line of the call
+ * @param {boolean} [isInstantiation] - Whether the call creates an object
+ * @returns {CallSite|null} The call site, or null for computed callees like `fns[0]()`
+ */
+function toCallSite(callee, line, isInstantiation = false) {
+  if (!callee) {
+    return null;
+  }
+
+  const instantiationFlag = isInstantiation ? { instantiation: true } : {};
+
+  // foo(), new Foo(), Java Foo / generic Foo<T>
+  if (
+    callee.type === "identifier" ||
+    callee.type === "type_identifier" ||
+    callee.type === "generic_type"
+  ) {
+    return {
+      name: callee.text.replace(/<[\s\S]*>$/, ""),
+      ...instantiationFlag,
+      line,
+    };
+  }
+
+  // JavaScript member_expression, Python attribute, Go selector_expression
+  const memberFields = {
+    member_expression: ["object", "property"],
+    attribute: ["object", "attribute"],
+    selector_expression: ["operand", "field"],
+  }[callee.type];
+
+  if (memberFields) {
+    const objectNode = callee.childForFieldName(memberFields[0]);
+    const nameNode = callee.childForFieldName(memberFields[1]);
+    if (nameNode) {
+      return {
+        name: nameNode.text,
+        ...(objectNode && { receiver: getReceiverText(objectNode) }),
+        ...instantiationFlag,
+        line,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Returns the receiver of a member call as a dotted name
+ *
+ * @private
+ * @param {Node} objectNode - The object part of a member access
+ * @returns {string} The dotted name, or "<expression>" for calls, indexing, etc.
+ */
+function getReceiverText(objectNode) {
+  const text = objectNode.text.replace(/\s+/g, "");
+  return /^[\w$#]+(\.[\w$#]+)*$/.test(text) ? text : "<expression>";
+}
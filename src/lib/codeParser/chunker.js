@@ -0,0 +1,264 @@
+/**
+ * Oversized Element Chunking
+ *
+ * Splits code elements that are too large to embed in one request
+ * (text-embedding-ada-002 accepts ~8,000 tokens) into overlapping chunks.
+ * Chunks are cut on AST boundaries - the statements of a function body or the
+ * members of a class - so each chunk holds whole statements:
+ *
+ * ```
+ * class Parser {          ─┐
+ *   constructor() {...}    │ chunk 0
+ *   parse() {...}         ─┤─┐  (parse() is repeated as overlap)
+ *   tokenize() {...}       │ │ chunk 1
+ * }                         ─┘
+ * ```
+ *
+ * A statement that is too large on its own is split on its own children, and
+ * nodes without children (e.g. a huge string literal in a generated file) are
+ * split on line breaks.
+ *
+ * Tokens are estimated from the text length, so no tokenizer is needed.
+ *
+ * @module chunker
+ */
+import { CODE_ELEMENT_GROUPS } from "./types";
+
+// Conservative characters-per-token ratio for source code (English prose is ~4)
+const CHARS_PER_TOKEN = 3;
+
+// Elements above this estimate are chunked; leaves room for the doc comment
+// that is embedded with the code
+export const DEFAULT_MAX_CHUNK_TOKENS = 6000;
+
+// Tokens of trailing statements repeated at the start of the next chunk
+export const DEFAULT_CHUNK_OVERLAP_TOKENS = 200;
+
+/**
+ * @typedef {Object} CodeChunk
+ * @property {string} code - Source code of the chunk
+ * @property {number} chunk_index - Zero-based position of the chunk in its element
+ * @property {number} chunk_count - Number of chunks of the element
+ * @property {number} start_line - Line where the chunk starts
+ * @property {number} end_line - Line where the chunk ends
+ */
+
+/**
+ * Estimates the number of tokens of a text
+ *
+ * @param {string} text - Text to be embedded
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Adds `chunks` to every element of a parser output that is too large to embed
+ *
+ * Called by each language adapter once traversal is done. Elements within
+ * the limit are left unchanged.
+ *
+ * @param {import('./types').ParserOutput} output - Parser output to update in place
+ * @param {Node|null} rootNode - Root of the file's syntax tree, null for files
+ *        parsed without Tree-Sitter
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens=DEFAULT_MAX_CHUNK_TOKENS] - Largest chunk
+ * @param {number} [options.overlapTokens=DEFAULT_CHUNK_OVERLAP_TOKENS] - Overlap between chunks
+ * @returns {import('./types').ParserOutput} The same output
+ *
+ * @example
+ * traverse(tree.rootNode);
+ * return attachChunks(output, tree.rootNode);
+ * // output.classes[0].chunks: [{code: 'class Parser {...', chunk_index: 0, chunk_count: 3, start_line: 1, end_line: 410}, ...]
+ */
+export function attachChunks(
+  output,
+  rootNode,
+  {
+    maxTokens = DEFAULT_MAX_CHUNK_TOKENS,
+    overlapTokens = DEFAULT_CHUNK_OVERLAP_TOKENS,
+  } = {},
+) {
+  CODE_ELEMENT_GROUPS.forEach((group) => {
+    (output[group.key] || []).forEach((element) => {
+      if (estimateTokens(element.code) > maxTokens) {
+        element.chunks = chunkElement(element, rootNode, {
+          maxTokens,
+          overlapTokens,
+        });
+      }
+    });
+  });
+
+  return output;
+}
+
+/**
+ * Splits one element into overlapping chunks
+ *
+ * @param {Object} element - Code element with code and CodeSpan properties
+ * @param {Node|null} rootNode - Root of the file's syntax tree
+ * @param {{maxTokens: number, overlapTokens: number}} options
+ * @returns {CodeChunk[]} Chunks in source order
+ */
+export function chunkElement(element, rootNode, { maxTokens, overlapTokens }) {
+  const maxLength = maxTokens * CHARS_PER_TOKEN;
+  const overlapLength = overlapTokens * CHARS_PER_TOKEN;
+  const offsets = createOffsetMapper(element);
+
+  // Element node as found from its span; adapters without a syntax tree
+  // (Markdown, configuration) or that store a different text than the
+  // node's fall back to line-based splitting
+  const node = rootNode?.descendantForPosition(
+    { row: element.start_line - 1, column: element.start_column - 1 },
+    { row: element.end_line - 1, column: element.end_column - 1 },
+  );
+  const units =
+    node && node.text === element.code
+      ? collectUnits(node, offsets, maxLength)
+      : splitText(element.code, 0, element.code.length, maxLength);
+
+  // Greedily pack whole units into chunks, repeating trailing units as overlap
+  const ranges = [];
+  let first = 0;
+  while (first < units.length) {
+    let last = first;
+    while (
+      last + 1 < units.length &&
+      units[last + 1].end - units[first].start <= maxLength
+    ) {
+      last++;
+    }
+    ranges.push({ first, last });
+    if (last === units.length - 1) {
+      break;
+    }
+
+    let next = last + 1;
+    while (
+      next - 1 > first &&
+      units[last].end - units[next - 1].start <= overlapLength
+    ) {
+      next--;
+    }
+    first = next;
+  }
+
+  return ranges.map(({ first, last }, index) => {
+    // The first and last chunks also hold the element's head and tail
+    // (signature, opening and closing braces)
+    const start = index === 0 ? 0 : units[first].start;
+    const end =
+      index === ranges.length - 1 ? element.code.length : units[last].end;
+    return {
+      code: element.code.slice(start, end),
+      chunk_index: index,
+      chunk_count: ranges.length,
+      start_line: offsets.toLine(start),
+      end_line: offsets.toLine(Math.max(start, end - 1)),
+    };
+  });
+}
+
+/**
+ * Collects the AST children a node is split on, recursing into children that
+ * are still too large
+ *
+ * @private
+ * @param {Node} node - Node to split
+ * @param {ReturnType<typeof createOffsetMapper>} offsets - Position converter
+ * @param {number} maxLength - Largest unit in characters
+ * @returns {Array<{start: number, end: number}>} Character ranges within the element's code
+ */
+function collectUnits(node, offsets, maxLength) {
+  const children = getSplitChildren(node);
+  if (children.length === 0) {
+    const start = offsets.toOffset(node.startPosition);
+    return splitText(offsets.code, start, start + node.text.length, maxLength);
+  }
+
+  return children.flatMap((child) => {
+    if (child.text.length > maxLength) {
+      return collectUnits(child, offsets, maxLength);
+    }
+    const start = offsets.toOffset(child.startPosition);
+    return [{ start, end: start + child.text.length }];
+  });
+}
+
+/**
+ * Returns the children a node is split on: the statements or members of its
+ * body when it has one, its named children otherwise
+ *
+ * @private
+ * @param {Node} node - Function, class, statement or expression node
+ * @returns {Node[]} Child nodes in source order
+ */
+function getSplitChildren(node) {
+  const body = node.childForFieldName("body");
+  const children = body?.namedChildCount > 0 ? body : node;
+  return children.namedChildren;
+}
+
+/**
+ * Splits a text range into pieces of at most maxLength characters, preferably
+ * on line breaks
+ *
+ * @private
+ * @returns {Array<{start: number, end: number}>}
+ */
+function splitText(code, start, end, maxLength) {
+  const units = [];
+  let position = start;
+  while (position < end) {
+    let pieceEnd = Math.min(position + maxLength, end);
+    const lineBreak = code.lastIndexOf("\n", pieceEnd - 1);
+    if (pieceEnd < end && lineBreak > position) {
+      pieceEnd = lineBreak + 1;
+    }
+    units.push({ start: position, end: pieceEnd });
+    position = pieceEnd;
+  }
+  return units;
+}
+
+/**
+ * Converts between Tree-Sitter positions and character offsets in an element's code
+ *
+ * Tree-Sitter columns count UTF-8 bytes, so they are converted per line to
+ * JavaScript string indices.
+ *
+ * @private
+ * @param {Object} element - Code element with code and CodeSpan properties
+ */
+function createOffsetMapper(element) {
+  const lines = element.code.split("\n");
+  const lineStarts = [];
+  lines.reduce((offset, line) => {
+    lineStarts.push(offset);
+    return offset + line.length + 1;
+  }, 0);
+
+  const firstRow = element.start_line - 1;
+  const firstLineBytes = element.start_column - 1;
+
+  return {
+    code: element.code,
+
+    toOffset({ row, column }) {
+      const line = row - firstRow;
+      const bytes = line === 0 ? column - firstLineBytes : column;
+      const prefix = Buffer.from(lines[line], "utf8").subarray(0, bytes);
+      return lineStarts[line] + prefix.toString("utf8").length;
+    },
+
+    toLine(offset) {
+      let line = 0;
+      while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+        line++;
+      }
+      return element.start_line + line;
+    },
+  };
+}
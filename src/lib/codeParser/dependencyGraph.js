@@ -0,0 +1,352 @@
+/**
+ * Module Dependency Graph Builder
+ *
+ * Resolves the imports recorded by the parser (see moduleSyntax.js) to concrete
+ * files of an extracted codebase and builds an import/export graph.
+ *
+ * Resolution rules:
+ * - Relative specifiers (`./utils`, `../config`) are resolved against the importing file
+ * - Path aliases from the nearest jsconfig.json/tsconfig.json (`compilerOptions.paths`,
+ *   e.g. `"@/*": ["./src/*"]`) and non-relative paths under `compilerOptions.baseUrl`
+ * - Missing extensions are probed (.js, .jsx, .ts, .tsx, .mjs, .cjs, .json), as are
+ *   directory index files (`./components` -> `./components/index.js`)
+ * - TypeScript-style `./foo.js` imports also match `./foo.ts` / `./foo.tsx`
+ * - Anything else is an external package (`react`, `@pinecone-database/pinecone`)
+ *
+ * All paths in the graph are relative to the codebase root and use forward slashes.
+ *
+ * @module dependencyGraph
+ */
+import fs from "fs";
+import path from "path";
+
+// Extensions probed when an import omits its file extension
+const RESOLVE_EXTENSIONS = [
+  ".js",
+  ".jsx",
+  ".ts",
+  ".tsx",
+  ".mjs",
+  ".cjs",
+  ".mts",
+  ".cts",
+  ".json",
+];
+
+// Config files that may declare path aliases, in lookup order
+const PATH_CONFIG_FILES = ["tsconfig.json", "jsconfig.json"];
+
+/**
+ * @typedef {Object} DependencyGraph
+ * @property {Object<string, {imports: Array, exports: Array}>} files - Per-file imports
+ *           (each with a `resolved` path or `external` package name) and exports
+ * @property {Array<{from: string, to: string, source: string, kind: string}>} edges -
+ *           One edge per resolved import between two files of the codebase
+ * @property {string} generated_at - ISO timestamp of the build
+ */
+
+/**
+ * Builds the dependency graph of a codebase from parsed files
+ *
+ * @param {Array<{filePath: string, imports?: Array, exports?: Array}>} files -
+ *        Parsed files with absolute paths and the imports/exports from the parser
+ * @param {string} rootDir - Absolute path of the codebase root
+ * @returns {DependencyGraph} The resolved graph
+ *
+ * @example
+ * const graph = buildDependencyGraph(
+ *   [{ filePath: '/code/src/app/chat/route.js', imports: [...], exports: [...] }],
+ *   '/code',
+ * );
+ * // graph.edges: [{from: 'src/app/chat/route.js', to: 'src/app/config/redisConfig.js', source: '@/app/config/redisConfig', kind: 'import'}]
+ */
+export function buildDependencyGraph(files, rootDir) {
+  const configCache = new Map();
+  const graph = {
+    files: {},
+    edges: [],
+    generated_at: new Date().toISOString(),
+  };
+
+  files.forEach(({ filePath, imports = [], exports = [] }) => {
+    const from = toGraphPath(filePath, rootDir);
+
+    const resolvedImports = imports.map((entry) => {
+      const resolvedPath = resolveImport(
+        entry.source,
+        filePath,
+        rootDir,
+        configCache,
+      );
+
+      if (resolvedPath) {
+        const to = toGraphPath(resolvedPath, rootDir);
+        graph.edges.push({ from, to, source: entry.source, kind: entry.kind });
+        return { ...entry, resolved: to };
+      }
+
+      return isRelativeSpecifier(entry.source)
+        ? { ...entry, resolved: null } // Relative import to a missing file
+        : { ...entry, resolved: null, external: getPackageName(entry.source) };
+    });
+
+    graph.files[from] = { imports: resolvedImports, exports };
+  });
+
+  return graph;
+}
+
+/**
+ * Finds the graph files matching a user-supplied query
+ *
+ * Matches, in order of preference: the exact graph path, a path suffix
+ * (`config/vectorStoreConfig.js`), or a file name with or without its
+ * extension (`vectorStoreConfig`).
+ *
+ * @param {DependencyGraph} graph - The dependency graph
+ * @param {string} query - File path or name to look for
+ * @returns {string[]} Matching graph paths
+ */
+export function findGraphFiles(graph, query) {
+  const normalized = query.replace(/\\/g, "/").replace(/^\.?\//, "");
+  const paths = Object.keys(graph.files);
+
+  if (graph.files[normalized]) {
+    return [normalized];
+  }
+
+  const suffixMatches = paths.filter((file) => file.endsWith(`/${normalized}`));
+  if (suffixMatches.length > 0) {
+    return suffixMatches;
+  }
+
+  return paths.filter((file) => {
+    const base = path.posix.basename(file);
+    return (
+      base === normalized ||
+      base.slice(0, -path.extname(base).length) === normalized
+    );
+  });
+}
+
+/**
+ * Lists the files that import a given file
+ *
+ * @param {DependencyGraph} graph - The dependency graph
+ * @param {string} file - Graph path of the imported file
+ * @returns {Array<{file: string, source: string, kind: string}>} Importing files
+ */
+export function getImporters(graph, file) {
+  return graph.edges
+    .filter((edge) => edge.to === file)
+    .map((edge) => ({ file: edge.from, source: edge.source, kind: edge.kind }));
+}
+
+/**
+ * Resolves one import specifier to an absolute file path
+ *
+ * @private
+ * @returns {string|null} Absolute path of the imported file, or null if unresolved
+ */
+function resolveImport(specifier, importerPath, rootDir, configCache) {
+  if (!specifier) {
+    return null;
+  }
+
+  if (isRelativeSpecifier(specifier)) {
+    return probeFile(path.resolve(path.dirname(importerPath), specifier));
+  }
+
+  const config = findPathConfig(
+    path.dirname(importerPath),
+    rootDir,
+    configCache,
+  );
+  if (!config) {
+    return null;
+  }
+
+  // compilerOptions.paths aliases, e.g. "@/*": ["./src/*"]
+  for (const [pattern, targets] of Object.entries(config.paths)) {
+    const wildcard = matchPathPattern(pattern, specifier);
+    if (wildcard === null) {
+      continue;
+    }
+
+    for (const target of targets) {
+      const candidate = path.resolve(
+        config.baseUrl,
+        target.replace("*", wildcard),
+      );
+      const resolved = probeFile(candidate);
+      if (resolved) {
+        return resolved;
+      }
+    }
+  }
+
+  // Non-relative imports relative to compilerOptions.baseUrl
+  if (config.hasBaseUrl) {
+    return probeFile(path.resolve(config.baseUrl, specifier));
+  }
+
+  return null;
+}
+
+/**
+ * Finds the nearest jsconfig.json/tsconfig.json between a directory and the codebase root
+ *
+ * @private
+ * @returns {{baseUrl: string, hasBaseUrl: boolean, paths: Object<string, string[]>} | null}
+ */
+function findPathConfig(directory, rootDir, configCache) {
+  if (configCache.has(directory)) {
+    return configCache.get(directory);
+  }
+
+  let config = null;
+  for (const fileName of PATH_CONFIG_FILES) {
+    const configPath = path.join(directory, fileName);
+    if (fs.existsSync(configPath)) {
+      config = readPathConfig(configPath);
+      if (config) break;
+    }
+  }
+
+  const parent = path.dirname(directory);
+  const isAtRoot =
+    path.relative(rootDir, directory) === "" || parent === directory;
+  if (!config && !isAtRoot) {
+    config = findPathConfig(parent, rootDir, configCache);
+  }
+
+  configCache.set(directory, config);
+  return config;
+}
+
+/**
+ * Reads the path alias settings of a jsconfig.json/tsconfig.json file
+ *
+ * Comments and trailing commas (allowed in tsconfig files) are stripped
+ * before parsing. Unreadable configs are ignored.
+ *
+ * @private
+ */
+function readPathConfig(configPath) {
+  try {
+    const raw = fs
+      .readFileSync(configPath, "utf8")
+      .replace(
+        /("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g,
+        (match, string) => (string ? string : ""),
+      )
+      .replace(/,(\s*[}\]])/g, "$1");
+    const compilerOptions = JSON.parse(raw).compilerOptions || {};
+    const configDir = path.dirname(configPath);
+
+    return {
+      baseUrl: path.resolve(configDir, compilerOptions.baseUrl || "."),
+      hasBaseUrl: Boolean(compilerOptions.baseUrl),
+      paths: compilerOptions.paths || {},
+    };
+  } catch (error) {
+    console.warn(
+      `Could not read path aliases from ${configPath}:`,
+      error.message,
+    );
+    return null;
+  }
+}
+
+/**
+ * Matches a specifier against a tsconfig `paths` pattern with at most one `*`
+ *
+ * @private
+ * @returns {string|null} The text matched by `*` ("" for exact patterns), or null if no match
+ */
+function matchPathPattern(pattern, specifier) {
+  const starIndex = pattern.indexOf("*");
+  if (starIndex === -1) {
+    return pattern === specifier ? "" : null;
+  }
+
+  const prefix = pattern.slice(0, starIndex);
+  const suffix = pattern.slice(starIndex + 1);
+  if (
+    specifier.length >= prefix.length + suffix.length &&
+    specifier.startsWith(prefix) &&
+    specifier.endsWith(suffix)
+  ) {
+    return specifier.slice(prefix.length, specifier.length - suffix.length);
+  }
+  return null;
+}
+
+/**
+ * Finds the file an extensionless or directory import refers to
+ *
+ * @private
+ * @returns {string|null} Absolute path of an existing file, or null
+ */
+function probeFile(candidate) {
+  const candidates = [
+    candidate,
+    ...RESOLVE_EXTENSIONS.map((extension) => candidate + extension),
+    ...RESOLVE_EXTENSIONS.map((extension) =>
+      path.join(candidate, `index${extension}`),
+    ),
+  ];
+
+  // TypeScript sources are imported with the extension of their compiled output
+  const jsExtension = path.extname(candidate);
+  if ([".js", ".jsx", ".mjs", ".cjs"].includes(jsExtension)) {
+    const withoutExtension = candidate.slice(0, -jsExtension.length);
+    candidates.push(`${withoutExtension}.ts`, `${withoutExtension}.tsx`);
+  }
+
+  return candidates.find(isFile) || null;
+}
+
+/**
+ * @private
+ */
+function isFile(candidate) {
+  try {
+    return fs.statSync(candidate).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @private
+ */
+function isRelativeSpecifier(specifier) {
+  return (
+    specifier.startsWith("./") ||
+    specifier.startsWith("../") ||
+    specifier === "." ||
+    specifier === ".."
+  );
+}
+
+/**
+ * Returns the npm package name of a bare specifier (`lodash/fp` -> `lodash`, `@scope/pkg/x` -> `@scope/pkg`)
+ *
+ * @private
+ */
+function getPackageName(specifier) {
+  const parts = specifier.split("/");
+  return specifier.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+}
+
+/**
+ * Converts an absolute file path to its graph path
+ *
+ * @param {string} filePath - Absolute path of a file in the codebase
+ * @param {string} rootDir - Absolute path of the codebase root
+ * @returns {string} Path relative to the root, with forward slashes
+ */
+export function toGraphPath(filePath, rootDir) {
+  return path.relative(rootDir, filePath).split(path.sep).join("/");
+}
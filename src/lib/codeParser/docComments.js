@@ -0,0 +1,284 @@
+/**
+ * Documentation Comment Extraction
+ *
+ * Attaches leading comments (JSDoc blocks, `//` and `#` line comments, Python
+ * docstrings) to the function, class, method or variable they document, and
+ * parses JSDoc-style tags into structured metadata:
+ *
+ * ```
+ * /**
+ *  * Adds two numbers
+ *  * @param {number} a - First operand
+ *  * @returns {number} The sum
+ *  *\/
+ * function add(a, b) {}
+ * ```
+ * becomes `doc: "Adds two numbers\n@param {number} a - First operand\n@returns {number} The sum"`
+ * and `doc_tags: {description: "Adds two numbers", params: [{name: "a", type: "number", ...}], returns: {...}, throws: []}`.
+ *
+ * A comment is leading when it ends on the line directly above the element
+ * (no blank line in between) and does not trail code on its own line.
+ * Comments that document nothing (file headers, license blocks, notes inside
+ * function bodies) remain separate comment elements.
+ *
+ * @module docComments
+ */
+import { getNodeSpan, isSubstantialComment } from "./astUtils";
+
+// Comment node types of the built-in grammars (Java splits line and block comments)
+const COMMENT_NODE_TYPES = ["comment", "line_comment", "block_comment"];
+
+/**
+ * @typedef {Object} DocTags
+ * @property {string} description - Text before the first tag
+ * @property {Array<{name: string, type?: string, description?: string, optional?: boolean}>} params - `@param` tags
+ * @property {{type?: string, description?: string}} [returns] - `@returns` / `@return` tag
+ * @property {Array<{type?: string, description?: string}>} throws - `@throws` / `@exception` tags
+ * @property {string|boolean} [deprecated] - `@deprecated` reason, or true without one
+ */
+
+/**
+ * Creates a per-file tracker that attaches leading comments to elements and
+ * reports the remaining (orphan) comments
+ *
+ * Adapters call `addComment()` for every comment node and `document()` for
+ * every extracted element, then `getOrphanComments()` once traversal is done.
+ *
+ * @param {string} relativeFilePath - Path stored on the comment elements
+ * @returns {{
+ *   addComment: function(Node): void,
+ *   document: function(Node, string=): ({doc: string, doc_tags: DocTags} | {}),
+ *   getOrphanComments: function(): Array<Object>
+ * }}
+ *
+ * @example
+ * const docs = createDocCommentTracker(relativeFilePath);
+ * // during traversal
+ * if (node.type === "comment") docs.addComment(node);
+ * functions.push({ code: node.text, function_name: name, ...docs.document(node) });
+ * // after traversal
+ * comments.push(...docs.getOrphanComments());
+ */
+export function createDocCommentTracker(relativeFilePath) {
+  const commentNodes = [];
+  const attached = new Set(); // startIndex of comments documenting an element
+
+  return {
+    addComment(node) {
+      if (isSubstantialComment(node.text)) {
+        commentNodes.push(node);
+      }
+    },
+
+    document(anchorNode, docstring) {
+      const leading = getLeadingComments(anchorNode);
+      leading.forEach((node) => attached.add(node.startIndex));
+
+      const text = docstring || leading.map((node) => node.text).join("\n");
+      return text ? parseDocComment(text) : {};
+    },
+
+    getOrphanComments() {
+      return commentNodes
+        .filter((node) => !attached.has(node.startIndex))
+        .map((node) => {
+          const span = getNodeSpan(node);
+          return {
+            code: node.text,
+            // File and line keep comment names unique across the codebase
+            comment_name: `${relativeFilePath}:comment_${span.start_line}`,
+            filepath: relativeFilePath,
+            ...span,
+          };
+        });
+    },
+  };
+}
+
+/**
+ * Returns the comments directly above a node, in source order
+ *
+ * Consecutive line comments form one block; a blank line ends the block.
+ *
+ * @param {Node} anchorNode - The outermost node of the element (e.g. the
+ *        `export` statement around a function)
+ * @returns {Node[]} Leading comment nodes, empty if there are none
+ */
+export function getLeadingComments(anchorNode) {
+  const comments = [];
+  let nextRow = anchorNode.startPosition.row;
+  let previous = anchorNode.previousSibling;
+
+  while (
+    previous &&
+    COMMENT_NODE_TYPES.includes(previous.type) &&
+    previous.endPosition.row >= nextRow - 1
+  ) {
+    // A comment sharing its line with earlier code trails that code: `x = 1; // note`
+    const beforeComment = previous.previousSibling;
+    if (
+      beforeComment &&
+      !COMMENT_NODE_TYPES.includes(beforeComment.type) &&
+      beforeComment.endPosition.row === previous.startPosition.row
+    ) {
+      break;
+    }
+
+    comments.unshift(previous);
+    nextRow = previous.startPosition.row;
+    previous = previous.previousSibling;
+  }
+
+  return comments;
+}
+
+/**
+ * Strips comment delimiters and parses JSDoc-style tags
+ *
+ * @param {string} rawText - One or more comments or a docstring, as written in the source
+ * @returns {{doc: string, doc_tags: DocTags}} Cleaned comment text and parsed tags
+ *
+ * @example
+ * parseDocComment('/** Loads a user\n * @param {string} id - User ID\n * @deprecated Use fetchUser *\/');
+ * // {doc: 'Loads a user\n@param {string} id - User ID\n@deprecated Use fetchUser',
+ * //  doc_tags: {description: 'Loads a user', params: [{name: 'id', type: 'string', description: 'User ID'}],
+ * //             throws: [], deprecated: 'Use fetchUser'}}
+ */
+export function parseDocComment(rawText) {
+  const doc = cleanCommentText(rawText);
+  const docTags = { description: "", params: [], throws: [] };
+
+  // Group continuation lines with the tag they belong to
+  const blocks = [];
+  doc.split("\n").forEach((line) => {
+    if (/^@\w+/.test(line) || blocks.length === 0) {
+      blocks.push(line);
+    } else {
+      blocks[blocks.length - 1] += `\n${line}`;
+    }
+  });
+
+  blocks.forEach((block) => {
+    const match = block.match(/^@(\w+)\s*([\s\S]*)$/);
+    if (!match) {
+      docTags.description = block.trim();
+      return;
+    }
+
+    const [, tag, body] = match;
+    switch (tag) {
+      case "param":
+      case "arg":
+      case "argument":
+        docTags.params.push(parseParamTag(body));
+        break;
+      case "returns":
+      case "return": {
+        const [type, description] = readTypeExpression(body);
+        docTags.returns = compact({ type, description });
+        break;
+      }
+      case "throws":
+      case "exception": {
+        const [type, description] = readTypeExpression(body);
+        docTags.throws.push(compact({ type, description }));
+        break;
+      }
+      case "deprecated":
+        docTags.deprecated = body.trim() || true;
+        break;
+      default:
+        break;
+    }
+  });
+
+  return { doc, doc_tags: docTags };
+}
+
+/**
+ * Removes comment delimiters (`/** *\/`, leading `*`, `//`, `#`, docstring quotes)
+ *
+ * @private
+ * @param {string} rawText - Comment or docstring source
+ * @returns {string} The comment text without delimiters and indentation
+ */
+function cleanCommentText(rawText) {
+  const lines = rawText
+    .replace(/^[rRuUbB]{0,2}("""|'''|"|')([\s\S]*)\1$/, "$2") // Python docstring
+    .split("\n")
+    .map((line) =>
+      line
+        .trim()
+        .replace(/^\/\*+/, "")
+        .replace(/\*+\/$/, "")
+        .replace(/^\/\/\/?/, "")
+        .replace(/^#+/, "")
+        .replace(/^\*(?!\*)/, "")
+        .replace(/^ /, "")
+        .trimEnd(),
+    );
+
+  // Drop blank lines left by `/**` and `*/`
+  while (lines.length > 0 && lines[0].trim() === "") lines.shift();
+  while (lines.length > 0 && lines[lines.length - 1].trim() === "") lines.pop();
+
+  return lines.join("\n");
+}
+
+/**
+ * Parses the body of a `@param` tag: `{Type} [name=default] - description`
+ *
+ * @private
+ */
+function parseParamTag(body) {
+  const [type, rest] = readTypeExpression(body);
+  const match = rest?.match(/^(\[[^\]]*\]|[\w$.]+)\s*(?:-\s*)?([\s\S]*)$/);
+  if (!match) {
+    return compact({ name: rest || "", type });
+  }
+
+  const optional = match[1].startsWith("[");
+  const name = optional ? match[1].slice(1, -1).split("=")[0].trim() : match[1];
+  return compact({
+    name,
+    type,
+    description: match[2].trim(),
+    ...(optional && { optional: true }),
+  });
+}
+
+/**
+ * Splits a leading `{Type}` (with nested braces) from the rest of a tag body
+ *
+ * @private
+ * @returns {[string|undefined, string|undefined]} The type and the remaining text
+ */
+function readTypeExpression(body) {
+  const text = body.trim();
+  if (!text.startsWith("{")) {
+    return [undefined, text || undefined];
+  }
+
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "{") depth++;
+    if (text[i] === "}") depth--;
+    if (depth === 0) {
+      return [text.slice(1, i).trim(), text.slice(i + 1).trim() || undefined];
+    }
+  }
+  return [undefined, text];
+}
+
+/**
+ * Removes undefined and empty-string properties
+ *
+ * @private
+ */
+function compact(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(
+      ([, value]) => value !== undefined && value !== "",
+    ),
+  );
+}
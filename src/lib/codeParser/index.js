@@ -1,30 +1,39 @@
 /**
  * Code Parser Module - Main Interface
  *
- * This module provides a unified interface for parsing JavaScript code files.
- * Currently implements Tree-Sitter-based parsing for accurate AST analysis.
+ * This module provides a unified interface for parsing source code files.
+ * Files are dispatched by extension to a language adapter from the registry
+ * (JavaScript/TypeScript, Python, Go, Java), each implementing Tree-Sitter-based
+ * parsing for accurate AST analysis and returning the same ParserOutput shape.
  *
  * Usage:
  *   import { parseCodeFile } from '@/lib/codeParser';
  *   const result = await parseCodeFile('./src/index.js');
  */
 
-import { parseCodeWithTreeSitter } from "./treeSitterParser";
+import { getAdapterForFile } from "./registry";
 import { CodeParserTypes } from "./types";
 
 /**
- * Main parser function - parses a JavaScript file and extracts code structures
+ * Main parser function - parses a source file and extracts code structures
  *
- * @param {string} filepath - Absolute path to the JavaScript file
+ * @param {string} filepath - Absolute path to a file supported by a registered language adapter
  * @returns {Promise<{functions: Array, classes: Array, comments: Array, variables: Array, relativeFilePath: string}>}
  *          Returns an object with:
  *          - functions: Array of function objects with {code, function_name, filepath}
  *          - classes: Array of class objects with {code, class_name, filepath}
+ *          - methods: Array of class member objects with {code, method_name, qualified_name, parent_class, kind, filepath}
+ *          - typeDeclarations: Array of TypeScript declarations with {code, type_name, type, filepath}
  *          - comments: Array of comment objects with {code, comment_name, filepath}
  *          - variables: Array of variable objects with {code, variable_name, filepath}
+ *          - misc: Array of top-level statement blocks with {code, misc_name, filepath} (JavaScript/TypeScript, Python)
+ *          Every element also carries {start_line, end_line, start_column, end_column}
+ *          - imports: Array of {source, kind, specifiers, line} (JavaScript/TypeScript)
+ *          - exports: Array of {name, local, source, kind, line} (JavaScript/TypeScript)
  *          - relativeFilePath: Relative path from cwd to the file
+ *          - language: Grammar used to parse the file
  *
- * @throws {Error} If file cannot be read or parsed
+ * @throws {Error} If the file type is not supported, or the file cannot be read or parsed
  *
  * @example
  * const parser = await parseCodeFile('/absolute/path/to/file.js');
@@ -34,8 +43,13 @@ import { CodeParserTypes } from "./types";
 //   */ */
 export async function parseCodeFile(filepath) {
   try {
-    // Use Tree-Sitter for parsing
-    const result = await parseCodeWithTreeSitter(filepath);
+    // Look up the language adapter for this file extension
+    const adapter = getAdapterForFile(filepath);
+    if (!adapter) {
+      throw new Error(`Unsupported file type: ${filepath}`);
+    }
+
+    const result = await adapter.parse(filepath);
 
     // Validate output structure
     if (!CodeParserTypes.isValidParserOutput(result)) {
@@ -60,7 +74,17 @@ export function validateParserOutput(output) {
   return CodeParserTypes.isValidParserOutput(output);
 }
 
+/**
+ * Exports the language registry for adapter lookup and registration
+ */
+export {
+  getAdapterForFile,
+  getRegisteredAdapters,
+  isSupportedFile,
+  registerLanguageAdapter,
+} from "./registry";
+
 /**
  * Exports type definitions for use in other modules
  */
-export { CodeParserTypes } from "./types";
+export { CODE_ELEMENT_GROUPS, CodeParserTypes } from "./types";
@@ -0,0 +1,55 @@
+/**
+ * Tree-Sitter Language Selection Module
+ *
+ * Maps source file extensions to the tree-sitter grammar that should parse them.
+ * JavaScript and JSX share the JavaScript grammar, while TypeScript and TSX each
+ * have their own grammar so that type annotations, interfaces, enums and generics
+ * are parsed instead of being reported as ERROR nodes.
+ *
+ * @module languages
+ */
+import path from "path";
+import JavaScript from "tree-sitter-javascript";
+import TypeScript from "tree-sitter-typescript";
+
+/**
+ * Supported grammars keyed by language name
+ *
+ * @type {Object<string, {name: string, grammar: Object, extensions: string[]}>}
+ */
+export const LANGUAGES = {
+  javascript: {
+    name: "javascript",
+    grammar: JavaScript,
+    extensions: [".js", ".jsx", ".mjs", ".cjs"],
+  },
+  typescript: {
+    name: "typescript",
+    grammar: TypeScript.typescript,
+    extensions: [".ts", ".mts", ".cts"],
+  },
+  tsx: {
+    name: "tsx",
+    grammar: TypeScript.tsx,
+    extensions: [".tsx"],
+  },
+};
+
+/**
+ * Returns the language definition matching a file's extension
+ *
+ * @param {string} filepath - Path of the source file
+ * @returns {{name: string, grammar: Object, extensions: string[]} | null}
+ *          The matching language, or null if the extension is not supported
+ *
+ * @example
+ * getLanguageForFile('src/components/Button.tsx').name; // 'tsx'
+ */
+export function getLanguageForFile(filepath) {
+  const extension = path.extname(filepath).toLowerCase();
+  return (
+    Object.values(LANGUAGES).find((language) =>
+      language.extensions.includes(extension),
+    ) || null
+  );
+}
@@ -0,0 +1,304 @@
+/**
+ * Module-Level Statement Extraction
+ *
+ * Collects the top-level statements that are not functions, classes,
+ * variables or imports - route registrations, test suites, IIFEs,
+ * `export default {...}` configuration objects, side-effect calls - as
+ * `misc` blocks, each with a name derived from the statement:
+ *
+ * ```
+ * app.get('/users', async (req, res) => {...});   -> "app.get('/users')"
+ * describe('Parser', () => {...});                -> "describe('Parser')"
+ * (async () => {...})();                          -> "IIFE"
+ * export default { reactStrictMode: true };       -> "export default"
+ * if __name__ == "__main__":                      -> 'if __name__ == "__main__"'
+ * ```
+ *
+ * Consecutive single-line statements (e.g. a run of `app.use(...)` calls) are
+ * grouped into one block; multi-line statements are blocks of their own.
+ * Works on the JavaScript/TypeScript and Python syntax trees.
+ *
+ * @module miscBlocks
+ */
+import { getNodeSpan } from "./astUtils";
+import { collectCalls } from "./callSyntax";
+
+// Top-level statements indexed as misc blocks; declarations, imports and
+// comments are extracted elsewhere
+const MISC_STATEMENT_TYPES = [
+  "expression_statement",
+  "export_statement",
+  "if_statement",
+  "for_statement",
+  "for_in_statement",
+  "while_statement",
+  "do_statement",
+  "try_statement",
+  "with_statement",
+  "statement_block",
+];
+
+// Call arguments short enough to appear in a block name: `app.get('/users')`
+const NAMEABLE_ARGUMENT_TYPES = [
+  "string",
+  "template_string",
+  "number",
+  "integer",
+  "float",
+  "true",
+  "false",
+  "identifier",
+  "member_expression",
+  "attribute",
+];
+
+// Longest statement text used in a block name
+const MAX_NAME_LENGTH = 60;
+
+// Names listed in the name of a grouped block before "and N more"
+const MAX_GROUPED_NAMES = 3;
+
+/**
+ * Collects the misc blocks of a file
+ *
+ * @param {Node} rootNode - Root of the file's syntax tree (`program` or `module`)
+ * @param {Object} options
+ * @param {string} options.filepath - Path stored on the blocks
+ * @param {ReturnType<import('./docComments').createDocCommentTracker>} options.docs -
+ *        The adapter's doc comment tracker, so leading comments document the block
+ * @param {function(Node): boolean} options.isNestedScope - Returns true for nested
+ *        nodes extracted as their own elements (see collectCalls)
+ * @returns {import('./types').MiscCodeBlock[]} Blocks in source order
+ *
+ * @example
+ * output.misc = collectMiscBlocks(tree.rootNode, {
+ *   filepath: relativeFilePath,
+ *   docs,
+ *   isNestedScope: isExtractedScope,
+ * });
+ * // [{code: "app.get('/users', ...)", misc_name: "app.get('/users')", calls: [...], start_line: 12, ...}]
+ */
+export function collectMiscBlocks(rootNode, { filepath, docs, isNestedScope }) {
+  const groups = [];
+
+  rootNode.namedChildren.forEach((node) => {
+    const name = getStatementName(node);
+    if (!name) {
+      return;
+    }
+
+    const previous = groups[groups.length - 1];
+    if (previous && canGroup(previous[previous.length - 1].node, node)) {
+      previous.push({ node, name });
+    } else {
+      groups.push([{ node, name }]);
+    }
+  });
+
+  const source = rootNode.text;
+  return groups.map((group) => {
+    const first = group[0].node;
+    const last = group[group.length - 1].node;
+    const names = group.map((statement) => statement.name);
+    const { start_line, start_column } = getNodeSpan(first);
+    const { end_line, end_column } = getNodeSpan(last);
+
+    return {
+      // The source from the first statement to the last, with the comments
+      // and line breaks between them, so the code matches the span
+      code: source.slice(
+        first.startIndex - rootNode.startIndex,
+        last.endIndex - rootNode.startIndex,
+      ),
+      misc_name:
+        names.length > MAX_GROUPED_NAMES
+          ? `${names.slice(0, MAX_GROUPED_NAMES).join(", ")} and ${names.length - MAX_GROUPED_NAMES} more`
+          : names.join(", "),
+      filepath,
+      calls: group.flatMap((statement) =>
+        collectCalls(statement.node, isNestedScope),
+      ),
+      start_line,
+      end_line,
+      start_column,
+      end_column,
+      ...docs.document(first),
+    };
+  });
+}
+
+/**
+ * Derives the name of a top-level statement
+ *
+ * @private
+ * @param {Node} node - A direct child of the program or module node
+ * @returns {string|null} The name, or null for statements that are not misc blocks
+ */
+function getStatementName(node) {
+  if (!MISC_STATEMENT_TYPES.includes(node.type)) {
+    return null;
+  }
+
+  if (node.type === "export_statement") {
+    // Only `export default <expression>`; exported declarations are
+    // extracted as functions, classes and variables
+    const value = node.childForFieldName("value");
+    if (!value || value.type === "identifier") {
+      return null;
+    }
+    return value.type.includes("call")
+      ? `export default ${describeExpression(value)}`
+      : "export default";
+  }
+
+  if (node.type === "expression_statement") {
+    const expression = node.namedChild(0);
+    // Directives ("use client"), docstrings and Python assignments (variables)
+    if (
+      !expression ||
+      expression.type === "string" ||
+      expression.type === "assignment" ||
+      expression.type === "augmented_assignment"
+    ) {
+      return null;
+    }
+    return describeExpression(expression) || shorten(getFirstLine(node));
+  }
+
+  // if/for/while/try/with: the statement header
+  return shorten(getFirstLine(node).replace(/\s*[{:]$/, ""));
+}
+
+/**
+ * Describes an expression statement: the callee and first argument of calls,
+ * the target of assignments
+ *
+ * @private
+ * @param {Node} node - Expression node
+ * @returns {string|null} Description, or null if the expression has no natural name
+ */
+function describeExpression(node) {
+  switch (node.type) {
+    case "await_expression":
+    case "unary_expression":
+    case "parenthesized_expression":
+      return node.namedChild(0) ? describeExpression(node.namedChild(0)) : null;
+
+    case "call_expression":
+    case "call": {
+      const callee = unwrapParentheses(node.childForFieldName("function"));
+      if (!callee) {
+        return null;
+      }
+      if (
+        ["function_expression", "arrow_function", "function"].includes(
+          callee.type,
+        )
+      ) {
+        return "IIFE";
+      }
+      return `${describeCallee(callee)}(${describeArguments(node.childForFieldName("arguments"))})`;
+    }
+
+    case "new_expression": {
+      const constructor = node.childForFieldName("constructor");
+      return constructor
+        ? `new ${shorten(constructor.text)}(${describeArguments(node.childForFieldName("arguments"))})`
+        : null;
+    }
+
+    case "assignment_expression": {
+      const left = node.childForFieldName("left");
+      return left ? shorten(left.text) : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Names a callee, keeping chained calls readable: `app.route('/users').get`
+ *
+ * @private
+ */
+function describeCallee(callee) {
+  if (["member_expression", "attribute"].includes(callee.type)) {
+    const object = callee.childForFieldName("object");
+    const property =
+      callee.childForFieldName("property") ||
+      callee.childForFieldName("attribute");
+    if (
+      object &&
+      property &&
+      ["call_expression", "call"].includes(object.type)
+    ) {
+      return `${describeExpression(object)}.${property.text}`;
+    }
+  }
+  return shorten(callee.text);
+}
+
+/**
+ * Summarizes call arguments: the first one when it is a literal or a name,
+ * "..." otherwise
+ *
+ * @private
+ */
+function describeArguments(argumentsNode) {
+  const first = argumentsNode?.namedChild(0);
+  if (!first) {
+    return "";
+  }
+  return NAMEABLE_ARGUMENT_TYPES.includes(first.type) &&
+    first.text.length <= MAX_NAME_LENGTH &&
+    !first.text.includes("\n")
+    ? first.text
+    : "...";
+}
+
+/**
+ * Returns the expression inside any number of parentheses
+ *
+ * @private
+ */
+function unwrapParentheses(node) {
+  let current = node;
+  while (current?.type === "parenthesized_expression") {
+    current = current.namedChild(0);
+  }
+  return current;
+}
+
+/**
+ * Whether a statement joins the group of the statement before it: both fit
+ * on one line and no blank line or comment separates them
+ *
+ * @private
+ */
+function canGroup(previous, node) {
+  return (
+    previous.startPosition.row === previous.endPosition.row &&
+    node.startPosition.row === node.endPosition.row &&
+    node.startPosition.row === previous.endPosition.row + 1
+  );
+}
+
+/**
+ * @private
+ */
+function getFirstLine(node) {
+  return node.text.split("\n")[0].trim();
+}
+
+/**
+ * Collapses whitespace and truncates text for use in a name
+ *
+ * @private
+ */
+function shorten(text) {
+  const singleLine = text.replace(/\s+/g, " ").trim();
+  return singleLine.length > MAX_NAME_LENGTH
+    ? `${singleLine.slice(0, MAX_NAME_LENGTH - 3)}...`
+    : singleLine;
+}
@@ -0,0 +1,362 @@
+/**
+ * JavaScript Module Syntax Extraction
+ *
+ * Collects the imports and exports of a JavaScript/TypeScript syntax tree:
+ * - ES modules: `import ... from`, `export ...`, `export ... from`, `import()`
+ * - CommonJS: `require()`, `module.exports = ...`, `exports.foo = ...`
+ * - TypeScript: `import x = require("y")`
+ *
+ * The specifiers are recorded exactly as written; resolving them to files in
+ * the codebase is done by dependencyGraph.js.
+ *
+ * @module moduleSyntax
+ */
+
+/**
+ * @typedef {Object} ModuleImport
+ * @property {string} source - Module specifier as written (e.g. "./utils", "@/lib/codeParser", "react")
+ * @property {"import"|"require"|"dynamic"|"reexport"} kind - How the module is imported
+ * @property {Array<{imported: string, local: string}>} specifiers - Imported bindings
+ *           ("default" and "*" denote default and namespace imports)
+ * @property {number} line - One-based line of the import
+ */
+
+/**
+ * @typedef {Object} ModuleExport
+ * @property {string} name - Exported name ("default" for default exports, "*" for `export * from`)
+ * @property {string} [local] - Local binding or declaration name, when known
+ * @property {string} [source] - Module specifier for re-exports
+ * @property {"esm"|"commonjs"} kind - Module system of the export
+ * @property {number} line - One-based line of the export
+ */
+
+/**
+ * Collects all imports and exports of a parsed file
+ *
+ * @param {Node} rootNode - Root node of a JavaScript/TypeScript syntax tree
+ * @returns {{imports: ModuleImport[], exports: ModuleExport[]}}
+ *
+ * @example
+ * const { imports, exports } = collectModuleReferences(tree.rootNode);
+ * // imports: [{source: './pineconeManager', kind: 'import', specifiers: [{imported: 'PineconeManager', local: 'PineconeManager'}], line: 18}]
+ * // exports: [{name: 'pinecone', local: 'pinecone', kind: 'esm', line: 29}]
+ */
+export function collectModuleReferences(rootNode) {
+  const imports = [];
+  const exports = [];
+
+  function traverse(node) {
+    const line = node.startPosition.row + 1;
+
+    if (node.type === "import_statement") {
+      const source = getStringValue(node.childForFieldName("source"));
+      const requireClause = node.namedChildren.find(
+        (child) => child.type === "import_require_clause",
+      );
+
+      if (source) {
+        imports.push({
+          source,
+          kind: "import",
+          specifiers: getImportSpecifiers(node),
+          line,
+        });
+      } else if (requireClause) {
+        // TypeScript: import x = require("y")
+        const local = requireClause.namedChildren[0]?.text;
+        imports.push({
+          source: getStringValue(requireClause.childForFieldName("source")),
+          kind: "require",
+          specifiers: local ? [{ imported: "default", local }] : [],
+          line,
+        });
+      }
+    }
+
+    if (node.type === "export_statement") {
+      collectEsmExport(node, line, imports, exports);
+    }
+
+    if (node.type === "call_expression") {
+      const callee = node.childForFieldName("function");
+      const firstArgument =
+        node.childForFieldName("arguments")?.namedChildren[0];
+      const source = getStringValue(firstArgument);
+
+      if (source && callee?.type === "import") {
+        imports.push({ source, kind: "dynamic", specifiers: [], line });
+      } else if (
+        source &&
+        callee?.type === "identifier" &&
+        callee.text === "require"
+      ) {
+        imports.push({
+          source,
+          kind: "require",
+          specifiers: getRequireSpecifiers(node),
+          line,
+        });
+      }
+    }
+
+    if (node.type === "assignment_expression") {
+      collectCommonJsExport(node, line, exports);
+    }
+
+    for (let i = 0; i < node.childCount; i++) {
+      traverse(node.child(i));
+    }
+  }
+
+  traverse(rootNode);
+  return { imports, exports };
+}
+
+/**
+ * Records the exports (and re-export imports) of an `export` statement
+ *
+ * @private
+ */
+function collectEsmExport(node, line, imports, exports) {
+  const source = getStringValue(node.childForFieldName("source"));
+  const declaration = node.childForFieldName("declaration");
+  const value = node.childForFieldName("value");
+  const isDefault = node.children.some((child) => child.type === "default");
+  const exportClause = node.namedChildren.find(
+    (child) => child.type === "export_clause",
+  );
+  const namespaceExport = node.namedChildren.find(
+    (child) => child.type === "namespace_export",
+  );
+
+  if (exportClause) {
+    const specifiers = exportClause.namedChildren
+      .filter((child) => child.type === "export_specifier")
+      .map((specifier) => {
+        const local = specifier.childForFieldName("name").text;
+        const alias = specifier.childForFieldName("alias");
+        return { imported: local, local: alias ? alias.text : local };
+      });
+
+    specifiers.forEach(({ imported, local }) => {
+      exports.push({
+        name: local,
+        local: imported,
+        ...(source && { source }),
+        kind: "esm",
+        line,
+      });
+    });
+
+    if (source) {
+      imports.push({ source, kind: "reexport", specifiers, line });
+    }
+    return;
+  }
+
+  if (source) {
+    // export * from "./x"  /  export * as ns from "./x"
+    const name = namespaceExport ? namespaceExport.namedChildren[0]?.text : "*";
+    exports.push({ name, source, kind: "esm", line });
+    imports.push({
+      source,
+      kind: "reexport",
+      specifiers: [{ imported: "*", local: name }],
+      line,
+    });
+    return;
+  }
+
+  if (declaration) {
+    const names = getDeclaredNames(declaration);
+    if (isDefault) {
+      // export default function foo() {}
+      exports.push({
+        name: "default",
+        ...(names[0] && { local: names[0] }),
+        kind: "esm",
+        line,
+      });
+    } else {
+      names.forEach((local) => {
+        exports.push({ name: local, local, kind: "esm", line });
+      });
+    }
+    return;
+  }
+
+  if (isDefault) {
+    exports.push({
+      name: "default",
+      ...(value?.type === "identifier" && { local: value.text }),
+      kind: "esm",
+      line,
+    });
+  }
+}
+
+/**
+ * Records `module.exports = ...`, `module.exports.foo = ...` and `exports.foo = ...`
+ *
+ * @private
+ */
+function collectCommonJsExport(node, line, exports) {
+  const left = node.childForFieldName("left");
+  const right = node.childForFieldName("right");
+  if (!left || left.type !== "member_expression") {
+    return;
+  }
+
+  const target = left.text.replace(/\s+/g, "");
+
+  if (target === "module.exports") {
+    if (right?.type === "object") {
+      // module.exports = { a, b: c }
+      right.namedChildren.forEach((property) => {
+        if (property.type === "shorthand_property_identifier") {
+          exports.push({
+            name: property.text,
+            local: property.text,
+            kind: "commonjs",
+            line,
+          });
+        } else if (
+          property.type === "pair" ||
+          property.type === "method_definition"
+        ) {
+          const key = property.childForFieldName(
+            property.type === "pair" ? "key" : "name",
+          );
+          const value = property.childForFieldName("value");
+          exports.push({
+            name: key.text,
+            ...(value?.type === "identifier" && { local: value.text }),
+            kind: "commonjs",
+            line,
+          });
+        }
+      });
+    } else {
+      exports.push({
+        name: "default",
+        ...(right?.type === "identifier" && { local: right.text }),
+        kind: "commonjs",
+        line,
+      });
+    }
+    return;
+  }
+
+  const match = target.match(/^(?:module\.)?exports\.([A-Za-z_$][\w$]*)$/);
+  if (match) {
+    exports.push({
+      name: match[1],
+      ...(right?.type === "identifier" && { local: right.text }),
+      kind: "commonjs",
+      line,
+    });
+  }
+}
+
+/**
+ * Lists the bindings of an ES import statement
+ *
+ * @private
+ */
+function getImportSpecifiers(node) {
+  const clause = node.namedChildren.find(
+    (child) => child.type === "import_clause",
+  );
+  if (!clause) {
+    return []; // Side-effect import: import "./styles.css"
+  }
+
+  const specifiers = [];
+  clause.namedChildren.forEach((child) => {
+    if (child.type === "identifier") {
+      specifiers.push({ imported: "default", local: child.text });
+    } else if (child.type === "namespace_import") {
+      specifiers.push({ imported: "*", local: child.namedChildren[0]?.text });
+    } else if (child.type === "named_imports") {
+      child.namedChildren
+        .filter((specifier) => specifier.type === "import_specifier")
+        .forEach((specifier) => {
+          const imported = specifier.childForFieldName("name").text;
+          const alias = specifier.childForFieldName("alias");
+          specifiers.push({ imported, local: alias ? alias.text : imported });
+        });
+    }
+  });
+  return specifiers;
+}
+
+/**
+ * Lists the bindings created by `const x = require(...)` or `const { a, b: c } = require(...)`
+ *
+ * @private
+ */
+function getRequireSpecifiers(callNode) {
+  const declarator = callNode.parent;
+  if (!declarator || declarator.type !== "variable_declarator") {
+    return [];
+  }
+
+  const pattern = declarator.childForFieldName("name");
+  if (pattern.type === "identifier") {
+    return [{ imported: "default", local: pattern.text }];
+  }
+
+  if (pattern.type === "object_pattern") {
+    return pattern.namedChildren.flatMap((property) => {
+      if (property.type === "shorthand_property_identifier_pattern") {
+        return [{ imported: property.text, local: property.text }];
+      }
+      if (property.type === "pair_pattern") {
+        return [
+          {
+            imported: property.childForFieldName("key").text,
+            local: property.childForFieldName("value").text,
+          },
+        ];
+      }
+      return [];
+    });
+  }
+
+  return [];
+}
+
+/**
+ * Lists the names introduced by an exported declaration
+ *
+ * @private
+ */
+function getDeclaredNames(declaration) {
+  if (
+    declaration.type === "lexical_declaration" ||
+    declaration.type === "variable_declaration"
+  ) {
+    return declaration.namedChildren
+      .filter((child) => child.type === "variable_declarator")
+      .map((declarator) => declarator.childForFieldName("name"))
+      .filter((nameNode) => nameNode && nameNode.type === "identifier")
+      .map((nameNode) => nameNode.text);
+  }
+
+  const nameNode = declaration.childForFieldName("name");
+  return nameNode ? [nameNode.text] : [];
+}
+
+/**
+ * Returns the contents of a string literal node without its quotes
+ *
+ * @private
+ * @param {Node} [node] - A string node
+ * @returns {string|null} The string value, or null if the node is not a plain string
+ */
+function getStringValue(node) {
+  if (!node || node.type !== "string") {
+    return null;
+  }
+  return node.text.slice(1, -1);
+}
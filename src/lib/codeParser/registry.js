@@ -0,0 +1,123 @@
+/**
+ * Language Adapter Registry
+ *
+ * Maps file extensions and file names to language adapters. Every adapter
+ * parses a source file into the shared ParserOutput shape (see types.js), so
+ * the rest of the pipeline (embedding, upserting, search) is language-agnostic.
+ *
+ * Built-in adapters:
+ * - javascript: .js, .jsx, .mjs, .cjs, .ts, .mts, .cts, .tsx
+ * - python: .py, .pyi
+ * - go: .go
+ * - java: .java
+ * - markdown: .md, .mdx, .markdown (documentation, split by headings)
+ * - packageJson: package.json (scripts, dependencies, engines)
+ * - config: .eslintrc*, tsconfig.json, next.config.*, Dockerfile, ... (by file name)
+ *
+ * A file name registration takes precedence over the extension, so
+ * `next.config.mjs` is indexed as configuration rather than as JavaScript.
+ *
+ * Additional languages can be added with registerLanguageAdapter().
+ *
+ * @module registry
+ */
+import path from "path";
+import { configAdapter } from "./adapters/config";
+import { goAdapter } from "./adapters/go";
+import { javaAdapter } from "./adapters/java";
+import { javascriptAdapter } from "./adapters/javascript";
+import { markdownAdapter } from "./adapters/markdown";
+import { packageJsonAdapter } from "./adapters/packageJson";
+import { pythonAdapter } from "./adapters/python";
+
+// File extension (lowercase, with leading dot) -> language adapter
+const adaptersByExtension = new Map();
+
+// Exact file name (lowercase, e.g. "package.json") -> language adapter
+const adaptersByFilename = new Map();
+
+/**
+ * Registers a language adapter for all of its file extensions and file names
+ *
+ * A later registration for the same extension or file name replaces the
+ * earlier one.
+ *
+ * @param {import('./types').LanguageAdapter} adapter - The adapter to register
+ * @throws {Error} If the adapter is missing a name, extensions/filenames or parse function
+ *
+ * @example
+ * registerLanguageAdapter({
+ *   name: 'ruby',
+ *   extensions: ['.rb'],
+ *   filenames: ['Gemfile', 'Rakefile'],
+ *   parse: async (filepath) => ({ functions: [], classes: [], relativeFilePath: '...' }),
+ * });
+ */
+export function registerLanguageAdapter(adapter) {
+  if (
+    !adapter ||
+    !adapter.name ||
+    (!Array.isArray(adapter.extensions) && !Array.isArray(adapter.filenames)) ||
+    typeof adapter.parse !== "function"
+  ) {
+    throw new Error(
+      "Language adapter needs a name, extensions or filenames, and parse()",
+    );
+  }
+
+  (adapter.extensions || []).forEach((extension) => {
+    adaptersByExtension.set(extension.toLowerCase(), adapter);
+  });
+  (adapter.filenames || []).forEach((filename) => {
+    adaptersByFilename.set(filename.toLowerCase(), adapter);
+  });
+}
+
+/**
+ * Returns the adapter registered for a file's name or, failing that, its extension
+ *
+ * @param {string} filepath - Path of the source file
+ * @returns {import('./types').LanguageAdapter | null} The adapter, or null if unsupported
+ */
+export function getAdapterForFile(filepath) {
+  return (
+    adaptersByFilename.get(path.basename(filepath).toLowerCase()) ||
+    adaptersByExtension.get(path.extname(filepath).toLowerCase()) ||
+    null
+  );
+}
+
+/**
+ * Checks whether any registered adapter can parse a file
+ *
+ * @param {string} filepath - Path of the source file
+ * @returns {boolean} True if the file can be parsed
+ */
+export function isSupportedFile(filepath) {
+  return getAdapterForFile(filepath) !== null;
+}
+
+/**
+ * Lists the registered adapters (each adapter once)
+ *
+ * @returns {import('./types').LanguageAdapter[]}
+ */
+export function getRegisteredAdapters() {
+  return [
+    ...new Set([
+      ...adaptersByExtension.values(),
+      ...adaptersByFilename.values(),
+    ]),
+  ];
+}
+
+// Register the built-in language adapters
+[
+  javascriptAdapter,
+  pythonAdapter,
+  goAdapter,
+  javaAdapter,
+  markdownAdapter,
+  packageJsonAdapter,
+  configAdapter,
+].forEach(registerLanguageAdapter);
@@ -3,7 +3,8 @@
  *
  * Provides accurate Abstract Syntax Tree (AST) parsing for JavaScript/TypeScript code
  * using the tree-sitter library. Extracts functions, classes, and other code elements
- * from source files with high accuracy.
+ * from source files with high accuracy. The grammar (JavaScript, TypeScript or TSX)
+ * is chosen from the file extension.
  *
  * Advantages over regex-based parsing:
  * - Handles complex nested structures correctly
@@ -15,12 +16,13 @@
  */
 import fs from "fs";
 import path from "path";
-import Parser from "tree-sitter";
-import JavaScript from "tree-sitter-javascript";
-
-// Initialize Tree-Sitter parser with JavaScript grammar
-const parser = new Parser();
-parser.setLanguage(JavaScript);
+import { getNodeSpan, parseSource } from "./astUtils";
+import { collectCalls } from "./callSyntax";
+import { attachChunks } from "./chunker";
+import { createDocCommentTracker } from "./docComments";
+import { getLanguageForFile, LANGUAGES } from "./languages";
+import { collectMiscBlocks } from "./miscBlocks";
+import { collectModuleReferences } from "./moduleSyntax";
 
 /**
  * Parses a JavaScript file and extracts functions, classes, comments, and variables
@@ -29,9 +31,13 @@ parser.setLanguage(JavaScript);
  * - Function declarations: `function foo() {}`
  * - Arrow functions: `const foo = () => {}`
  * - Function expressions: `const foo = function() {}`
- * - Class declarations: `class Foo {}`
- * - Methods within classes
- * - Comment blocks: `/** JSDoc comments */`
+ * - Class declarations: `class Foo {}` and `abstract class Foo {}`
+ * - Class members as individual elements: methods, getters/setters, static members, fields
+ * - TypeScript declarations: interfaces, type aliases, enums and namespaces
+ * - Call sites inside functions and class members (`calls`, for the call graph)
+ * - Leading JSDoc/line comments attached to the element they document (`doc`, `doc_tags`)
+ * - Top-level statements such as `app.get('/users', ...)` and `describe(...)` (`misc`)
+ * - Orphan comment blocks (file headers, license blocks): `/** JSDoc comments */`
 //  * - Line comments: `// single line comments`
 //  * - Variable declarations: `const x = ...`, `let y = ...`
 //  *
@@ -68,13 +74,18 @@ export async function parseCodeWithTreeSitter(filepath) {
     // Get relative path from current working directory
     const relativeFilePath = path.relative(process.cwd(), filepath);
 
+    // Pick the grammar from the file extension (JS, JSX, TS, TSX)
+    const language = getLanguageForFile(filepath) || LANGUAGES.javascript;
+
     // Parse the file content into an AST
-    const tree = parser.parse(fileContent);
+    const tree = parseSource(language.name, language.grammar, fileContent);
     const functions = [];
     const classes = [];
+    const methods = [];
+    const typeDeclarations = [];
     const comments = [];
     const variables = [];
-    let commentCounter = 1;
+    const docs = createDocCommentTracker(relativeFilePath);
     let variableCounter = 1;
 
     /**
@@ -90,8 +101,8 @@ export async function parseCodeWithTreeSitter(filepath) {
         node.type === "arrow_function" ||
         node.type === "function_expression"
       ) {
-        // Get function name from the AST node
-        const nameNode = node.child(1); // Usually the second child is the name
+        // Get function name from the "name" field of the AST node
+        const nameNode = node.childForFieldName("name");
         const functionName =
           node.type === "function_declaration" && nameNode
             ? nameNode.text
@@ -103,12 +114,18 @@ export async function parseCodeWithTreeSitter(filepath) {
             code: node.text, // Full function source code
             function_name: functionName,
             filepath: relativeFilePath,
+            calls: collectCalls(node, isExtractedScope),
+            ...getNodeSpan(node),
+            ...docs.document(getDocAnchor(node)),
           });
         }
       }
 
-      // Extract class declarations
-      if (node.type === "class_declaration") {
+      // Extract class declarations (including TypeScript abstract classes)
+      if (
+        node.type === "class_declaration" ||
+        node.type === "abstract_class_declaration"
+      ) {
         // Get the class name from the "name" field
         const nameNode = node.childForFieldName("name");
         const className = nameNode ? nameNode.text : null;
@@ -118,31 +135,69 @@ export async function parseCodeWithTreeSitter(filepath) {
             code: node.text, // Full class source code
             class_name: className,
             filepath: relativeFilePath,
+            ...getNodeSpan(node),
+            ...(node.type === "abstract_class_declaration" && {
+              type: "abstract_class",
+            }),
+            ...docs.document(getDocAnchor(node)),
           });
         }
       }
 
-      // Extract comments (both block and line comments)
-      if (node.type === "comment") {
-        const commentText = node.text;
-        // Only add substantial comments (not single line debugging comments)
-        if (
-          commentText.length > 10 ||
-          commentText.includes("/**") ||
-          commentText.includes("/*")
-        ) {
-          comments.push({
-            code: commentText,
-            comment_name: `comment_${commentCounter}`,
+      // Extract class members (methods, getters/setters, static members, fields)
+      // as their own elements so a single method can be retrieved without its class
+      if (
+        CLASS_MEMBER_TYPES.includes(node.type) &&
+        node.parent?.type === "class_body"
+      ) {
+        const nameNode =
+          node.childForFieldName("name") || node.childForFieldName("property");
+        const parentClass = getClassName(node.parent.parent);
+
+        if (nameNode && parentClass) {
+          methods.push({
+            code: node.text, // Full member source code
+            method_name: nameNode.text,
+            qualified_name: `${parentClass}.${nameNode.text}`,
+            parent_class: parentClass,
+            kind: getClassMemberKind(node),
+            filepath: relativeFilePath,
+            calls: collectCalls(node, isExtractedScope),
+            ...getNodeSpan(node),
+            ...docs.document(node),
+          });
+        }
+      }
+
+      // Extract TypeScript-only declarations (interfaces, type aliases, enums, namespaces)
+      if (TYPE_DECLARATION_KINDS[node.type]) {
+        const nameNode = node.childForFieldName("name");
+
+        if (nameNode) {
+          // Keep the `declare` keyword for ambient declarations like `declare namespace Foo {}`
+          const isAmbient =
+            node.parent && node.parent.type === "ambient_declaration";
+          typeDeclarations.push({
+            code: isAmbient ? node.parent.text : node.text,
+            type_name: nameNode.text,
+            type: TYPE_DECLARATION_KINDS[node.type],
             filepath: relativeFilePath,
+            ...getNodeSpan(isAmbient ? node.parent : node),
+            ...docs.document(getDocAnchor(node)),
           });
-          commentCounter++;
         }
       }
 
+      // Collect comments (both block and line comments); the ones that do not
+      // document an element are added as comment elements after traversal
+      if (node.type === "comment") {
+        docs.addComment(node);
+      }
+
       // Extract variable declarations (const, let, var)
       if (
-        node.type === "variable_declaration" &&
+        (node.type === "variable_declaration" ||
+          node.type === "lexical_declaration") &&
         !isVariableInFunction(node)
       ) {
         // Extract individual variable declarators from the declaration
@@ -152,7 +207,8 @@ export async function parseCodeWithTreeSitter(filepath) {
             const nameNode = child.childForFieldName("name");
             const valueNode = child.childForFieldName("value");
 
-            if (nameNode) {
+            // Functions and classes assigned to variables are extracted as such
+            if (nameNode && !isFunctionOrClassValue(valueNode)) {
               const variableName = nameNode.text;
               // Include the declaration with its initialization if available
               const code = valueNode
@@ -163,6 +219,8 @@ export async function parseCodeWithTreeSitter(filepath) {
                 code: code,
                 variable_name: variableName,
                 filepath: relativeFilePath,
+                ...getNodeSpan(child),
+                ...docs.document(getDocAnchor(child)),
               });
               variableCounter++;
             }
@@ -178,20 +236,126 @@ export async function parseCodeWithTreeSitter(filepath) {
 
     // Start traversal from the root of the AST
     traverse(tree.rootNode);
+    // Top-level statements that are not declarations (route registrations,
+    // test suites, IIFEs, `export default {...}`)
+    const misc = collectMiscBlocks(tree.rootNode, {
+      filepath: relativeFilePath,
+      docs,
+      isNestedScope: isExtractedScope,
+    });
+    comments.push(...docs.getOrphanComments());
+
+    // Collect import/export statements for the dependency graph
+    const { imports, exports } = collectModuleReferences(tree.rootNode);
 
-    return {
-      functions,
-      classes,
-      comments,
-      variables,
-      relativeFilePath,
-    };
+    // Split elements too large to embed in one request
+    return attachChunks(
+      {
+        functions,
+        classes,
+        methods,
+        typeDeclarations,
+        comments,
+        variables,
+        misc,
+        imports,
+        exports,
+        relativeFilePath,
+        language: language.name,
+      },
+      tree.rootNode,
+    );
   } catch (error) {
     console.error(`Error parsing file with Tree-Sitter: ${filepath}`, error);
     throw error;
   }
 }
 
+/**
+ * TypeScript declaration node types and the element type they are stored as
+ *
+ * `internal_module` is `namespace Foo {}` and `module` is `declare module "foo" {}`.
+ *
+ * @private
+ */
+const TYPE_DECLARATION_KINDS = {
+  interface_declaration: "interface",
+  type_alias_declaration: "type_alias",
+  enum_declaration: "enum",
+  internal_module: "namespace",
+  module: "namespace",
+};
+
+/**
+ * Class body node types that are extracted as individual class members
+ *
+ * `field_definition` is a JavaScript class field, `public_field_definition` its
+ * TypeScript counterpart and `abstract_method_signature` a TypeScript abstract method.
+ *
+ * @private
+ */
+const CLASS_MEMBER_TYPES = [
+  "method_definition",
+  "abstract_method_signature",
+  "field_definition",
+  "public_field_definition",
+];
+
+/**
+ * Helper function to resolve the name of the class owning a class body
+ *
+ * Handles class declarations (`class Foo {}`) as well as class expressions
+ * assigned to variables (`const Foo = class {}`).
+ *
+ * @private
+ * @param {Node} classNode - The class, class_declaration or abstract_class_declaration node
+ * @returns {string|null} The class name, or null for anonymous classes
+ */
+function getClassName(classNode) {
+  if (!classNode) {
+    return null;
+  }
+
+  const nameNode = classNode.childForFieldName("name");
+  if (nameNode) {
+    return nameNode.text;
+  }
+
+  if (classNode.parent && classNode.parent.type === "variable_declarator") {
+    const variableNameNode = classNode.parent.childForFieldName("name");
+    return variableNameNode ? variableNameNode.text : null;
+  }
+
+  return null;
+}
+
+/**
+ * Helper function to classify a class member
+ *
+ * Getters and setters are reported as such even when static; any other
+ * static member is reported as "static".
+ *
+ * @private
+ * @param {Node} node - A class member node (see CLASS_MEMBER_TYPES)
+ * @returns {"method"|"getter"|"setter"|"static"|"field"} The member kind
+ */
+function getClassMemberKind(node) {
+  const keywords = node.children
+    .filter((child) => !child.isNamed)
+    .map((child) => child.type);
+
+  if (keywords.includes("get")) return "getter";
+  if (keywords.includes("set")) return "setter";
+  if (keywords.includes("static")) return "static";
+  if (
+    node.type === "field_definition" ||
+    node.type === "public_field_definition"
+  ) {
+    return "field";
+  }
+  return "method";
+}
+
 /**
  * Helper function to extract function name from various function types
  *
@@ -232,6 +396,87 @@ function extractFunctionName(node, fileContent) {
   return "anonymous";
 }
 
+/**
+ * Helper function to find the node a documentation comment precedes
+ *
+ * Comments are written above the whole statement, so the anchor of
+ * `export const foo = () => {}` is the export statement, not the arrow function.
+ *
+ * @private
+ * @param {Node} node - The node of the extracted element
+ * @returns {Node} The outermost node of the element's statement
+ */
+function getDocAnchor(node) {
+  let anchor = node;
+
+  // `const foo = () => {}` / `{ foo: function() {} }`
+  if (
+    anchor.parent?.type === "variable_declarator" ||
+    anchor.parent?.type === "pair"
+  ) {
+    anchor = anchor.parent;
+  }
+  if (
+    anchor.type === "variable_declarator" &&
+    (anchor.parent?.type === "lexical_declaration" ||
+      anchor.parent?.type === "variable_declaration")
+  ) {
+    anchor = anchor.parent;
+  }
+
+  // `export function foo() {}`, `declare namespace Foo {}`
+  while (
+    anchor.parent?.type === "export_statement" ||
+    anchor.parent?.type === "ambient_declaration"
+  ) {
+    anchor = anchor.parent;
+  }
+  return anchor;
+}
+
+/**
+ * Helper function to determine if a variable's value is a function or class
+ *
+ * @private
+ * @param {Node} [valueNode] - The initializer of a variable declarator
+ * @returns {boolean} True for arrow functions, function expressions and class expressions
+ */
+function isFunctionOrClassValue(valueNode) {
+  return Boolean(
+    valueNode &&
+    (valueNode.type === "arrow_function" ||
+      valueNode.type === "function_expression" ||
+      valueNode.type === "class"),
+  );
+}
+
+/**
+ * Helper function to determine if a nested node is extracted as its own element
+ * Calls inside such nodes belong to that element, not to the enclosing function
+ *
+ * @private
+ * @param {Node} node - A node nested in a function or class member
+ * @returns {boolean} True for named functions, classes and class members
+ */
+function isExtractedScope(node) {
+  if (
+    node.type === "function_declaration" ||
+    node.type === "class_declaration" ||
+    node.type === "abstract_class_declaration" ||
+    node.type === "class"
+  ) {
+    return true;
+  }
+
+  // Arrow functions and function expressions are only extracted when named,
+  // e.g. `const helper = () => {}`; anonymous callbacks stay with their parent
+  return (
+    (node.type === "arrow_function" || node.type === "function_expression") &&
+    (node.parent?.type === "variable_declarator" ||
+      node.parent?.type === "pair")
+  );
+}
+
 /**
  * Helper function to determine if a variable is declared inside a function
  * Prevents extracting local variables as global code snippets
@@ -246,7 +491,8 @@ function isVariableInFunction(node) {
     if (
       current.type === "function_declaration" ||
       current.type === "arrow_function" ||
-      current.type === "function_expression"
+      current.type === "function_expression" ||
+      current.type === "method_definition"
     ) {
       return true;
     }
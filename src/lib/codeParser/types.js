@@ -2,11 +2,23 @@
  * Type definitions and schemas for code parser output
  */
 
+/**
+ * Source position shared by every extracted element
+ * Lines and columns are one-based; the end position is exclusive of the last column.
+ *
+ * @typedef {Object} CodeSpan
+ * @property {number} start_line - Line where the element starts
+ * @property {number} end_line - Line where the element ends
+ * @property {number} start_column - Column where the element starts
+ * @property {number} end_column - Column just past the element's last character
+ */
+
 /**
  * @typedef {Object} CodeFunction
  * @property {string} code - The complete function source code
  * @property {string} function_name - The name of the function
  * @property {string} filepath - Relative path to the source file
+ * @property {import('./callSyntax').CallSite[]} [calls] - Calls made inside the function
  */
 
 /**
@@ -14,21 +26,114 @@
  * @property {string} code - The complete class source code
  * @property {string} class_name - The name of the class
  * @property {string} filepath - Relative path to the source file
+ * @property {string} [type] - "abstract_class" for TypeScript abstract classes
+ */
+
+/**
+ * @typedef {Object} CodeMethod
+ * @property {string} code - The complete member source code
+ * @property {string} method_name - The name of the method, accessor or field
+ * @property {string} qualified_name - The name prefixed with its class (e.g. "Parser.parse")
+ * @property {string} parent_class - The name of the class declaring the member
+ * @property {"method"|"getter"|"setter"|"static"|"field"} kind - The member kind
+ * @property {string} filepath - Relative path to the source file
+ * @property {import('./callSyntax').CallSite[]} [calls] - Calls made inside the member
  */
 
 /**
+ * @typedef {Object} CodeTypeDeclaration
+ * @property {string} code - The complete declaration source code
+ * @property {string} type_name - The declared name (interface, alias, enum or namespace)
+ * @property {"interface"|"type_alias"|"enum"|"namespace"} type - Declaration kind
+ * @property {string} filepath - Relative path to the source file
+ */
+
+/**
+ * Top-level statements that are not declarations (see miscBlocks.js)
+ *
  * @typedef {Object} MiscCodeBlock
  * @property {string} code - The miscellaneous code segment
+ * @property {string} misc_name - Name derived from the statements (e.g. "app.get('/users')", "describe('Parser')")
  * @property {string} filepath - Relative path to the source file
+ * @property {import('./callSyntax').CallSite[]} [calls] - Calls made by the statements
  */
 
 /**
+ * A section of a Markdown document: a heading and the text up to the next heading
+ *
+ * @typedef {Object} DocSection
+ * @property {string} code - The section text, heading included
+ * @property {string} section_name - File and heading trail (e.g. "README.md#Getting Started > Install")
+ * @property {string} heading - The section's own heading ("" for text before the first heading)
+ * @property {number} level - Heading level, 1-6 (0 for text before the first heading)
+ * @property {string} filepath - Relative path to the source file
+ */
+
+/**
+ * A project configuration entry: a package.json section or a whole config file
+ *
+ * @typedef {Object} ConfigEntry
+ * @property {string} code - The configuration source
+ * @property {string} config_name - File and section (e.g. "package.json:scripts", "tsconfig.json")
+ * @property {string} kind - What is configured (e.g. "scripts", "dependencies", "eslint", "docker")
+ * @property {string} filepath - Relative path to the source file
+ */
+
+/**
+ * Every element in a ParserOutput (functions, classes, methods, type declarations,
+ * comments, variables, misc blocks, sections and configs) also carries the CodeSpan properties of its source position.
+ * Functions, classes, methods, type declarations and variables preceded by a comment
+ * also carry `doc` (the comment text without delimiters) and `doc_tags`
+ * (see DocTags in docComments.js); `comments` only holds comments documenting nothing.
+ * Elements too large to embed in one request also carry `chunks`, overlapping
+ * pieces split on AST boundaries (see CodeChunk in chunker.js).
+ *
  * @typedef {Object} ParserOutput
  * @property {CodeFunction[]} functions - Extracted functions
  * @property {CodeClass[]} classes - Extracted classes
+ * @property {CodeMethod[]} [methods] - Extracted class members
  * @property {string} relativeFilePath - Relative path from cwd to the source file
- * @property {MiscCodeBlock[]} [misc] - Optional miscellaneous code blocks
+ * @property {string} [language] - Language the file was parsed as ("javascript", "typescript", "tsx", "python", "go", "java",
+ *           "markdown", "json", "yaml", "dockerfile")
+ * @property {CodeTypeDeclaration[]} [typeDeclarations] - TypeScript interfaces, type aliases, enums and namespaces
+ * @property {import('./moduleSyntax').ModuleImport[]} [imports] - Import statements, require() and import() calls
+ * @property {import('./moduleSyntax').ModuleExport[]} [exports] - ES and CommonJS exports
+ * @property {MiscCodeBlock[]} [misc] - Module-level statements (route registrations, test suites, IIFEs, ...)
+ * @property {DocSection[]} [sections] - Sections of Markdown documentation
+ * @property {ConfigEntry[]} [configs] - package.json sections and configuration files
+ */
+
+/**
+ * A language adapter registered in registry.js
+ *
+ * @typedef {Object} LanguageAdapter
+ * @property {string} name - Language name (e.g. "python")
+ * @property {string[]} [extensions] - File extensions handled, with leading dot (e.g. [".py"])
+ * @property {string[]} [filenames] - Exact file names handled (e.g. ["package.json"]); take precedence over extensions
+ * @property {boolean} [documents] - True for adapters indexing documentation or configuration
+ *           rather than code; their files are left out of the dependency and call graphs
+ * @property {(filepath: string) => Promise<ParserOutput>} parse - Parses an absolute file path
+ */
+
+/**
+ * Element groups of a ParserOutput, in the order they are embedded and upserted
+ *
+ * - key: Property of the parser output holding the elements
+ * - nameField: Property of each element holding its display name
+ * - type: Default element type stored in vector metadata
+ *         (an element's own `type` property takes precedence)
  */
+export const CODE_ELEMENT_GROUPS = [
+  { key: "functions", nameField: "function_name", type: "function" },
+  { key: "classes", nameField: "class_name", type: "class" },
+  { key: "methods", nameField: "qualified_name", type: "method" },
+  { key: "typeDeclarations", nameField: "type_name", type: "type" },
+  { key: "comments", nameField: "comment_name", type: "comment" },
+  { key: "variables", nameField: "variable_name", type: "variable" },
+  { key: "misc", nameField: "misc_name", type: "misc" },
+  { key: "sections", nameField: "section_name", type: "doc" },
+  { key: "configs", nameField: "config_name", type: "config" },
+];
 
 export const CodeParserTypes = {
   /**